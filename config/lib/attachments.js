@@ -0,0 +1,102 @@
+// Chat attachments: images go to the model as image parts, documents (PDF,
+// markdown, plain text) as their extracted text.
+//
+// Clients send { name, type, data } with base64 data (a data: URL is fine too).
+// prepareAttachment() validates one against the size caps and returns what the
+// store keeps; attachmentContent() turns stored attachments plus the message
+// text into content parts for streamCompletion.
+
+import crypto from "crypto";
+import path from "path";
+import { extractPdfText } from "./pdf.js";
+
+export const IMAGE_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+
+const TEXT_EXTENSIONS = new Set([".md", ".markdown", ".txt", ".rst", ".csv", ".json", ".yaml", ".yml", ".xml", ".log"]);
+const EXTENSION_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+// Browsers often send "" or application/octet-stream, so the extension decides then.
+function mediaTypeOf(name, type) {
+  const t = String(type || "").toLowerCase().split(";")[0].trim();
+  if (t && t !== "application/octet-stream") return t;
+  const ext = path.extname(name).toLowerCase();
+  return EXTENSION_TYPES[ext] || (TEXT_EXTENSIONS.has(ext) ? "text/plain" : t || "application/octet-stream");
+}
+
+function isTextType(mediaType, name) {
+  return (
+    mediaType.startsWith("text/") ||
+    ["application/json", "application/xml", "application/x-yaml", "application/yaml"].includes(mediaType) ||
+    TEXT_EXTENSIONS.has(path.extname(name).toLowerCase())
+  );
+}
+
+function decodeBase64(data) {
+  const s = String(data || "");
+  const b64 = s.startsWith("data:") ? s.slice(s.indexOf(",") + 1) : s;
+  if (!b64 || /[^A-Za-z0-9+/=\s_-]/.test(b64)) throw new Error("data must be base64");
+  return Buffer.from(b64, "base64");
+}
+
+/**
+ * Validates one uploaded attachment. Returns
+ *   { id, kind: "image", name, mediaType, size, data: Buffer }
+ *   { id, kind: "document", name, mediaType, size, text }
+ * and throws with a user-facing reason when it can't be used.
+ *
+ * limits: { maxImageBytes, maxDocumentBytes, maxTextChars }
+ */
+export function prepareAttachment(input, { maxImageBytes, maxDocumentBytes, maxTextChars }) {
+  const name = path.basename(String(input?.name || "attachment")).slice(0, 200);
+  const mediaType = mediaTypeOf(name, input?.type);
+  const buf = decodeBase64(input?.data);
+  if (!buf.length) throw new Error("Empty file");
+  const base = { id: crypto.randomUUID(), name, mediaType, size: buf.length };
+
+  if (IMAGE_TYPES.has(mediaType)) {
+    if (buf.length > maxImageBytes) throw new Error(`Image too large (${buf.length} bytes > ${maxImageBytes})`);
+    return { ...base, kind: "image", data: buf };
+  }
+
+  if (buf.length > maxDocumentBytes) throw new Error(`File too large (${buf.length} bytes > ${maxDocumentBytes})`);
+  let text;
+  if (mediaType === "application/pdf") {
+    text = extractPdfText(buf, { maxTextChars });
+    if (!text) throw new Error("No extractable text (scanned PDF?)");
+  } else if (isTextType(mediaType, name)) {
+    text = buf.toString("utf8");
+    if (text.includes("\u0000")) throw new Error("Binary file");
+  } else {
+    throw new Error(`Unsupported file type ${mediaType}`);
+  }
+  if (text.length > maxTextChars) throw new Error(`Text too large (${text.length} chars > ${maxTextChars})`);
+  return { ...base, kind: "document", text };
+}
+
+// What a message records about its attachments (the content lives in the store).
+export function attachmentRef({ id, kind, name, mediaType, size }) {
+  return { id, kind, name, mediaType, size };
+}
+
+/**
+ * Content parts for a message with attachments: documents as text blocks, then
+ * images, then the message text. `attachments` are store rows (data as Buffer).
+ */
+export function attachmentContent(text, attachments) {
+  const parts = [];
+  for (const a of attachments) {
+    if (a.kind === "document") parts.push({ type: "text", text: `--- ATTACHMENT: ${a.name} ---\n${a.text}` });
+  }
+  for (const a of attachments) {
+    if (a.kind === "image") parts.push({ type: "image", mediaType: a.mediaType, data: a.data.toString("base64") });
+  }
+  parts.push({ type: "text", text: String(text ?? "") });
+  return parts;
+}
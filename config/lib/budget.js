@@ -0,0 +1,95 @@
+// Daily / monthly spend caps, checked against the usage ledger rollup before a chat is sent
+
+import { dayKey, monthKey } from "./ledger.js";
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Merges env defaults with the optional `budgets` block in models.json:
+ *   { daily, monthly, repoDaily, repoMonthly, warnRatio,
+ *     repos: { "owner/repo": { daily, monthly } } }
+ * A cap of 0/null means "no cap".
+ */
+export function resolveBudgets(config, defaults = {}) {
+  const b = { ...defaults, ...(config?.budgets || {}) };
+  const ratio = Number(b.warnRatio);
+  return {
+    daily: positive(b.daily),
+    monthly: positive(b.monthly),
+    repoDaily: positive(b.repoDaily),
+    repoMonthly: positive(b.repoMonthly),
+    warnRatio: Number.isFinite(ratio) && ratio > 0 && ratio <= 1 ? ratio : 0.8,
+    repos: b.repos && typeof b.repos === "object" ? b.repos : {},
+  };
+}
+
+function capsFor(budgets, repo) {
+  const caps = [
+    { scope: "daily", target: "global", cap: budgets.daily },
+    { scope: "monthly", target: "global", cap: budgets.monthly },
+  ];
+  if (repo) {
+    const own = budgets.repos[repo] || {};
+    caps.push(
+      { scope: "daily", target: repo, cap: positive(own.daily) ?? budgets.repoDaily },
+      { scope: "monthly", target: repo, cap: positive(own.monthly) ?? budgets.repoMonthly }
+    );
+  }
+  return caps.filter((c) => c.cap);
+}
+
+function spentFor(stats, scope, target, now) {
+  const period =
+    scope === "daily" ? stats?.dailyStats?.[dayKey(now)] : stats?.monthlyStats?.[monthKey(now)];
+  if (!period) return 0;
+  if (target === "global") return period.cost || 0;
+  return period.byRepo?.[target]?.cost || 0;
+}
+
+function formatUsd(n) {
+  return `$${n.toFixed(n < 1 ? 4 : 2)}`;
+}
+
+function describe(c) {
+  const who = c.target === "global" ? "" : ` for ${c.target}`;
+  return `${c.scope} budget${who} (${formatUsd(c.spent)} of ${formatUsd(c.cap)} spent)`;
+}
+
+/**
+ * Returns { status: "ok" | "warn" | "exceeded", checks, message }.
+ * "exceeded" means the cap is already spent, or this request would cross it.
+ * "warn" means spend plus this request reaches warnRatio of a cap.
+ */
+export function checkBudget({ stats, budgets, repo, estimatedCost = 0, now = Date.now() }) {
+  const checks = capsFor(budgets, repo).map((c) => {
+    const spent = spentFor(stats, c.scope, c.target, now);
+    const projected = spent + estimatedCost;
+    let status = "ok";
+    if (spent >= c.cap || projected > c.cap) status = "exceeded";
+    else if (projected >= c.cap * budgets.warnRatio) status = "warn";
+    return { ...c, spent, projected, status };
+  });
+
+  const exceeded = checks.filter((c) => c.status === "exceeded");
+  if (exceeded.length) {
+    return {
+      status: "exceeded",
+      checks,
+      message: `Spend limit reached: ${exceeded.map(describe).join("; ")}`,
+    };
+  }
+
+  const warned = checks.filter((c) => c.status === "warn");
+  if (warned.length) {
+    return {
+      status: "warn",
+      checks,
+      message: `Approaching spend limit: ${warned.map(describe).join("; ")}`,
+    };
+  }
+
+  return { status: "ok", checks, message: null };
+}
@@ -0,0 +1,128 @@
+// Model catalog: the bundled price sheet (config/model_options.json) merged with
+// what each configured provider's models endpoint actually serves.
+//
+// syncModelCatalog() builds the catalog the admin page picks models from;
+// validateModelSlots() checks models.json against it. Both are pure apart from
+// the listModels callback, so the server decides where the result is stored.
+
+// Dated snapshots count as the alias they extend: claude-sonnet-4-5-20250929
+// and gpt-5.2-2025-12-11 match claude-sonnet-4-5 and gpt-5.2.
+const SNAPSHOT_SUFFIX = /^-(?:\d{8}|\d{4}-\d{2}-\d{2})$/;
+
+export function sameModel(a, b) {
+  if (a === b) return true;
+  const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+  return longer.startsWith(shorter) && SNAPSHOT_SUFFIX.test(longer.slice(shorter.length));
+}
+
+function findModel(list, model) {
+  return list.find((m) => m.id === model) || list.find((m) => sameModel(m.id, model));
+}
+
+/**
+ * providers: [{ name, available }] (available = has a key / is configured).
+ * listModels(name) -> [{ id, displayName?, contextWindow?, maxOutputTokens? }].
+ *
+ * Returns { lastSyncedAt, providers: { name: { status, count?, error? } }, options }
+ * where status is ok | error | unconfigured and each option is
+ *   { provider, model, displayName, inputCost?, outputCost?, tags, contextWindow?,
+ *     maxOutputTokens?, listed, priced }
+ * `listed` is null when the provider couldn't be asked. Price sheet entries come
+ * first (in sheet order), then discovered models the sheet doesn't know.
+ */
+export async function syncModelCatalog({ priceSheet, providers, listModels, now = new Date() }) {
+  const sheet = Array.isArray(priceSheet?.options) ? priceSheet.options : [];
+  const status = {};
+  const discovered = {};
+
+  // One provider at a time: a sync is rare and some endpoints rate-limit listing.
+  for (const { name, available } of providers) {
+    if (!available) {
+      status[name] = { status: "unconfigured" };
+      continue;
+    }
+    try {
+      discovered[name] = await listModels(name);
+      status[name] = { status: "ok", count: discovered[name].length };
+    } catch (e) {
+      status[name] = { status: "error", error: e.message };
+    }
+  }
+
+  const options = [];
+  const claimed = new Set();
+  for (const entry of sheet) {
+    const list = discovered[entry.provider];
+    const hit = list ? findModel(list, entry.model) : null;
+    if (hit) claimed.add(`${entry.provider}\u0000${hit.id}`);
+    options.push({
+      provider: entry.provider,
+      model: entry.model,
+      displayName: entry.displayName || hit?.displayName || entry.model,
+      ...(entry.inputCost !== undefined && { inputCost: entry.inputCost }),
+      ...(entry.outputCost !== undefined && { outputCost: entry.outputCost }),
+      tags: entry.tags || [],
+      ...((entry.contextWindow || hit?.contextWindow) && { contextWindow: entry.contextWindow || hit.contextWindow }),
+      ...((entry.maxOutputTokens || hit?.maxOutputTokens) && { maxOutputTokens: entry.maxOutputTokens || hit.maxOutputTokens }),
+      listed: list ? !!hit : null,
+      priced: entry.inputCost !== undefined && entry.outputCost !== undefined,
+    });
+  }
+  for (const [provider, list] of Object.entries(discovered)) {
+    for (const m of list) {
+      if (claimed.has(`${provider}\u0000${m.id}`)) continue;
+      options.push({
+        provider,
+        model: m.id,
+        displayName: m.displayName || m.id,
+        tags: [],
+        ...(m.contextWindow && { contextWindow: m.contextWindow }),
+        ...(m.maxOutputTokens && { maxOutputTokens: m.maxOutputTokens }),
+        listed: true,
+        priced: false,
+      });
+    }
+  }
+
+  return { lastSyncedAt: now.toISOString(), providers: status, options };
+}
+
+/**
+ * Problems with the configured model slots, as
+ * [{ modelKey, provider, model, severity: "error" | "warning", code, message }].
+ *
+ * isAvailable(provider) says whether the provider is configured right now;
+ * catalog is the last sync (or null if there was none).
+ */
+export function validateModelSlots(models, catalog, { isAvailable, knownProviders }) {
+  const issues = [];
+  for (const [modelKey, mc] of Object.entries(models || {})) {
+    if (mc.enabled === false) continue;
+    const base = { modelKey, provider: mc.provider, model: mc.model };
+    if (!knownProviders.includes(mc.provider)) {
+      issues.push({ ...base, severity: "error", code: "unknown_provider", message: `Unknown provider ${mc.provider}` });
+      continue;
+    }
+    if (mc.provider === "stub") continue;
+    if (!isAvailable(mc.provider)) {
+      issues.push({ ...base, severity: "error", code: "provider_unconfigured", message: `${mc.provider} has no API key or is not configured` });
+      continue;
+    }
+
+    const sync = catalog?.providers?.[mc.provider];
+    if (!sync || sync.status !== "ok") {
+      issues.push({
+        ...base,
+        severity: "warning",
+        code: "unverified",
+        message: sync?.status === "error" ? `Could not list ${mc.provider} models: ${sync.error}` : `${mc.provider} models not synced yet`,
+      });
+      continue;
+    }
+    const listed = catalog.options.some((o) => o.provider === mc.provider && o.listed && sameModel(o.model, mc.model));
+    if (!listed) {
+      issues.push({ ...base, severity: "error", code: "model_missing", message: `${mc.model} is not offered by ${mc.provider}` });
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,68 @@
+// A JSON-array file of records with string ids (ideasStore.json, tasksStore.json).
+//
+// Every mutation is a read-modify-write of the whole file, run through one queue
+// per file so concurrent requests can't drop each other's changes.
+
+import crypto from "crypto";
+import { readJson, writeJson } from "./json.js";
+
+// Same shape as the ids already in the stores, e.g. "miv2c8sg-hj9ot38h".
+export function newRecordId() {
+  const rand = BigInt("0x" + crypto.randomBytes(6).toString("hex")).toString(36).padStart(8, "0").slice(-8);
+  return `${Date.now().toString(36)}-${rand}`;
+}
+
+export function createJsonCollection(filePath) {
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function list() {
+    const items = await readJson(filePath, []);
+    return Array.isArray(items) ? items : [];
+  }
+
+  async function get(id) {
+    return (await list()).find((item) => item.id === id) || null;
+  }
+
+  function create(fields) {
+    return enqueue(async () => {
+      const items = await list();
+      const now = new Date().toISOString();
+      const item = { id: newRecordId(), ...fields, createdAt: now, updatedAt: now };
+      items.push(item);
+      await writeJson(filePath, items);
+      return item;
+    });
+  }
+
+  // `patch` is an object, or a function (current) => object for updates that
+  // depend on the stored record. Returns null when the id is unknown.
+  function update(id, patch) {
+    return enqueue(async () => {
+      const items = await list();
+      const i = items.findIndex((item) => item.id === id);
+      if (i < 0) return null;
+      const fields = typeof patch === "function" ? patch(items[i]) : patch;
+      items[i] = { ...items[i], ...fields, id, updatedAt: new Date().toISOString() };
+      await writeJson(filePath, items);
+      return items[i];
+    });
+  }
+
+  function remove(id) {
+    return enqueue(async () => {
+      const items = await list();
+      const next = items.filter((item) => item.id !== id);
+      if (next.length === items.length) return false;
+      await writeJson(filePath, next);
+      return true;
+    });
+  }
+
+  return { list, get, create, update, remove };
+}
@@ -0,0 +1,299 @@
+// Automatic file-context selection for chats.
+//
+// Files from the repo's cached path list are ranked against the message by:
+//   - path/name matching (explicit mentions score highest),
+//   - BM25 over a keyword index of file contents fetched so far,
+//   - import-graph neighbours of the best matches,
+//   - definitions of identifiers named in the message (from the code index).
+// The top files are then packed greedily into a token budget.
+
+const K1 = 1.2;
+const B = 0.75;
+const MAX_TERMS_PER_DOC = 400;
+
+const STOPWORDS = new Set(
+  ("the a an and or of to in on for with is are was be it this that as at by from how what why when where " +
+    "can could should would do does did i you we my our me please make add fix use using get set into not " +
+    "file files code function js ts")
+    .split(" ")
+);
+
+// Extensions worth indexing; everything else (images, archives, lockfiles) is ignored.
+const TEXT_EXT =
+  /\.(m?[jt]sx?|cjs|json|md|py|rb|go|rs|java|kt|swift|c|cc|cpp|h|hpp|cs|php|html?|css|scss|vue|svelte|sql|sh|ya?ml|toml)$/i;
+const SKIP_PATH = /(^|\/)(node_modules|dist|build|out|vendor|\.git|coverage)\/|\.min\.|(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/i;
+
+const RESOLVE_EXTS = ["", ".js", ".ts", ".jsx", ".tsx", ".mjs", ".cjs", ".py", "/index.js", "/index.ts", "/__init__.py"];
+
+export function isContextCandidate(path) {
+  return TEXT_EXT.test(path) && !SKIP_PATH.test(path);
+}
+
+// Identifiers are split on camelCase and snake_case so "getRepoFiles" matches "repo files".
+export function tokenize(text) {
+  const out = [];
+  for (const word of String(text || "").match(/[A-Za-z0-9_]+/g) || []) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_]+/);
+    for (const p of parts) {
+      const t = p.toLowerCase();
+      if (t.length >= 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t)) out.push(t);
+    }
+  }
+  return out;
+}
+
+function basename(path) {
+  return path.split("/").pop();
+}
+
+function stem(path) {
+  return basename(path).replace(/\.[^.]+$/, "").toLowerCase();
+}
+
+/**
+ * Scores one path against the message. Returns { score, reasons }.
+ * A path or file name written in the message counts far more than term overlap.
+ */
+export function scorePath(path, message, terms) {
+  const lowerMsg = String(message || "").toLowerCase();
+  const lowerPath = path.toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  if (lowerMsg.includes(lowerPath)) {
+    score += 10;
+    reasons.push("path mentioned");
+  } else if (new RegExp(`(^|[^\\w.-])${escapeRegExp(basename(lowerPath))}($|[^\\w-])`).test(lowerMsg)) {
+    score += 6;
+    reasons.push("file name mentioned");
+  }
+
+  const nameTerms = new Set(tokenize(stem(path)));
+  const dirTerms = new Set(tokenize(path.split("/").slice(0, -1).join(" ")));
+  const matchedName = [];
+  const matchedDir = [];
+  for (const t of new Set(terms)) {
+    if (nameTerms.has(t)) matchedName.push(t);
+    else if (dirTerms.has(t)) matchedDir.push(t);
+  }
+  if (matchedName.length) {
+    score += 2 * matchedName.length;
+    reasons.push(`name matches ${matchedName.join(", ")}`);
+  }
+  if (matchedDir.length) {
+    score += 0.75 * matchedDir.length;
+    reasons.push(`directory matches ${matchedDir.join(", ")}`);
+  }
+  return { score, reasons };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Import/require specifiers in JS/TS and Python sources.
+export function extractImports(path, content) {
+  const specs = new Set();
+  const text = String(content || "");
+  if (/\.py$/i.test(path)) {
+    for (const m of text.matchAll(/^\s*from\s+([.\w]+)\s+import\s/gm)) specs.add(m[1]);
+    for (const m of text.matchAll(/^\s*import\s+([\w.]+)/gm)) specs.add(m[1]);
+  } else {
+    for (const m of text.matchAll(/\bimport\s+(?:[^'"]*?\sfrom\s+)?["']([^"']+)["']/g)) specs.add(m[1]);
+    for (const m of text.matchAll(/\b(?:require|import)\(\s*["']([^"']+)["']\s*\)/g)) specs.add(m[1]);
+    for (const m of text.matchAll(/\bexport\s+[^'"]*?\sfrom\s+["']([^"']+)["']/g)) specs.add(m[1]);
+  }
+  return [...specs];
+}
+
+function normalizeSegments(parts) {
+  const out = [];
+  for (const p of parts) {
+    if (!p || p === ".") continue;
+    if (p === "..") out.pop();
+    else out.push(p);
+  }
+  return out.join("/");
+}
+
+// Resolves a relative specifier to a repo path (package imports are ignored).
+export function resolveImport(fromPath, spec, fileSet) {
+  let base;
+  if (/\.py$/i.test(fromPath)) {
+    const dots = spec.match(/^\.*/)[0].length;
+    const rest = spec.slice(dots).split(".").filter(Boolean).join("/");
+    const dir = fromPath.split("/").slice(0, -1);
+    if (dots) base = normalizeSegments([...dir.slice(0, dir.length - (dots - 1)), rest]);
+    else base = rest;
+  } else {
+    if (!spec.startsWith(".")) return null;
+    base = normalizeSegments([...fromPath.split("/").slice(0, -1), ...spec.split("/")]);
+  }
+  for (const ext of RESOLVE_EXTS) {
+    const candidate = base + ext;
+    if (fileSet.has(candidate) && candidate !== fromPath) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Keyword index over fetched file contents, serializable for the store.
+ * docs: { [path]: { tf: { term: count }, len, imports: [path], indexedAt } }
+ */
+export function createRepoIndex(saved = {}) {
+  const docs = { ...(saved.docs || {}) };
+
+  function addDocument(path, content, fileSet) {
+    const counts = {};
+    const tokens = tokenize(content);
+    for (const t of tokens) counts[t] = (counts[t] || 0) + 1;
+    // Keep the most frequent terms only, so the stored index stays small.
+    const tf = Object.fromEntries(
+      Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TERMS_PER_DOC)
+    );
+    const imports = extractImports(path, content)
+      .map((spec) => resolveImport(path, spec, fileSet))
+      .filter(Boolean);
+    docs[path] = { tf, len: tokens.length, imports, indexedAt: new Date().toISOString() };
+  }
+
+  function bm25(terms) {
+    const paths = Object.keys(docs);
+    const scores = new Map();
+    if (!paths.length || !terms.length) return scores;
+    const avgLen = paths.reduce((n, p) => n + docs[p].len, 0) / paths.length || 1;
+    for (const t of new Set(terms)) {
+      const df = paths.filter((p) => docs[p].tf[t]).length;
+      if (!df) continue;
+      const idf = Math.log(1 + (paths.length - df + 0.5) / (df + 0.5));
+      for (const p of paths) {
+        const f = docs[p].tf[t];
+        if (!f) continue;
+        const s = (idf * f * (K1 + 1)) / (f + K1 * (1 - B + (B * docs[p].len) / avgLen));
+        scores.set(p, (scores.get(p) || 0) + s);
+      }
+    }
+    return scores;
+  }
+
+  // Files `path` imports, plus indexed files that import it.
+  function neighbors(path) {
+    const out = new Set(docs[path]?.imports || []);
+    for (const [p, d] of Object.entries(docs)) if (d.imports.includes(path)) out.add(p);
+    out.delete(path);
+    return out;
+  }
+
+  function isFresh(path, maxAgeMs) {
+    const d = docs[path];
+    return !!d && Date.now() - new Date(d.indexedAt).getTime() < maxAgeMs;
+  }
+
+  function prune(fileSet) {
+    for (const p of Object.keys(docs)) if (!fileSet.has(p)) delete docs[p];
+  }
+
+  return { docs, addDocument, bm25, neighbors, isFresh, prune, toJSON: () => ({ docs }) };
+}
+
+// Identifier-looking words: `quoted`, camelCase, PascalCase or snake_case.
+function identifiersIn(message) {
+  const text = String(message || "");
+  const out = new Set();
+  for (const m of text.matchAll(/`([A-Za-z_$][\w$.]*)`/g)) out.add(m[1].split(".").pop());
+  for (const m of text.matchAll(/\b[A-Za-z_$][\w$]{2,}\b/g)) {
+    const w = m[0];
+    if (/[a-z][A-Z]/.test(w) || /^[A-Z][a-z]+[A-Z]/.test(w) || /[a-z]_[a-z]/i.test(w)) out.add(w);
+  }
+  return [...out];
+}
+
+/**
+ * Extra scores for files that define identifiers named in the message.
+ * `lookup(name)` returns symbol definitions [{ path, kind, line }]; names
+ * defined in many places are too generic to point at a file and are ignored.
+ */
+export function symbolBoosts(message, lookup, { maxDefinitions = 3 } = {}) {
+  const boosts = new Map();
+  for (const name of identifiersIn(message)) {
+    const defs = lookup(name);
+    if (!defs.length || defs.length > maxDefinitions) continue;
+    for (const d of defs) {
+      const b = boosts.get(d.path) || { score: 0, reasons: [] };
+      b.score += 5;
+      b.reasons.push(`defines ${name} (line ${d.line})`);
+      boosts.set(d.path, b);
+    }
+  }
+  return boosts;
+}
+
+/**
+ * Ranks candidate files. Returns [{ path, score, reasons }] sorted best first,
+ * only files with some signal. `boosts` (path -> { score, reasons }) adds outside
+ * signals; the `seeds` best matches pull in their import neighbours.
+ */
+export function rankFiles({ message, files, index, boosts = new Map(), seeds = 3 }) {
+  const terms = tokenize(message);
+  const bm = index.bm25(terms);
+  const maxBm = Math.max(0, ...bm.values()) || 1;
+
+  const scored = new Map();
+  for (const path of files) {
+    const { score, reasons } = scorePath(path, message, terms);
+    const b = bm.get(path) || 0;
+    const entry = { path, score, reasons: [...reasons] };
+    if (b > 0) {
+      entry.score += 3 * (b / maxBm);
+      entry.reasons.push(`content matches (bm25 ${b.toFixed(2)})`);
+    }
+    const boost = boosts.get(path);
+    if (boost) {
+      entry.score += boost.score;
+      entry.reasons.push(...boost.reasons);
+    }
+    if (entry.score > 0) scored.set(path, entry);
+  }
+
+  const top = [...scored.values()].sort((a, b) => b.score - a.score).slice(0, seeds);
+  for (const seed of top) {
+    for (const n of index.neighbors(seed.path)) {
+      const entry = scored.get(n) || { path: n, score: 0, reasons: [] };
+      entry.score += 0.4 * seed.score;
+      entry.reasons.push(`import neighbour of ${seed.path}`);
+      scored.set(n, entry);
+    }
+  }
+
+  return [...scored.values()]
+    .map((e) => ({ ...e, score: Math.round(e.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+}
+
+/**
+ * Greedy packing: takes files in rank order while they fit the token budget.
+ * `tokensOf(path)` returns the file's token estimate (null = unavailable).
+ */
+export function selectWithinBudget(ranked, tokensOf, { budgetTokens, maxFiles, minScore = 1.5 }) {
+  const selected = [];
+  const skipped = [];
+  let used = 0;
+  for (const entry of ranked) {
+    if (selected.length >= maxFiles || entry.score < minScore) break;
+    const tokens = tokensOf(entry.path);
+    if (tokens === null) {
+      skipped.push({ path: entry.path, reason: "content unavailable" });
+    } else if (used + tokens > budgetTokens) {
+      skipped.push({ path: entry.path, reason: `over budget (${tokens} tokens)` });
+    } else {
+      selected.push({ ...entry, tokens });
+      used += tokens;
+    }
+  }
+  return { selected, skipped, usedTokens: used };
+}
@@ -0,0 +1,80 @@
+// In-flight /api/chat generations.
+//
+// Every SSE event of a generation is numbered and kept in memory, so a client
+// whose connection dropped can reattach with Last-Event-ID and get the events
+// it missed. Each generation owns the AbortController whose signal is passed
+// down to the provider stream: an explicit abort cancels it at once, and a
+// generation left with no connected client is aborted after a grace period.
+
+import crypto from "crypto";
+
+export function createGenerationRegistry({ graceMs = 15000, retainMs = 5 * 60 * 1000 } = {}) {
+  const generations = new Map();
+
+  function create({ conversationId = null } = {}) {
+    const controller = new AbortController();
+    const events = [];
+    const clients = new Set();
+    let idleTimer = null;
+
+    const gen = {
+      id: crypto.randomUUID(),
+      conversationId,
+      status: "running",
+      createdAt: new Date().toISOString(),
+      signal: controller.signal,
+
+      // Appends an event to the log and writes it to every attached client.
+      emit(payload) {
+        const id = events.length + 1;
+        const frame = `id: ${id}\ndata: ${JSON.stringify(payload)}\n\n`;
+        events.push(frame);
+        for (const res of clients) res.write(frame);
+        return id;
+      },
+
+      // Replays events after `lastEventId`, then follows live until the generation ends.
+      attach(res, lastEventId = 0) {
+        const from = Math.max(0, Math.min(events.length, parseInt(lastEventId, 10) || 0));
+        for (const frame of events.slice(from)) res.write(frame);
+        if (gen.status !== "running") return res.end();
+
+        clearTimeout(idleTimer);
+        clients.add(res);
+        res.on("close", () => {
+          clients.delete(res);
+          if (gen.status === "running" && clients.size === 0) {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => gen.abort("client disconnected"), graceMs);
+          }
+        });
+      },
+
+      abort(reason = "aborted") {
+        if (gen.status !== "running") return false;
+        gen.abortReason = reason;
+        controller.abort(new DOMException(`Generation aborted: ${reason}`, "AbortError"));
+        return true;
+      },
+
+      finish(status = "done") {
+        if (gen.finishedAt) return;
+        clearTimeout(idleTimer);
+        gen.status = status;
+        gen.finishedAt = new Date().toISOString();
+        for (const res of clients) res.end();
+        clients.clear();
+        setTimeout(() => generations.delete(gen.id), retainMs).unref();
+      },
+    };
+
+    generations.set(gen.id, gen);
+    return gen;
+  }
+
+  function get(id) {
+    return generations.get(id) || null;
+  }
+
+  return { create, get };
+}
@@ -0,0 +1,111 @@
+// Background indexer for the per-repo code index (search + symbols).
+//
+// A run lists the repo tree, fetches text files whose blob sha changed since
+// the last run, and stores their contents and symbols. Runs are queued and
+// processed one at a time so a large repo can't flood the GitHub API; progress
+// is written to the store so status survives restarts.
+
+import { isContextCandidate, tokenize } from "./context.js";
+import { extractSymbols, supportsSymbols } from "./symbols.js";
+
+/**
+ * listTree(repo) -> { ref, files: [{ path, sha, size }] }
+ * readFile(repo, path, ref) -> { skipped, reason?, content? } (getFileContentFromGitHub)
+ */
+export function createRepoIndexer({ store, listTree, readFile, maxBytes, progressEvery = 25 }) {
+  const queued = new Set();
+  let queue = Promise.resolve();
+
+  async function run(repo, { force }) {
+    const startedAt = new Date().toISOString();
+    store.setRepoIndexStatus(repo, { status: "indexing", startedAt, finishedAt: null, error: null });
+    try {
+      const { ref, files } = await listTree(repo);
+      const candidates = files.filter((f) => isContextCandidate(f.path));
+      const known = force ? new Map() : store.getIndexedFiles(repo);
+
+      const current = new Set(candidates.map((f) => f.path));
+      store.removeIndexedFiles(repo, [...known.keys()].filter((p) => !current.has(p)));
+
+      let indexedCount = 0;
+      let skippedCount = 0;
+      const todo = [];
+      for (const f of candidates) {
+        const prev = known.get(f.path);
+        if (!f.sha || prev?.sha !== f.sha) todo.push(f);
+        else if (prev.skipped) skippedCount++;
+        else indexedCount++;
+      }
+      store.setRepoIndexStatus(repo, { ref, fileCount: candidates.length, indexedCount, skippedCount });
+
+      for (const [i, f] of todo.entries()) {
+        let entry;
+        if (Number.isFinite(f.size) && f.size > maxBytes) {
+          // Known from the tree listing; no need to download it.
+          entry = { ...f, skipped: `File too large (${f.size} bytes > ${maxBytes})` };
+        } else {
+          try {
+            const r = await readFile(repo, f.path, ref);
+            entry = r.skipped
+              ? { ...f, skipped: r.reason || "skipped" }
+              : {
+                  ...f,
+                  content: r.content,
+                  terms: [...new Set(tokenize(r.content))].join(" "),
+                  symbols: supportsSymbols(f.path) ? extractSymbols(f.path, r.content) : [],
+                };
+          } catch (e) {
+            // Not recorded, so the next run retries it.
+            console.warn(`Index ${repo}:${f.path} failed:`, e.message);
+            skippedCount++;
+            continue;
+          }
+        }
+        store.saveIndexedFile(repo, entry);
+        if (entry.skipped) skippedCount++;
+        else indexedCount++;
+        if ((i + 1) % progressEvery === 0) store.setRepoIndexStatus(repo, { indexedCount, skippedCount });
+      }
+
+      return store.setRepoIndexStatus(repo, {
+        status: "ready",
+        indexedCount,
+        skippedCount,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (e) {
+      console.error(`Index ${repo} failed:`, e);
+      try {
+        return store.setRepoIndexStatus(repo, { status: "error", error: e.message, finishedAt: new Date().toISOString() });
+      } catch (statusErr) {
+        console.error(`Index ${repo}: saving the error status failed:`, statusErr);
+        return null;
+      }
+    }
+  }
+
+  // Queues a run unless one is already queued or running for the repo.
+  function start(repo, { force = false } = {}) {
+    if (!queued.has(repo)) {
+      queued.add(repo);
+      store.setRepoIndexStatus(repo, { status: "queued", error: null });
+      // The chain must always settle, or every later run would be skipped.
+      queue = queue
+        .then(() => run(repo, { force }))
+        .catch((e) => console.error(`Index ${repo} failed:`, e))
+        .finally(() => queued.delete(repo));
+    }
+    return status(repo);
+  }
+
+  // status: none | queued | indexing | ready | error | interrupted (a run cut
+  // short by a restart; the files it stored are kept and the next run resumes).
+  function status(repo) {
+    const s = store.getRepoIndexStatus(repo);
+    if (!s) return { repo, status: "none", fileCount: 0, indexedCount: 0, skippedCount: 0 };
+    if ((s.status === "indexing" || s.status === "queued") && !queued.has(repo)) return { ...s, status: "interrupted" };
+    return s;
+  }
+
+  return { start, status };
+}
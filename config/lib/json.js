@@ -0,0 +1,27 @@
+// Small JSON file helpers shared by the server and its stores
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export async function readJson(filePath, defaultValue) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return defaultValue;
+  }
+}
+
+// Writes a temp file and renames it into place, so a crash or a failed write
+// mid-way never leaves a truncated file for readJson to fall back from.
+export async function writeJson(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), "utf8");
+    await fs.rename(tmpPath, filePath);
+  } catch (e) {
+    await fs.rm(tmpPath, { force: true });
+    throw e;
+  }
+}
@@ -0,0 +1,244 @@
+// Usage + cost ledger.
+//
+// Every billed model call is appended as one JSON line to the ledger file, and a
+// rollup (totals, per-day, per-month, per-model/provider/repo/conversation) is
+// kept in stats.json so the admin page never has to scan the whole ledger.
+
+import fs from "fs/promises";
+import path from "path";
+import { readJson, writeJson } from "./json.js";
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "kind",
+  "conversationId",
+  "repo",
+  "modelKey",
+  "model",
+  "provider",
+  "inputTokens",
+  "outputTokens",
+  "cacheReadTokens",
+  "cacheWriteTokens",
+  "reasoningTokens",
+  "reasoningCost",
+  "cost",
+];
+
+const NO_REPO = "(none)";
+
+export function createEmptyStats() {
+  return {
+    totalCost: 0,
+    requestCount: 0,
+    totalInputTokens: 0,
+    totalOutputTokens: 0,
+    dailyStats: {},
+    monthlyStats: {},
+    byModel: {},
+    byProvider: {},
+    byRepo: {},
+    byConversation: {},
+    since: new Date().toISOString(),
+  };
+}
+
+function emptyBucket() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    reasoningTokens: 0,
+    cost: 0,
+    reasoningCost: 0,
+  };
+}
+
+// Buckets and ledger lines from before prompt caching (and reasoning tracking)
+// lack those fields.
+function addToBucket(bucket, entry) {
+  bucket.requests += 1;
+  bucket.inputTokens += entry.inputTokens;
+  bucket.outputTokens += entry.outputTokens;
+  bucket.cacheReadTokens = (bucket.cacheReadTokens || 0) + (entry.cacheReadTokens || 0);
+  bucket.cacheWriteTokens = (bucket.cacheWriteTokens || 0) + (entry.cacheWriteTokens || 0);
+  bucket.reasoningTokens = (bucket.reasoningTokens || 0) + (entry.reasoningTokens || 0);
+  bucket.cost += entry.cost;
+  bucket.reasoningCost = (bucket.reasoningCost || 0) + (entry.reasoningCost || 0);
+  return bucket;
+}
+
+function addKeyed(map, key, entry) {
+  map[key] = addToBucket(map[key] || emptyBucket(), entry);
+}
+
+export function dayKey(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+export function monthKey(ts) {
+  return new Date(ts).toISOString().slice(0, 7);
+}
+
+// Per-period buckets also carry a per-repo split, which the budget checks use.
+function addPeriod(map, key, entry) {
+  const bucket = map[key] || { ...emptyBucket(), byRepo: {} };
+  addToBucket(bucket, entry);
+  addKeyed(bucket.byRepo, entry.repo || NO_REPO, entry);
+  map[key] = bucket;
+}
+
+export function normalizeEntry(entry) {
+  const num = (v) => (Number.isFinite(v) && v > 0 ? v : 0);
+  return {
+    timestamp: entry.timestamp || new Date().toISOString(),
+    kind: entry.kind || "chat",
+    conversationId: entry.conversationId || null,
+    repo: entry.repo || null,
+    modelKey: entry.modelKey || null,
+    model: entry.model || null,
+    displayName: entry.displayName || entry.model || null,
+    provider: entry.provider || null,
+    inputTokens: num(entry.inputTokens),
+    outputTokens: num(entry.outputTokens),
+    cacheReadTokens: num(entry.cacheReadTokens),
+    cacheWriteTokens: num(entry.cacheWriteTokens),
+    reasoningTokens: num(entry.reasoningTokens),
+    cost: num(entry.cost),
+    reasoningCost: num(entry.reasoningCost),
+  };
+}
+
+export function applyEntry(stats, entry) {
+  stats.totalCost += entry.cost;
+  stats.requestCount += 1;
+  stats.totalInputTokens += entry.inputTokens;
+  stats.totalOutputTokens += entry.outputTokens;
+
+  addPeriod(stats.dailyStats, dayKey(entry.timestamp), entry);
+  addPeriod(stats.monthlyStats, monthKey(entry.timestamp), entry);
+
+  addKeyed(stats.byModel, entry.displayName || entry.model || "unknown", entry);
+  addKeyed(stats.byProvider, entry.provider || "unknown", entry);
+  addKeyed(stats.byRepo, entry.repo || NO_REPO, entry);
+  if (entry.conversationId) addKeyed(stats.byConversation, entry.conversationId, entry);
+  return stats;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function entriesToCsv(entries) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const e of entries) {
+    lines.push(CSV_COLUMNS.map((c) => csvCell(e[c])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function inRange(entry, { from, to }) {
+  const day = dayKey(entry.timestamp);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return true;
+}
+
+const GROUP_FIELDS = {
+  model: (e) => e.displayName || e.model || "unknown",
+  provider: (e) => e.provider || "unknown",
+  repo: (e) => e.repo || NO_REPO,
+  conversation: (e) => e.conversationId || "(none)",
+  kind: (e) => e.kind,
+};
+
+/**
+ * Groups ledger entries by period ("day" | "month") and optionally by one
+ * dimension ("model" | "provider" | "repo" | "conversation" | "kind").
+ */
+export function aggregateEntries(entries, { period = "day", by = null } = {}) {
+  const periodOf = period === "month" ? monthKey : dayKey;
+  const keyOf = by ? GROUP_FIELDS[by] : null;
+  if (by && !keyOf) throw new Error(`Unknown grouping: ${by}`);
+
+  const rows = new Map();
+  for (const e of entries) {
+    const p = periodOf(e.timestamp);
+    const k = keyOf ? keyOf(e) : null;
+    const id = `${p}\u0000${k ?? ""}`;
+    if (!rows.has(id)) rows.set(id, { period: p, ...(keyOf ? { [by]: k } : {}), ...emptyBucket() });
+    addToBucket(rows.get(id), e);
+  }
+
+  return [...rows.values()].sort(
+    (a, b) => a.period.localeCompare(b.period) || (b.cost - a.cost)
+  );
+}
+
+export function createUsageLedger({ statsPath, ledgerPath }) {
+  // Serialize writes so concurrent chats can't clobber each other's rollup.
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function getStats() {
+    const stats = await readJson(statsPath, null);
+    return stats ? { ...createEmptyStats(), ...stats } : createEmptyStats();
+  }
+
+  async function readEntries(range = {}) {
+    let raw = "";
+    try {
+      raw = await fs.readFile(ledgerPath, "utf8");
+    } catch {
+      return [];
+    }
+    const out = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (inRange(entry, range)) out.push(entry);
+      } catch {
+        // skip torn/partial lines
+      }
+    }
+    return out;
+  }
+
+  function record(rawEntry) {
+    const entry = normalizeEntry(rawEntry);
+    return enqueue(async () => {
+      await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+      await fs.appendFile(ledgerPath, JSON.stringify(entry) + "\n", "utf8");
+      const stats = await getStats();
+      await writeJson(statsPath, applyEntry(stats, entry));
+      return entry;
+    });
+  }
+
+  async function aggregate(options = {}) {
+    const entries = await readEntries(options);
+    return aggregateEntries(entries, options);
+  }
+
+  async function exportCsv(range = {}) {
+    return entriesToCsv(await readEntries(range));
+  }
+
+  function reset() {
+    return enqueue(async () => {
+      await fs.rm(ledgerPath, { force: true });
+      await fs.rm(statsPath, { force: true });
+    });
+  }
+
+  return { record, getStats, readEntries, aggregate, exportCsv, reset };
+}
@@ -0,0 +1,140 @@
+// Fits a chat request into the model's context window.
+//
+// The budget is contextWindow - maxOutputTokens. In order:
+//   1. the system prompt, per-turn context and the new user message are always sent;
+//   2. the conversation summary, then the latest history up to HISTORY_SHARE
+//      of what is left;
+//   3. files, smallest first, each up to an even share of the rest. A file over
+//      its share is cut down to its outline and as many leading lines as fit,
+//      or left out when even that doesn't fit;
+//   4. whatever the files leave goes to older history.
+//
+// Dropped history never starts the kept part on an assistant turn.
+
+import { extractSymbols, supportsSymbols } from "./symbols.js";
+
+const HISTORY_SHARE = 0.4;
+const OUTLINE_SHARE = 0.4; // of a shortened file's allowance
+const MIN_FILE_TOKENS = 120; // below this a file is omitted rather than shortened
+export const DEFAULT_CONTEXT_WINDOW = 128000;
+export const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+export function fileBlock(path, content) {
+  return `--- FILE: ${path} ---\n${content}\n`;
+}
+
+// Outline plus the head of the file within `allowance` tokens, or null.
+function shortenFile(path, content, allowance, countText) {
+  if (allowance < MIN_FILE_TOKENS) return null;
+  const lines = content.split("\n");
+  const symbols = supportsSymbols(path) ? extractSymbols(path, content) : [];
+
+  let used = countText(fileBlock(path, "")) + 40; // header and the note below
+  const outline = [];
+  const outlineBudget = symbols.length ? Math.floor(allowance * OUTLINE_SHARE) : 0;
+  for (const s of symbols) {
+    const line = `L${s.line} ${s.signature}`;
+    const t = countText(line) + 1;
+    if (used + t > outlineBudget) break;
+    outline.push(line);
+    used += t;
+  }
+  const head = [];
+  for (const line of lines) {
+    const t = countText(line) + 1;
+    if (used + t > allowance) break;
+    head.push(line);
+    used += t;
+  }
+  if (!head.length && !outline.length) return null;
+
+  const note =
+    `[Shortened to fit the context window: ${outline.length ? "outline, then " : ""}` +
+    `lines 1-${head.length} of ${lines.length}. Ask for other parts by line number.]`;
+  const text = [note, ...(outline.length ? ["OUTLINE:", ...outline, "BEGINNING:"] : []), ...head].join("\n");
+  return { content: text, mode: outline.length ? "outline" : "truncated" };
+}
+
+/**
+ * Decides what of a request is sent. `count` is a token counter from
+ * createTokenCounter(). Returns { files, summary, history, report } where files
+ * maps path -> content to send (possibly shortened), summary is the summary
+ * message or null and history the kept messages (oldest first).
+ */
+export function packContext({ modelConfig = {}, count, required = [], summary = null, history = [], files = {} }) {
+  const contextWindow = modelConfig.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  const maxOutputTokens = Math.min(modelConfig.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS, contextWindow);
+  const available = Math.max(0, contextWindow - maxOutputTokens);
+
+  const requiredTokens = count.messages(required);
+  let remaining = Math.max(0, available - requiredTokens);
+
+  // Summary first: it stands in for everything older than the history.
+  let summaryTokens = summary ? count.messages([summary]) : 0;
+  const keepSummary = !!summary && summaryTokens <= remaining;
+  if (keepSummary) remaining -= summaryTokens;
+  else summaryTokens = 0;
+
+  // Newest history up to its share.
+  const historyCosts = history.map((m) => count.messages([m]));
+  let firstKept = history.length;
+  let historyTokens = 0;
+  const takeHistory = (limit) => {
+    while (firstKept > 0 && historyTokens + historyCosts[firstKept - 1] <= limit) {
+      firstKept--;
+      historyTokens += historyCosts[firstKept];
+    }
+  };
+  takeHistory(Math.floor(remaining * HISTORY_SHARE));
+  remaining -= historyTokens;
+
+  // Files, smallest first, each up to an even share of what's left.
+  const entries = Object.entries(files)
+    .map(([path, content]) => ({ path, content, tokens: count.text(fileBlock(path, content)) }))
+    .sort((a, b) => a.tokens - b.tokens || a.path.localeCompare(b.path));
+  const sent = {};
+  const fileReport = [];
+  entries.forEach((e, i) => {
+    const share = Math.floor(remaining / (entries.length - i));
+    if (e.tokens <= share) {
+      sent[e.path] = e.content;
+      remaining -= e.tokens;
+      fileReport.push({ path: e.path, tokens: e.tokens, sentTokens: e.tokens, mode: "full" });
+      return;
+    }
+    const short = shortenFile(e.path, e.content, share, count.text);
+    const sentTokens = short ? count.text(fileBlock(e.path, short.content)) : 0;
+    if (short) {
+      sent[e.path] = short.content;
+      remaining -= sentTokens;
+    }
+    fileReport.push({ path: e.path, tokens: e.tokens, sentTokens, mode: short ? short.mode : "omitted" });
+  });
+  const filesTokens = fileReport.reduce((n, f) => n + f.sentTokens, 0);
+
+  // Leftovers go to older history; never start on an assistant turn.
+  takeHistory(historyTokens + remaining);
+  while (firstKept < history.length && history[firstKept].role === "assistant") {
+    historyTokens -= historyCosts[firstKept];
+    firstKept++;
+  }
+
+  const used = requiredTokens + summaryTokens + historyTokens + filesTokens;
+  return {
+    files: sent,
+    summary: keepSummary ? summary : null,
+    history: history.slice(firstKept),
+    report: {
+      tokenizer: count.family,
+      calibration: count.factor,
+      contextWindow,
+      maxOutputTokens,
+      available,
+      used,
+      overBudget: used > available,
+      parts: { required: requiredTokens, summary: summaryTokens, history: historyTokens, files: filesTokens },
+      droppedMessages: firstKept + (summary && !keepSummary ? 1 : 0),
+      files: fileReport.sort((a, b) => a.path.localeCompare(b.path)),
+    },
+  };
+}
@@ -0,0 +1,456 @@
+// Parses patch-style answers (unified diffs and SEARCH/REPLACE blocks) and applies
+// them to file contents, with fuzzy hunk matching and per-hunk conflict reports.
+
+const FUZZ_CONTEXT_LINES = 2; // like `patch --fuzz=2`: context lines we may drop from each end
+const DIFF_CONTEXT_LINES = 3;
+const MAX_LCS_CELLS = 4_000_000; // beyond this the changed region is diffed as one replace block
+
+/* ----------------------- parsing ----------------------- */
+
+function cleanDiffPath(raw) {
+  let p = String(raw || "").split("\t")[0].trim();
+  if (p === "/dev/null") return null;
+  p = p.replace(/^["']|["']$/g, "");
+  if (/^[ab]\//.test(p)) p = p.slice(2);
+  return p || null;
+}
+
+function cleanLoosePath(line) {
+  let p = String(line || "").trim();
+  p = p.replace(/^(?:\/\/|#|<!--|\/\*|\*)\s*/, "").replace(/\s*(?:-->|\*\/)$/, "");
+  p = p.replace(/^filepath:\s*/i, "");
+  p = p.replace(/^[`*_]+|[`*_:]+$/g, "").trim();
+  return /^[\w.\-/@+]+$/.test(p) && !p.includes("..") ? p : null;
+}
+
+const HUNK_HEADER = /^@@\s*(?:-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s*)?@@/;
+
+function isDiffMetaLine(line) {
+  return /^(?:diff --git |index |new file mode |deleted file mode |old mode |new mode |similarity index |rename from |rename to )/.test(line);
+}
+
+function parseUnifiedDiffs(lines) {
+  const files = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("--- ") || !lines[i + 1]?.startsWith("+++ ")) continue;
+
+    const oldPath = cleanDiffPath(lines[i].slice(4));
+    const newPath = cleanDiffPath(lines[i + 1].slice(4));
+    const file = {
+      path: newPath || oldPath,
+      format: "diff",
+      action: !oldPath ? "create" : !newPath ? "delete" : "update",
+      hunks: [],
+    };
+    i += 2;
+
+    let hunk = null;
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+      const header = HUNK_HEADER.exec(line);
+      if (header) {
+        hunk = { oldStart: header[1] ? parseInt(header[1], 10) : null, header: line, lines: [] };
+        file.hunks.push(hunk);
+        continue;
+      }
+      if (line.startsWith("```") || isDiffMetaLine(line)) break;
+      if (line.startsWith("--- ") && lines[i + 1]?.startsWith("+++ ")) break;
+      if (!hunk) continue;
+      if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+
+      const op = line[0];
+      if (op === "+" || op === "-" || op === " ") hunk.lines.push({ op, text: line.slice(1) });
+      else if (line === "") hunk.lines.push({ op: " ", text: "", loose: true });
+      else break;
+    }
+    i -= 1;
+
+    for (const h of file.hunks) {
+      // Blank lines after a diff are usually prose spacing, not real context.
+      while (h.lines.length && h.lines[h.lines.length - 1].loose) h.lines.pop();
+    }
+    file.hunks = file.hunks.filter((h) => h.lines.length > 0);
+    if (file.path && (file.hunks.length || file.action === "delete")) files.push(file);
+  }
+  return files;
+}
+
+function parseSearchReplace(lines, defaultPath) {
+  const files = new Map();
+  let lastPath = defaultPath || null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*<{5,9} SEARCH\s*$/.test(line)) {
+      const search = [];
+      const replace = [];
+      let j = i + 1;
+      while (j < lines.length && !/^\s*={5,9}\s*$/.test(lines[j])) search.push(lines[j++]);
+      j += 1;
+      while (j < lines.length && !/^\s*>{5,9} REPLACE\s*$/.test(lines[j])) replace.push(lines[j++]);
+      i = j;
+
+      if (!lastPath) continue;
+      if (!files.has(lastPath)) {
+        files.set(lastPath, { path: lastPath, format: "search-replace", action: "update", blocks: [] });
+      }
+      files.get(lastPath).blocks.push({ search: search.join("\n"), replace: replace.join("\n") });
+      continue;
+    }
+
+    // The file a block belongs to is named just before it (bare path line or filepath: header).
+    if (line.trim() && !line.startsWith("```")) {
+      const p = cleanLoosePath(line);
+      if (p && (p.includes("/") || p.includes("."))) lastPath = p;
+    }
+  }
+  return [...files.values()];
+}
+
+/**
+ * Finds every file patch in an answer. Returns
+ * [{ path, format: "diff" | "search-replace", action, hunks? , blocks? }].
+ * `defaultPath` names the file for SEARCH/REPLACE blocks that don't say.
+ */
+export function parsePatches(text, { defaultPath } = {}) {
+  const lines = String(text || "").split(/\r?\n/);
+  const out = [...parseUnifiedDiffs(lines), ...parseSearchReplace(lines, defaultPath)];
+
+  // Merge multiple patches for the same path (e.g. two diff blocks for one file).
+  const byPath = new Map();
+  for (const f of out) {
+    const prev = byPath.get(f.path);
+    if (!prev) byPath.set(f.path, f);
+    else if (prev.format === f.format && f.format === "diff") prev.hunks.push(...f.hunks);
+    else if (prev.format === f.format) prev.blocks.push(...f.blocks);
+    else byPath.set(`${f.path}\u0000${f.format}`, f);
+  }
+  return [...byPath.values()];
+}
+
+export function hasPatchContent(text) {
+  const s = String(text || "");
+  return /^--- .+\n\+\+\+ .+\n@@/m.test(s) || /^\s*<{5,9} SEARCH\s*$/m.test(s);
+}
+
+/* ----------------------- applying ----------------------- */
+
+function splitLines(text) {
+  const s = String(text ?? "");
+  if (s === "") return { lines: [], eol: "\n", trailingNewline: true };
+  const eol = s.includes("\r\n") ? "\r\n" : "\n";
+  const lines = s.split(/\r?\n/);
+  const trailingNewline = lines.length > 1 && lines[lines.length - 1] === "";
+  if (trailingNewline) lines.pop();
+  return { lines, eol, trailingNewline };
+}
+
+function joinLines({ lines, eol, trailingNewline }) {
+  return lines.join(eol) + (trailingNewline && lines.length ? eol : "");
+}
+
+const MATCHERS = [
+  { name: "exact", eq: (a, b) => a === b },
+  { name: "whitespace", eq: (a, b) => a.trimEnd() === b.trimEnd() },
+  { name: "indentation", eq: (a, b) => a.trim() === b.trim() },
+];
+
+function matchesAt(lines, pos, want, eq) {
+  if (pos < 0 || pos + want.length > lines.length) return false;
+  for (let k = 0; k < want.length; k++) {
+    if (!eq(lines[pos + k], want[k])) return false;
+  }
+  return true;
+}
+
+// Search outward from `expected`, never before `floor` (the end of the previous hunk).
+function locate(lines, want, expected, floor, eq) {
+  const max = lines.length - want.length;
+  if (max < floor) return -1;
+  const start = Math.min(Math.max(expected, floor), max);
+  for (let d = 0; start - d >= floor || start + d <= max; d++) {
+    if (start + d <= max && matchesAt(lines, start + d, want, eq)) return start + d;
+    if (d > 0 && start - d >= floor && matchesAt(lines, start - d, want, eq)) return start - d;
+  }
+  return -1;
+}
+
+function trimContext(hunkLines, lead, trail) {
+  let leadCtx = 0;
+  while (leadCtx < hunkLines.length && hunkLines[leadCtx].op === " ") leadCtx++;
+  let trailCtx = 0;
+  while (trailCtx < hunkLines.length - leadCtx && hunkLines[hunkLines.length - 1 - trailCtx].op === " ") trailCtx++;
+  if (lead > leadCtx || trail > trailCtx) return null;
+  return { lines: hunkLines.slice(lead, hunkLines.length - trail), lead };
+}
+
+function applyOneHunk(lines, hunk, expected, floor) {
+  const variants = [];
+  for (let fuzz = 0; fuzz <= FUZZ_CONTEXT_LINES; fuzz++) {
+    for (const [lead, trail] of fuzz === 0 ? [[0, 0]] : [[fuzz, 0], [0, fuzz], [fuzz, fuzz]]) {
+      const v = trimContext(hunk.lines, lead, trail);
+      if (v) variants.push({ ...v, fuzz });
+    }
+  }
+
+  for (const variant of variants) {
+    const want = variant.lines.filter((l) => l.op !== "+").map((l) => l.text);
+    if (want.length === 0) {
+      // Pure insertion: trust the line number.
+      const at = Math.min(Math.max(expected, floor), lines.length);
+      return { pos: at, variant, matcher: "position", oldLen: 0 };
+    }
+    for (const m of MATCHERS) {
+      const pos = locate(lines, want, expected + variant.lead, floor, m.eq);
+      if (pos >= 0) return { pos, variant, matcher: m.name, oldLen: want.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies unified-diff hunks. Hunks that can't be placed are reported as
+ * conflicts and skipped; the rest still apply.
+ */
+export function applyHunks(original, hunks) {
+  const doc = splitLines(original);
+  const results = [];
+  let delta = 0;
+  let floor = 0;
+
+  hunks.forEach((hunk, index) => {
+    const expected = hunk.oldStart ? Math.max(0, hunk.oldStart - 1 + delta) : floor;
+    const found = applyOneHunk(doc.lines, hunk, expected, floor);
+
+    if (!found) {
+      const firstOld = hunk.lines.find((l) => l.op !== "+");
+      results.push({
+        index,
+        header: hunk.header,
+        status: "conflict",
+        reason: firstOld
+          ? `Could not find the hunk's context (first line: ${JSON.stringify(firstOld.text.slice(0, 80))})`
+          : "Could not place the hunk",
+        expectedLine: expected + 1,
+      });
+      return;
+    }
+
+    // Context lines keep the file's own text; only +/- lines come from the patch.
+    const replacement = [];
+    let k = found.pos;
+    for (const l of found.variant.lines) {
+      if (l.op === "+") replacement.push(l.text);
+      else if (l.op === " ") replacement.push(doc.lines[k++]);
+      else k++;
+    }
+    doc.lines.splice(found.pos, found.oldLen, ...replacement);
+
+    const fuzzy = found.variant.fuzz > 0 || !["exact", "position"].includes(found.matcher);
+    results.push({
+      index,
+      header: hunk.header,
+      status: fuzzy ? "applied-fuzzy" : "applied",
+      line: found.pos + 1,
+      ...(hunk.oldStart && found.pos !== expected + found.variant.lead
+        ? { offset: found.pos - (expected + found.variant.lead) }
+        : {}),
+      ...(fuzzy ? { fuzz: found.variant.fuzz, matcher: found.matcher } : {}),
+    });
+
+    delta += found.pos - found.variant.lead - expected + replacement.length - found.oldLen;
+    floor = found.pos + replacement.length;
+  });
+
+  return { content: joinLines(doc), results };
+}
+
+/** Applies SEARCH/REPLACE blocks in order, each against the result of the previous one. */
+export function applySearchReplace(original, blocks) {
+  let content = String(original ?? "");
+  const results = [];
+
+  blocks.forEach((block, index) => {
+    if (block.search === "") {
+      if (content === "") {
+        content = block.replace.endsWith("\n") ? block.replace : `${block.replace}\n`;
+        results.push({ index, status: "applied" });
+      } else {
+        results.push({ index, status: "conflict", reason: "Empty SEARCH on a file that already has content" });
+      }
+      return;
+    }
+
+    const at = content.indexOf(block.search);
+    if (at >= 0) {
+      const again = content.indexOf(block.search, at + 1) >= 0;
+      content = content.slice(0, at) + block.replace + content.slice(at + block.search.length);
+      results.push({ index, status: "applied", ...(again ? { note: "SEARCH matched more than once; replaced the first" } : {}) });
+      return;
+    }
+
+    const doc = splitLines(content);
+    const want = splitLines(block.search).lines;
+    for (const m of MATCHERS.slice(1)) {
+      const pos = locate(doc.lines, want, 0, 0, m.eq);
+      if (pos >= 0) {
+        doc.lines.splice(pos, want.length, ...splitLines(block.replace).lines);
+        content = joinLines(doc);
+        results.push({ index, status: "applied-fuzzy", matcher: m.name, line: pos + 1 });
+        return;
+      }
+    }
+
+    results.push({
+      index,
+      status: "conflict",
+      reason: `SEARCH text not found (first line: ${JSON.stringify(want[0]?.slice(0, 80) || "")})`,
+    });
+  });
+
+  return { content, results };
+}
+
+/**
+ * Applies one parsed file patch to its current content.
+ * `current` is { exists, content } for the file on the target ref.
+ */
+export function applyFilePatch(patch, current) {
+  const exists = !!current?.exists;
+  const before = exists ? current.content : "";
+
+  if (patch.action === "delete") {
+    if (!exists) return { path: patch.path, action: "delete", status: "conflict", reason: "File does not exist", results: [] };
+    return { path: patch.path, action: "delete", status: "applied", before, content: null, results: [] };
+  }
+  if (patch.action === "create" && exists) {
+    return { path: patch.path, action: "create", status: "conflict", reason: "File already exists", results: [] };
+  }
+  if (patch.action === "update" && !exists && patch.format === "diff") {
+    return { path: patch.path, action: "update", status: "conflict", reason: "File does not exist", results: [] };
+  }
+
+  const { content, results } =
+    patch.format === "diff" ? applyHunks(before, patch.hunks) : applySearchReplace(before, patch.blocks);
+
+  const conflicts = results.filter((r) => r.status === "conflict").length;
+  const status = conflicts === 0 ? "applied" : conflicts === results.length ? "conflict" : "partial";
+  return {
+    path: patch.path,
+    action: exists ? "update" : "create",
+    status,
+    before,
+    content,
+    results,
+  };
+}
+
+/* ----------------------- diff output ----------------------- */
+
+// Line-level edit script: [{ op: " " | "-" | "+", text }]
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = [];
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_LCS_CELLS) {
+    for (const t of midA) middle.push({ op: "-", text: t });
+    for (const t of midB) middle.push({ op: "+", text: t });
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = midA[i] === midB[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        middle.push({ op: " ", text: midA[i] });
+        i++;
+        j++;
+      } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+        middle.push({ op: "-", text: midA[i++] });
+      } else {
+        middle.push({ op: "+", text: midB[j++] });
+      }
+    }
+    while (i < n) middle.push({ op: "-", text: midA[i++] });
+    while (j < m) middle.push({ op: "+", text: midB[j++] });
+  }
+
+  return [
+    ...a.slice(0, start).map((text) => ({ op: " ", text })),
+    ...middle,
+    ...a.slice(endA).map((text) => ({ op: " ", text })),
+  ];
+}
+
+/** Renders a unified diff between two file versions (null = file absent). */
+export function createUnifiedDiff(filePath, before, after, context = DIFF_CONTEXT_LINES) {
+  const a = before === null || before === undefined ? [] : splitLines(before).lines;
+  const b = after === null || after === undefined ? [] : splitLines(after).lines;
+  const ops = diffLines(a, b);
+  if (!ops.some((o) => o.op !== " ")) return "";
+
+  const header = [
+    `--- ${before === null || before === undefined ? "/dev/null" : `a/${filePath}`}`,
+    `+++ ${after === null || after === undefined ? "/dev/null" : `b/${filePath}`}`,
+  ];
+
+  // Group changes into hunks with `context` lines around each.
+  const out = [];
+  let i = 0;
+  let oldLine = 1;
+  let newLine = 1;
+  const pos = ops.map((o) => {
+    const p = { o, oldLine, newLine };
+    if (o.op !== "+") oldLine++;
+    if (o.op !== "-") newLine++;
+    return p;
+  });
+
+  while (i < pos.length) {
+    while (i < pos.length && pos[i].o.op === " ") i++;
+    if (i >= pos.length) break;
+    let start = Math.max(0, i - context);
+    let end = i;
+    while (end < pos.length) {
+      if (pos[end].o.op !== " ") {
+        end++;
+        continue;
+      }
+      let run = 0;
+      while (end + run < pos.length && pos[end + run].o.op === " ") run++;
+      if (end + run >= pos.length || run > context * 2) {
+        end = Math.min(pos.length, end + context);
+        break;
+      }
+      end += run;
+    }
+
+    const slice = pos.slice(start, end);
+    const oldCount = slice.filter((p) => p.o.op !== "+").length;
+    const newCount = slice.filter((p) => p.o.op !== "-").length;
+    const oldStart = oldCount ? slice.find((p) => p.o.op !== "+").oldLine : slice[0].oldLine - 1;
+    const newStart = newCount ? slice.find((p) => p.o.op !== "-").newLine : slice[0].newLine - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const p of slice) out.push(`${p.o.op}${p.o.text}`);
+    i = end;
+  }
+
+  return [...header, ...out].join("\n") + "\n";
+}
@@ -0,0 +1,381 @@
+// Minimal PDF text extraction, enough to hand a spec's text to a model.
+//
+// Not a renderer: every content stream is inflated (FlateDecode or unfiltered)
+// and the strings shown by the text operators (Tj, TJ, ', ") are collected, with
+// a line break on each vertical text move. Strings are decoded through the
+// current font's ToUnicode CMap when it has one, else as Latin-1. Scanned PDFs
+// have no text operators and yield "".
+
+import zlib from "zlib";
+
+const WHITESPACE = new Set([" ", "\t", "\r", "\n", "\f", "\0"]);
+const DELIMITERS = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+
+// Decoded bytes allowed per stream, per character of text the caller will take
+// (operators and positioning outweigh the text), and in total as a number of
+// full-size streams, so a deflate bomb can't exhaust memory.
+const STREAM_BYTES_PER_CHAR = 8;
+const MAX_FULL_STREAMS = 4;
+
+// Null when the data is broken or inflates past maxBytes (a deflate bomb).
+function inflate(buf, maxBytes) {
+  try {
+    return zlib.inflateSync(buf, { maxOutputLength: maxBytes });
+  } catch (e) {
+    if (e instanceof RangeError) return null;
+    // Some writers leave a truncated or unterminated deflate stream.
+    try {
+      return zlib.inflateSync(buf, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: maxBytes });
+    } catch {
+      return null;
+    }
+  }
+}
+
+// `budget` is { perStream, left }: decoded bytes allowed for one stream and in total.
+function decodeStream(dict, raw, budget) {
+  const maxBytes = Math.min(budget.perStream, budget.left);
+  if (maxBytes <= 0) return null;
+  let data;
+  if (!/\/Filter/.test(dict)) {
+    data = raw.length > maxBytes ? null : raw;
+  } else {
+    // Only Flate is worth decoding; DCT/JPX are images and the rest are rare for text.
+    if (!/\/FlateDecode/.test(dict) || /\/(?:DCT|JPX|CCITTFax|JBIG2|LZW|RunLength|ASCII85|ASCIIHex)Decode/.test(dict)) return null;
+    data = inflate(raw, maxBytes);
+  }
+  if (!data) return null;
+  budget.left -= data.length;
+  return data.toString("latin1");
+}
+
+// `stream` at `at` opens stream data: a keyword (not the end of `endstream`)
+// followed by an EOL.
+function isStreamKeyword(src, at) {
+  const eol = src[at + 6] === "\r" ? at + 7 : at + 6;
+  return !/\w/.test(src[at - 1] || "") && src[eol] === "\n";
+}
+
+// Indirect objects in file order: [{ num, dict, stream }] where stream is the
+// decoded data (Latin-1) or null. Objects packed in object streams are included.
+// The keywords are found by scanning forward from the last match, never the
+// rest of the file per object, so this stays linear in the file size.
+function readObjects(src, budget) {
+  const objects = [];
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  // Next `endobj` / `stream` at or after the scan position; -1 once none are left.
+  let endobj = 0;
+  let nextStream = 0;
+  const findStream = (from, limit) => {
+    for (;;) {
+      if (nextStream >= 0 && nextStream < from) nextStream = src.indexOf("stream", from);
+      if (nextStream < 0 || nextStream >= limit) return -1;
+      if (isStreamKeyword(src, nextStream)) return nextStream;
+      from = nextStream + 6;
+    }
+  };
+  let m;
+  while ((m = re.exec(src))) {
+    const bodyStart = m.index + m[0].length;
+    if (endobj >= 0 && endobj < bodyStart) endobj = src.indexOf("endobj", bodyStart);
+    const streamAt = findStream(bodyStart, endobj < 0 ? src.length : endobj);
+    if (streamAt >= 0) {
+      const dict = src.slice(bodyStart, streamAt);
+      const dataStart = src.indexOf("\n", streamAt) + 1;
+      const dataEnd = src.indexOf("endstream", dataStart);
+      if (dataEnd < 0) break;
+      re.lastIndex = dataEnd + 9;
+      const stream = /\/Subtype\s*\/Image/.test(dict)
+        ? null
+        : decodeStream(dict, Buffer.from(src.slice(dataStart, dataEnd).replace(/\r?\n$/, ""), "latin1"), budget);
+      objects.push({ num: Number(m[1]), dict, stream });
+      if (stream && /\/Type\s*\/ObjStm/.test(dict)) objects.push(...readObjectStream(dict, stream));
+    } else {
+      if (endobj < 0) break;
+      re.lastIndex = endobj + 6;
+      objects.push({ num: Number(m[1]), dict: src.slice(bodyStart, endobj), stream: null });
+    }
+  }
+  return objects;
+}
+
+function readObjectStream(dict, data) {
+  const n = Number(dict.match(/\/N\s+(\d+)/)?.[1]);
+  const first = Number(dict.match(/\/First\s+(\d+)/)?.[1]);
+  if (!Number.isFinite(n) || !Number.isFinite(first)) return [];
+  const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+  const out = [];
+  for (let k = 0; k < n; k++) {
+    const start = first + header[2 * k + 1];
+    const end = k + 1 < n ? first + header[2 * k + 3] : data.length;
+    out.push({ num: header[2 * k], dict: data.slice(start, end), stream: null });
+  }
+  return out;
+}
+
+function utf16be(hex) {
+  let out = "";
+  for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  return out;
+}
+
+// bfchar/bfrange entries of a ToUnicode CMap into `map` (source code hex -> text).
+// map.width is the code length in bytes.
+function readCMap(text, map = new Map()) {
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(src.toUpperCase(), utf16be(dst));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst, list] of block[1].matchAll(
+      /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g
+    )) {
+      const from = parseInt(lo, 16);
+      const to = Math.min(parseInt(hi, 16), from + 0xffff);
+      const width = lo.length;
+      const targets = list ? [...list.matchAll(/<([0-9A-Fa-f]*)>/g)].map((t) => t[1]) : null;
+      for (let code = from; code <= to; code++) {
+        const key = code.toString(16).toUpperCase().padStart(width, "0");
+        if (targets) {
+          if (targets[code - from] !== undefined) map.set(key, utf16be(targets[code - from]));
+        } else {
+          const base = parseInt(dst.slice(-4) || "0", 16) + (code - from);
+          map.set(key, utf16be(dst.slice(0, -4)) + String.fromCharCode(base));
+        }
+      }
+    }
+  }
+  map.width = Math.max(map.width || 1, ...[...map.keys()].map((k) => k.length / 2));
+  return map;
+}
+
+// `cmap` is the current font's ToUnicode map, null for a font without one, or
+// the merged map when the font is unknown (then two-byte codes are guessed).
+function decodeString(bytes, isHex, cmap, guess) {
+  if (!cmap?.size) return bytes;
+  const wide = cmap.width === 2 && bytes.length % 2 === 0 && (!guess || isHex || /[\x00-\x08\x0e-\x1f]/.test(bytes));
+  const step = wide ? 2 : 1;
+  let out = "";
+  let hits = 0;
+  for (let i = 0; i < bytes.length; i += step) {
+    let key = "";
+    for (let j = 0; j < step; j++) key += bytes.charCodeAt(i + j).toString(16).toUpperCase().padStart(2, "0");
+    const mapped = cmap.get(key);
+    if (mapped !== undefined) hits++;
+    out += mapped ?? (wide ? "" : bytes[i]);
+  }
+  return hits || !guess ? out : bytes;
+}
+
+function readLiteral(s, i) {
+  let depth = 1;
+  let out = "";
+  for (i++; i < s.length; i++) {
+    const c = s[i];
+    if (c === "\\") {
+      const n = s[++i];
+      if (n === "n") out += "\n";
+      else if (n === "r") out += "\r";
+      else if (n === "t") out += "\t";
+      else if (n === "b") out += "\b";
+      else if (n === "f") out += "\f";
+      else if (n === "\r" || n === "\n") {
+        if (n === "\r" && s[i + 1] === "\n") i++;
+      } else if (/[0-7]/.test(n)) {
+        let oct = n;
+        while (oct.length < 3 && /[0-7]/.test(s[i + 1])) oct += s[++i];
+        out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+      } else out += n ?? "";
+    } else if (c === "(") {
+      depth++;
+      out += c;
+    } else if (c === ")") {
+      if (--depth === 0) return [out, i + 1];
+      out += c;
+    } else out += c;
+  }
+  return [out, i];
+}
+
+function readHex(s, i) {
+  const end = s.indexOf(">", i);
+  const stop = end < 0 ? s.length : end;
+  let hex = s.slice(i + 1, stop).replace(/[^0-9A-Fa-f]/g, "");
+  if (hex.length % 2) hex += "0";
+  let out = "";
+  for (let k = 0; k < hex.length; k += 2) out += String.fromCharCode(parseInt(hex.slice(k, k + 2), 16));
+  return [out, stop + 1];
+}
+
+// Runs the text operators of one content stream, appending to `out`.
+// `fonts` maps font resource names to their ToUnicode map (or null).
+function readContent(s, fonts, merged, out) {
+  const operands = [];
+  let cmap = merged;
+  let guess = true;
+  let array = null;
+  let lastY = null;
+  const newline = () => {
+    if (out.length && out[out.length - 1] !== "\n") out.push("\n");
+  };
+  const space = () => {
+    if (out.length && !/\s$/.test(out[out.length - 1])) out.push(" ");
+  };
+  const show = (str) => out.push(decodeString(str.value, str.hex, cmap, guess));
+
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    if (WHITESPACE.has(c)) {
+      i++;
+    } else if (c === "%") {
+      while (i < s.length && s[i] !== "\n" && s[i] !== "\r") i++;
+    } else if (c === "(") {
+      const [value, next] = readLiteral(s, i);
+      (array || operands).push({ value, hex: false });
+      i = next;
+    } else if (c === "<" && s[i + 1] === "<") {
+      // Inline dictionaries (marked content properties) carry no text.
+      let depth = 0;
+      for (; i < s.length; i++) {
+        if (s[i] === "<" && s[i + 1] === "<") depth++, i++;
+        else if (s[i] === ">" && s[i + 1] === ">" && --depth === 0) {
+          i += 2;
+          break;
+        } else if (s[i] === ">" && s[i + 1] === ">") i++;
+      }
+      operands.push(null);
+    } else if (c === "<") {
+      const [value, next] = readHex(s, i);
+      (array || operands).push({ value, hex: true });
+      i = next;
+    } else if (c === "[") {
+      array = [];
+      i++;
+    } else if (c === "]") {
+      operands.push(array || []);
+      array = null;
+      i++;
+    } else if (c === "/") {
+      let j = i + 1;
+      while (j < s.length && !WHITESPACE.has(s[j]) && !DELIMITERS.has(s[j])) j++;
+      operands.push({ name: s.slice(i + 1, j) });
+      i = j;
+    } else {
+      let j = i;
+      while (j < s.length && !WHITESPACE.has(s[j]) && !DELIMITERS.has(s[j])) j++;
+      if (j === i) j++;
+      const word = s.slice(i, j);
+      i = j;
+      if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+        (array || operands).push(Number(word));
+        continue;
+      }
+      switch (word) {
+        case "Tf": {
+          const name = operands.at(-2)?.name;
+          guess = !fonts.has(name);
+          cmap = guess ? merged : fonts.get(name);
+          break;
+        }
+        case "Tj":
+          if (operands.at(-1)?.value !== undefined) show(operands.at(-1));
+          break;
+        case "'":
+        case '"':
+          newline();
+          if (operands.at(-1)?.value !== undefined) show(operands.at(-1));
+          break;
+        case "TJ":
+          for (const item of Array.isArray(operands.at(-1)) ? operands.at(-1) : []) {
+            if (typeof item === "number") {
+              if (item < -200) space();
+            } else if (item?.value !== undefined) show(item);
+          }
+          break;
+        case "Td":
+        case "TD": {
+          const ty = operands.at(-1);
+          if (typeof ty === "number" && Math.abs(ty) > 0.01) newline();
+          else space();
+          break;
+        }
+        case "Tm": {
+          const y = operands.at(-1);
+          if (lastY !== null && typeof y === "number" && Math.abs(y - lastY) > 0.01) newline();
+          else space();
+          if (typeof y === "number") lastY = y;
+          break;
+        }
+        case "T*":
+          newline();
+          break;
+        case "ET":
+          space();
+          break;
+        case "ID": {
+          // Inline image data runs until EI.
+          const end = s.slice(i).search(/\sEI(?=\s|$)/);
+          i = end < 0 ? s.length : i + end + 3;
+          break;
+        }
+      }
+      operands.length = 0;
+    }
+  }
+}
+
+/**
+ * Text of a PDF (Buffer). Throws for encrypted files. `maxTextChars` (the most
+ * text the caller will accept) bounds how far streams are decoded; streams
+ * past that bound are skipped.
+ */
+export function extractPdfText(buf, { maxTextChars = 1_000_000 } = {}) {
+  const src = buf.toString("latin1");
+  if (!src.startsWith("%PDF")) throw new Error("Not a PDF file");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(src)) throw new Error("Encrypted PDF");
+
+  const perStream = Math.max(maxTextChars, 1024) * STREAM_BYTES_PER_CHAR;
+  const objects = readObjects(src, { perStream, left: perStream * MAX_FULL_STREAMS });
+  const byNum = new Map(objects.map((o) => [o.num, o]));
+
+  // Font object -> ToUnicode map, then resource name (/F1) -> map. Names are
+  // per page; the last definition wins, which is right for most generators.
+  const merged = new Map();
+  const fontMaps = new Map();
+  for (const o of objects) {
+    const ref = o.dict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/);
+    const data = ref && byNum.get(Number(ref[1]))?.stream;
+    if (!data) continue;
+    const map = readCMap(data);
+    fontMaps.set(o.num, map);
+    readCMap(data, merged);
+  }
+  const fonts = new Map();
+  const addFonts = (entries) => {
+    for (const [, name, num] of entries.matchAll(/\/([^\s/<>\[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const font = byNum.get(Number(num));
+      if (font && /\/Type\s*\/Font\b/.test(font.dict)) fonts.set(name, fontMaps.get(font.num) || null);
+    }
+  };
+  for (const o of objects) {
+    for (const [, inline, ref] of o.dict.matchAll(/\/Font\s*(?:<<((?:[^<>]|<<[^<>]*>>)*)>>|(\d+)\s+\d+\s+R)/g)) {
+      addFonts(inline ?? byNum.get(Number(ref))?.dict ?? "");
+    }
+  }
+
+  const out = [];
+  for (const o of objects) {
+    if (!o.stream || /\/Type\s*\/(?:ObjStm|XRef)/.test(o.dict) || o.stream.includes("begincmap")) continue;
+    if (!/\bBT\b/.test(o.stream)) continue;
+    readContent(o.stream, fonts, merged, out);
+    out.push("\n");
+  }
+  return out
+    .join("")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
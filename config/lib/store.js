@@ -0,0 +1,753 @@
+// SQLite-backed storage for conversations, messages, the GitHub caches and
+// the per-repo code index (file contents for search, extracted symbols).
+//
+// Each write runs in one transaction, so two chats saving different
+// conversations can no longer overwrite each other the way the old
+// read-whole-file / write-whole-file JSON store did. Saving the same
+// conversation from two requests merges row by row (see saveConversation).
+// better-sqlite3 is synchronous, so every method returns its result directly.
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// Legacy JSON files imported once on first open, relative to the data dir.
+const LEGACY_FILES = {
+  conversations: "conversations.json",
+  projectsCache: "projectsCache.json",
+  repoFileCache: "repoFileCache.json",
+};
+
+const CONVERSATION_COLUMNS = [
+  "id",
+  "title",
+  "repoFullName",
+  "createdAt",
+  "updatedAt",
+  "pinned",
+  "archived",
+  "messages",
+  "messageCount",
+  "match",
+];
+const MESSAGE_COLUMNS = ["role", "content", "timestamp", "model"];
+// Not compared when merging a save into the stored conversation.
+const BASELINE_SKIP = ["id", "createdAt", "messages", "messageCount", "match"];
+
+function pickExtra(obj, known) {
+  const extra = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (!known.includes(k) && v !== undefined) extra[k] = v;
+  }
+  return Object.keys(extra).length ? JSON.stringify(extra) : null;
+}
+
+function parseExtra(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+function readLegacyJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Schema migrations, applied in order; index + 1 is the schema version.
+const MIGRATIONS = [
+  `
+    CREATE TABLE IF NOT EXISTS conversations (
+      id TEXT PRIMARY KEY,
+      title TEXT,
+      repo_full_name TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      extra TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at);
+    CREATE INDEX IF NOT EXISTS idx_conversations_repo ON conversations(repo_full_name);
+    CREATE TABLE IF NOT EXISTS messages (
+      conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      seq INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT,
+      timestamp TEXT,
+      model TEXT,
+      extra TEXT,
+      PRIMARY KEY (conversation_id, seq)
+    );
+    CREATE TABLE IF NOT EXISTS cache (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      fetched_at TEXT,
+      PRIMARY KEY (namespace, key)
+    );
+  `,
+  // Pin/archive flags and full-text search over message content.
+  `
+    ALTER TABLE conversations ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE conversations ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+    CREATE VIRTUAL TABLE messages_fts USING fts5(content, content='messages', content_rowid='rowid');
+    CREATE TRIGGER messages_fts_ai AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, content) VALUES (new.rowid, new.content);
+    END;
+    CREATE TRIGGER messages_fts_ad AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+    END;
+    INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+  `,
+  // Code index: one status row per repo, file shas for incremental updates,
+  // full-text search over contents and extracted symbols.
+  `
+    CREATE TABLE repo_index (
+      repo TEXT PRIMARY KEY,
+      ref TEXT,
+      status TEXT NOT NULL,
+      file_count INTEGER NOT NULL DEFAULT 0,
+      indexed_count INTEGER NOT NULL DEFAULT 0,
+      skipped_count INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT,
+      finished_at TEXT,
+      error TEXT
+    );
+    CREATE TABLE indexed_files (
+      repo TEXT NOT NULL,
+      path TEXT NOT NULL,
+      sha TEXT,
+      size INTEGER,
+      skipped TEXT,
+      indexed_at TEXT NOT NULL,
+      PRIMARY KEY (repo, path)
+    );
+    -- terms: identifier parts (retryWithBackoff -> retry with backoff), so words match inside names.
+    CREATE VIRTUAL TABLE files_fts USING fts5(repo UNINDEXED, path, content, terms);
+    CREATE TABLE symbols (
+      repo TEXT NOT NULL,
+      path TEXT NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      line INTEGER NOT NULL,
+      signature TEXT,
+      container TEXT
+    );
+    CREATE INDEX idx_symbols_name ON symbols(repo, name COLLATE NOCASE);
+    CREATE INDEX idx_symbols_path ON symbols(repo, path);
+  `,
+  // Chat attachments, referenced from messages by id. Images keep their bytes,
+  // documents only their extracted text. Forks copy the rows they reference.
+  `
+    CREATE TABLE attachments (
+      conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      name TEXT,
+      media_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      data BLOB,
+      text TEXT,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (conversation_id, id)
+    );
+  `,
+  // files_fts rowid per file: repo is UNINDEXED there, so deleting by
+  // repo/path would scan the whole table.
+  `
+    CREATE TABLE files_fts_rows (
+      repo TEXT NOT NULL,
+      path TEXT NOT NULL,
+      fts_rowid INTEGER NOT NULL,
+      PRIMARY KEY (repo, path)
+    );
+    INSERT OR REPLACE INTO files_fts_rows (repo, path, fts_rowid) SELECT repo, path, rowid FROM files_fts;
+  `,
+];
+
+function migrateSchema(db) {
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+  const current = row ? parseInt(row.value, 10) || 0 : 0;
+  const setVersion = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schemaVersion', ?)");
+  MIGRATIONS.slice(current).forEach((sql, i) => {
+    db.transaction(() => {
+      db.exec(sql);
+      setVersion.run(String(current + i + 1));
+    })();
+  });
+}
+
+// Turns free text into an FTS5 query: every word must match, the last one as a prefix.
+function toFtsQuery(text) {
+  const words = String(text || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.map((w, i) => `"${w}"${i === words.length - 1 ? "*" : ""}`).join(" ");
+}
+
+export function createStore({ dbPath, dataDir = path.dirname(dbPath) }) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrateSchema(db);
+
+  const stmt = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"),
+    getConversation: db.prepare("SELECT * FROM conversations WHERE id = ?"),
+    upsertConversation: db.prepare(`
+      INSERT INTO conversations (id, title, repo_full_name, created_at, updated_at, pinned, archived, extra)
+      VALUES (@id, @title, @repoFullName, @createdAt, @updatedAt, @pinned, @archived, @extra)
+      ON CONFLICT(id) DO UPDATE SET
+        title = excluded.title,
+        repo_full_name = excluded.repo_full_name,
+        updated_at = excluded.updated_at,
+        pinned = excluded.pinned,
+        archived = excluded.archived,
+        extra = excluded.extra
+    `),
+    deleteConversation: db.prepare("DELETE FROM conversations WHERE id = ?"),
+    getMessages: db.prepare("SELECT * FROM messages WHERE conversation_id = ? ORDER BY seq"),
+    deleteMessages: db.prepare("DELETE FROM messages WHERE conversation_id = ?"),
+    getMessage: db.prepare("SELECT * FROM messages WHERE conversation_id = ? AND seq = ?"),
+    countMessages: db.prepare("SELECT COUNT(*) AS n FROM messages WHERE conversation_id = ?"),
+    deleteMessage: db.prepare("DELETE FROM messages WHERE conversation_id = ? AND seq = ?"),
+    deleteMessagesFrom: db.prepare("DELETE FROM messages WHERE conversation_id = ? AND seq >= ?"),
+    insertMessage: db.prepare(`
+      INSERT INTO messages (conversation_id, seq, role, content, timestamp, model, extra)
+      VALUES (@conversationId, @seq, @role, @content, @timestamp, @model, @extra)
+    `),
+    firstMatch: db.prepare(`
+      SELECT m.seq, snippet(messages_fts, 0, '[', ']', '…', 12) AS snippet
+      FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid
+      WHERE messages_fts MATCH ? AND m.conversation_id = ?
+      ORDER BY m.seq LIMIT 1
+    `),
+    getRepoIndex: db.prepare("SELECT * FROM repo_index WHERE repo = ?"),
+    upsertRepoIndex: db.prepare(`
+      INSERT INTO repo_index (repo, ref, status, file_count, indexed_count, skipped_count, started_at, finished_at, error)
+      VALUES (@repo, @ref, @status, @fileCount, @indexedCount, @skippedCount, @startedAt, @finishedAt, @error)
+      ON CONFLICT(repo) DO UPDATE SET
+        ref = excluded.ref,
+        status = excluded.status,
+        file_count = excluded.file_count,
+        indexed_count = excluded.indexed_count,
+        skipped_count = excluded.skipped_count,
+        started_at = excluded.started_at,
+        finished_at = excluded.finished_at,
+        error = excluded.error
+    `),
+    getIndexedFiles: db.prepare("SELECT path, sha, skipped FROM indexed_files WHERE repo = ?"),
+    upsertIndexedFile: db.prepare(`
+      INSERT OR REPLACE INTO indexed_files (repo, path, sha, size, skipped, indexed_at)
+      VALUES (@repo, @path, @sha, @size, @skipped, @indexedAt)
+    `),
+    deleteIndexedFile: db.prepare("DELETE FROM indexed_files WHERE repo = ? AND path = ?"),
+    getFileTextRow: db.prepare("SELECT fts_rowid FROM files_fts_rows WHERE repo = ? AND path = ?"),
+    deleteFileTextRow: db.prepare("DELETE FROM files_fts_rows WHERE repo = ? AND path = ?"),
+    insertFileTextRow: db.prepare("INSERT OR REPLACE INTO files_fts_rows (repo, path, fts_rowid) VALUES (?, ?, ?)"),
+    deleteFileText: db.prepare("DELETE FROM files_fts WHERE rowid = ?"),
+    insertFileText: db.prepare("INSERT INTO files_fts (repo, path, content, terms) VALUES (?, ?, ?, ?)"),
+    deleteFileSymbols: db.prepare("DELETE FROM symbols WHERE repo = ? AND path = ?"),
+    insertSymbol: db.prepare(`
+      INSERT INTO symbols (repo, path, name, kind, line, signature, container)
+      VALUES (@repo, @path, @name, @kind, @line, @signature, @container)
+    `),
+    searchFiles: db.prepare(`
+      SELECT path, snippet(files_fts, 2, '[', ']', '…', 16) AS snippet, bm25(files_fts) AS rank
+      FROM files_fts WHERE files_fts MATCH @fts AND repo = @repo
+      ORDER BY rank LIMIT @limit
+    `),
+    insertAttachment: db.prepare(`
+      INSERT OR REPLACE INTO attachments (conversation_id, id, kind, name, media_type, size, data, text, created_at)
+      VALUES (@conversationId, @id, @kind, @name, @mediaType, @size, @data, @text, @createdAt)
+    `),
+    getAttachment: db.prepare("SELECT * FROM attachments WHERE conversation_id = ? AND id = ?"),
+    deleteAttachment: db.prepare("DELETE FROM attachments WHERE conversation_id = ? AND id = ?"),
+    copyAttachment: db.prepare(`
+      INSERT OR IGNORE INTO attachments (conversation_id, id, kind, name, media_type, size, data, text, created_at)
+      SELECT @to, id, kind, name, media_type, size, data, text, created_at
+      FROM attachments WHERE conversation_id = @from AND id = @id
+    `),
+    getCache: db.prepare("SELECT value, fetched_at FROM cache WHERE namespace = ? AND key = ?"),
+    setCache: db.prepare(`
+      INSERT OR REPLACE INTO cache (namespace, key, value, fetched_at) VALUES (?, ?, ?, ?)
+    `),
+  };
+
+  function rowToMessage(row) {
+    const msg = { role: row.role, content: row.content };
+    if (row.timestamp) msg.timestamp = row.timestamp;
+    if (row.model) msg.model = row.model;
+    return { ...msg, ...parseExtra(row.extra) };
+  }
+
+  function rowToAttachment(row) {
+    const a = { id: row.id, kind: row.kind, name: row.name, mediaType: row.media_type, size: row.size };
+    if (row.data) a.data = row.data;
+    if (row.text !== null) a.text = row.text;
+    return a;
+  }
+
+  function rowToConversation(row, { withMessages = true } = {}) {
+    const convo = { id: row.id, createdAt: row.created_at };
+    if (row.title) convo.title = row.title;
+    if (row.repo_full_name) convo.repoFullName = row.repo_full_name;
+    if (row.updated_at) convo.updatedAt = row.updated_at;
+    convo.pinned = !!row.pinned;
+    convo.archived = !!row.archived;
+    Object.assign(convo, parseExtra(row.extra));
+    if (withMessages) convo.messages = stmt.getMessages.all(row.id).map(rowToMessage);
+    return convo;
+  }
+
+  function messageRow(conversationId, m, seq) {
+    // Structured content (e.g. content parts) round-trips through `extra`.
+    const textContent = typeof m.content === "string";
+    return {
+      conversationId,
+      seq,
+      role: m.role,
+      content: textContent ? m.content : null,
+      timestamp: m.timestamp || null,
+      model: m.model || null,
+      extra: pickExtra(m, textContent ? MESSAGE_COLUMNS : MESSAGE_COLUMNS.filter((c) => c !== "content")),
+    };
+  }
+
+  function writeConversationRow(convo) {
+    stmt.upsertConversation.run({
+      id: convo.id,
+      title: convo.title || null,
+      repoFullName: convo.repoFullName || null,
+      createdAt: convo.createdAt || new Date().toISOString(),
+      updatedAt: convo.updatedAt || null,
+      pinned: convo.pinned ? 1 : 0,
+      archived: convo.archived ? 1 : 0,
+      extra: pickExtra(convo, CONVERSATION_COLUMNS),
+    });
+  }
+
+  // Replaces the row and every message; for new conversations and imports.
+  function writeConversation(convo) {
+    writeConversationRow(convo);
+    if (!Array.isArray(convo.messages)) return;
+    stmt.deleteMessages.run(convo.id);
+    convo.messages.forEach((m, seq) => stmt.insertMessage.run(messageRow(convo.id, m, seq)));
+  }
+
+  // What each conversation object looked like when it was read or last saved,
+  // so saving it writes only what its caller changed since. Keyed by the object.
+  const baselines = new WeakMap();
+
+  function remember(convo) {
+    const fields = {};
+    for (const [key, value] of Object.entries(convo)) {
+      if (!BASELINE_SKIP.includes(key)) fields[key] = JSON.stringify(value);
+    }
+    const messages = Array.isArray(convo.messages)
+      ? convo.messages.map((m, seq) => JSON.stringify(messageRow(convo.id, m, seq)))
+      : null;
+    baselines.set(convo, { fields, messages });
+    return convo;
+  }
+
+  function conflictError(convo) {
+    const err = new Error(`Conversation ${convo.id} was changed by another request; reload it and try again`);
+    err.status = 409;
+    return err;
+  }
+
+  // Applies the fields this caller changed since its baseline on top of the
+  // stored row, so another request's title, summary or PR edit survives.
+  function mergeConversationRow(convo, base, row) {
+    const next = rowToConversation(row, { withMessages: false });
+    for (const key of new Set([...Object.keys(base.fields), ...Object.keys(convo)])) {
+      if (BASELINE_SKIP.includes(key) || JSON.stringify(convo[key]) === base.fields[key]) continue;
+      if (convo[key] === undefined) delete next[key];
+      else next[key] = convo[key];
+    }
+    writeConversationRow(next);
+  }
+
+  // Rewrites only the messages this caller changed, appends new ones by seq
+  // and drops the ones it removed. Messages stored past its baseline were
+  // added by someone else, and ones missing from it removed by someone else;
+  // both can't be kept in order, so either is a conflict.
+  function mergeMessages(convo, base) {
+    const rows = convo.messages.map((m, seq) => messageRow(convo.id, m, seq));
+    const stored = stmt.countMessages.get(convo.id).n;
+    if (stored < Math.min(base.length, rows.length)) throw conflictError(convo);
+    for (let seq = base.length; seq < stored; seq++) {
+      const theirs = stmt.getMessage.get(convo.id, seq);
+      const same =
+        theirs && rows[seq] && JSON.stringify(messageRow(convo.id, rowToMessage(theirs), seq)) === JSON.stringify(rows[seq]);
+      if (!same) throw conflictError(convo);
+    }
+    if (rows.length < base.length) stmt.deleteMessagesFrom.run(convo.id, rows.length);
+    rows.forEach((row, seq) => {
+      if (seq < base.length ? JSON.stringify(row) === base[seq] : seq < stored) return;
+      stmt.deleteMessage.run(convo.id, seq);
+      stmt.insertMessage.run(row);
+    });
+  }
+
+  function readCache(namespace, key) {
+    const row = stmt.getCache.get(namespace, key);
+    if (!row) return null;
+    try {
+      return JSON.parse(row.value);
+    } catch {
+      return null;
+    }
+  }
+
+  function writeCache(namespace, key, value) {
+    stmt.setCache.run(namespace, key, JSON.stringify(value), value?.fetchedAt || new Date().toISOString());
+  }
+
+  function rowToRepoIndex(row) {
+    return {
+      repo: row.repo,
+      ref: row.ref,
+      status: row.status,
+      fileCount: row.file_count,
+      indexedCount: row.indexed_count,
+      skippedCount: row.skipped_count,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      error: row.error,
+    };
+  }
+
+  function removeIndexedFile(repo, filePath) {
+    stmt.deleteIndexedFile.run(repo, filePath);
+    const text = stmt.getFileTextRow.get(repo, filePath);
+    if (text) {
+      stmt.deleteFileText.run(text.fts_rowid);
+      stmt.deleteFileTextRow.run(repo, filePath);
+    }
+    stmt.deleteFileSymbols.run(repo, filePath);
+  }
+
+  // One-time import of the old JSON files; the files are left in place as a backup.
+  const importLegacy = db.transaction(() => {
+    const counts = { conversations: 0, repoFileCache: 0, projectsCache: 0 };
+
+    const conversations = readLegacyJson(path.join(dataDir, LEGACY_FILES.conversations));
+    if (Array.isArray(conversations)) {
+      for (const c of conversations) {
+        if (!c || typeof c.id !== "string" || stmt.getConversation.get(c.id)) continue;
+        writeConversation(c);
+        counts.conversations++;
+      }
+    }
+
+    const projects = readLegacyJson(path.join(dataDir, LEGACY_FILES.projectsCache));
+    if (projects && Array.isArray(projects.projects)) {
+      writeCache("projects", "all", projects);
+      counts.projectsCache = 1;
+    }
+
+    const repoFiles = readLegacyJson(path.join(dataDir, LEGACY_FILES.repoFileCache));
+    if (repoFiles && typeof repoFiles === "object") {
+      for (const [repo, entry] of Object.entries(repoFiles)) {
+        if (!entry || !Array.isArray(entry.files)) continue;
+        writeCache("repoFiles", repo, entry);
+        counts.repoFileCache++;
+      }
+    }
+
+    stmt.setMeta.run("legacyImportedAt", new Date().toISOString());
+    return counts;
+  });
+
+  function migrateLegacyJson() {
+    if (stmt.getMeta.get("legacyImportedAt")) return null;
+    return importLegacy();
+  }
+
+  return {
+    db,
+    migrateLegacyJson,
+
+    /**
+     * Paged list of conversation summaries (no messages), pinned first, then most
+     * recently updated. `archived` is false (default), true or "all"; `q` searches
+     * titles and message content and adds `match: { messageIndex, snippet }`.
+     */
+    listConversations({ limit = 50, offset = 0, repo, archived = false, pinned, q } = {}) {
+      const where = [];
+      const params = {};
+      if (archived !== "all") {
+        where.push("c.archived = @archived");
+        params.archived = archived ? 1 : 0;
+      }
+      if (pinned !== undefined) {
+        where.push("c.pinned = @pinned");
+        params.pinned = pinned ? 1 : 0;
+      }
+      if (repo) {
+        where.push("c.repo_full_name = @repo");
+        params.repo = repo;
+      }
+      const fts = toFtsQuery(q);
+      if (q && String(q).trim()) {
+        const clauses = ["c.title LIKE @titleLike ESCAPE '\\'"];
+        params.titleLike = `%${String(q).trim().replace(/[\\%_]/g, "\\$&")}%`;
+        if (fts) {
+          clauses.push(`c.id IN (
+            SELECT m.conversation_id FROM messages_fts
+            JOIN messages m ON m.rowid = messages_fts.rowid
+            WHERE messages_fts MATCH @fts)`);
+          params.fts = fts;
+        }
+        where.push(`(${clauses.join(" OR ")})`);
+      }
+      const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM conversations c ${whereSql}`).get(params).n;
+      const rows = db
+        .prepare(
+          `SELECT c.*, (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count
+           FROM conversations c ${whereSql}
+           ORDER BY c.pinned DESC, COALESCE(c.updated_at, c.created_at) DESC
+           LIMIT @limit OFFSET @offset`
+        )
+        .all({ ...params, limit, offset });
+
+      const conversations = rows.map((row) => {
+        const convo = rowToConversation(row, { withMessages: false });
+        convo.messageCount = row.message_count;
+        if (fts) {
+          const hit = stmt.firstMatch.get(fts, row.id);
+          if (hit) convo.match = { messageIndex: hit.seq, snippet: hit.snippet };
+        }
+        return convo;
+      });
+      return { conversations, total, limit, offset };
+    },
+
+    getConversation(id) {
+      const row = stmt.getConversation.get(id);
+      return row ? remember(rowToConversation(row)) : null;
+    },
+
+    // Saves a conversation read with getConversation (or saved before) by
+    // merging what the caller changed into the stored one, so concurrent
+    // chats, ratings and summary or PR updates don't overwrite each other.
+    // Throws a 409 error when both appended messages. Objects the store
+    // hasn't seen replace the stored conversation.
+    saveConversation: db.transaction((convo) => {
+      if (!convo?.id) throw new Error("Conversation id is required");
+      const base = baselines.get(convo);
+      const row = base && stmt.getConversation.get(convo.id);
+      if (!row) {
+        writeConversation(convo);
+      } else {
+        mergeConversationRow(convo, base, row);
+        if (Array.isArray(convo.messages)) mergeMessages(convo, base.messages || []);
+      }
+      return remember(convo);
+    }),
+
+    // Updates only the conversation row; messages are left untouched.
+    updateConversation: db.transaction((id, fields) => {
+      const row = stmt.getConversation.get(id);
+      if (!row) return null;
+      const current = rowToConversation(row, { withMessages: false });
+      const next = { ...current, ...fields, id };
+      writeConversationRow(next);
+      return remember({ ...next, messages: stmt.getMessages.all(id).map(rowToMessage) });
+    }),
+
+    deleteConversation(id) {
+      return stmt.deleteConversation.run(id).changes > 0;
+    },
+
+    // Copies messages 0..upToIndex (inclusive) into a new conversation.
+    forkConversation: db.transaction((id, { newId, upToIndex, title }) => {
+      const source = stmt.getConversation.get(id);
+      if (!source) return null;
+      const original = rowToConversation(source);
+      const last = Number.isInteger(upToIndex) ? upToIndex : original.messages.length - 1;
+      const now = new Date().toISOString();
+      const fork = {
+        id: newId,
+        title: title || `${original.title || "Chat"} (fork)`,
+        repoFullName: original.repoFullName,
+        createdAt: now,
+        updatedAt: now,
+        forkedFrom: { id: original.id, messageIndex: last },
+        messages: original.messages.slice(0, last + 1),
+      };
+      writeConversation(fork);
+      for (const m of fork.messages) {
+        for (const a of m.attachments || []) stmt.copyAttachment.run({ from: id, to: newId, id: a.id });
+      }
+      return remember(fork);
+    }),
+
+    // The conversation row must exist first (attachments cascade with it).
+    saveAttachments: db.transaction((conversationId, attachments) => {
+      const createdAt = new Date().toISOString();
+      for (const a of attachments) {
+        stmt.insertAttachment.run({
+          conversationId,
+          id: a.id,
+          kind: a.kind,
+          name: a.name || null,
+          mediaType: a.mediaType,
+          size: a.size,
+          data: a.data || null,
+          text: a.text ?? null,
+          createdAt,
+        });
+      }
+    }),
+
+    // Attachments by id, in the order asked; unknown ids are left out.
+    getAttachments(conversationId, ids) {
+      return ids.map((id) => stmt.getAttachment.get(conversationId, id)).filter(Boolean).map(rowToAttachment);
+    },
+
+    deleteAttachments: db.transaction((conversationId, ids) => {
+      for (const id of ids) stmt.deleteAttachment.run(conversationId, id);
+    }),
+
+    // Generic JSON cache, e.g. the auto-context keyword index per repo.
+    getCache(namespace, key) {
+      return readCache(namespace, key);
+    },
+
+    setCache(namespace, key, value) {
+      writeCache(namespace, key, value);
+    },
+
+    getRepoIndexStatus(repo) {
+      const row = stmt.getRepoIndex.get(repo);
+      return row ? rowToRepoIndex(row) : null;
+    },
+
+    setRepoIndexStatus(repo, fields) {
+      const row = stmt.getRepoIndex.get(repo);
+      const current = row ? rowToRepoIndex(row) : { status: "idle", fileCount: 0, indexedCount: 0, skippedCount: 0 };
+      const next = { ...current, ...fields, repo };
+      stmt.upsertRepoIndex.run({
+        repo,
+        ref: next.ref || null,
+        status: next.status,
+        fileCount: next.fileCount || 0,
+        indexedCount: next.indexedCount || 0,
+        skippedCount: next.skippedCount || 0,
+        startedAt: next.startedAt || null,
+        finishedAt: next.finishedAt || null,
+        error: next.error || null,
+      });
+      return next;
+    },
+
+    // path -> { sha, skipped } for everything indexed (or skipped) for the repo.
+    getIndexedFiles(repo) {
+      return new Map(stmt.getIndexedFiles.all(repo).map((r) => [r.path, { sha: r.sha, skipped: r.skipped }]));
+    },
+
+    // Replaces one file's text and symbols. `skipped` (a reason) stores the
+    // sha only, so an unchanged binary or oversized file isn't fetched again.
+    saveIndexedFile: db.transaction((repo, { path: filePath, sha, size, skipped, content, terms, symbols = [] }) => {
+      removeIndexedFile(repo, filePath);
+      stmt.upsertIndexedFile.run({
+        repo,
+        path: filePath,
+        sha: sha || null,
+        size: Number.isFinite(size) ? size : null,
+        skipped: skipped || null,
+        indexedAt: new Date().toISOString(),
+      });
+      if (skipped) return;
+      const { lastInsertRowid } = stmt.insertFileText.run(repo, filePath, content || "", terms || "");
+      stmt.insertFileTextRow.run(repo, filePath, lastInsertRowid);
+      for (const s of symbols) {
+        stmt.insertSymbol.run({
+          repo,
+          path: filePath,
+          name: s.name,
+          kind: s.kind,
+          line: s.line,
+          signature: s.signature || null,
+          container: s.container || null,
+        });
+      }
+    }),
+
+    removeIndexedFiles: db.transaction((repo, paths) => {
+      for (const p of paths) removeIndexedFile(repo, p);
+    }),
+
+    // Full-text search over indexed file contents, best match first.
+    searchRepo(repo, q, { limit = 20 } = {}) {
+      const fts = toFtsQuery(q);
+      if (!fts) return [];
+      return stmt.searchFiles
+        .all({ repo, fts, limit })
+        .map((r) => ({ path: r.path, snippet: r.snippet, score: Math.round(-r.rank * 100) / 100 }));
+    },
+
+    /**
+     * Symbol lookup by name (case-insensitive). `prefix` matches names starting
+     * with `name`; exact-case matches and definitions (not methods) sort first.
+     */
+    findSymbols(repo, { name, kind, prefix = false, limit = 50 } = {}) {
+      if (!name) return [];
+      const where = ["repo = @repo"];
+      const params = { repo, name, limit };
+      if (prefix) {
+        where.push("name LIKE @like ESCAPE '\\'");
+        params.like = `${String(name).replace(/[\\%_]/g, "\\$&")}%`;
+      } else {
+        where.push("name = @name COLLATE NOCASE");
+      }
+      if (kind) {
+        where.push("kind = @kind");
+        params.kind = kind;
+      }
+      return db
+        .prepare(
+          `SELECT path, name, kind, line, signature, container FROM symbols
+           WHERE ${where.join(" AND ")}
+           ORDER BY (name = @name) DESC, (kind = 'method') ASC, length(name), path, line
+           LIMIT @limit`
+        )
+        .all(params)
+        .map((r) => {
+          const sym = { name: r.name, kind: r.kind, path: r.path, line: r.line, signature: r.signature };
+          if (r.container) sym.container = r.container;
+          return sym;
+        });
+    },
+
+    getProjectsCache() {
+      return readCache("projects", "all");
+    },
+
+    setProjectsCache(value) {
+      writeCache("projects", "all", value);
+    },
+
+    getRepoFiles(repoFullName) {
+      return readCache("repoFiles", repoFullName);
+    },
+
+    setRepoFiles(repoFullName, value) {
+      writeCache("repoFiles", repoFullName, value);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,160 @@
+// Rolling conversation summaries.
+//
+// The transcript in convo.messages is never rewritten. convo.summary stands in
+// for messages [0, coveredThrough) in what the model sees:
+//
+//   { text, decisions, files, todos, coveredThrough, segments: [{ from, to, text }],
+//     updatedAt, editedAt? }
+//
+// Summaries are built in two levels. Each update reads the previous summary
+// plus the next chunk of messages, never the whole history. The model returns
+// a short summary of just that chunk, which becomes a segment. It also returns
+// the updated rolling summary with its structured fields.
+
+const MAX_MESSAGE_CHARS = 4000; // per message inside a summary prompt
+const MAX_SEGMENTS = 50;
+const MAX_TEXT = 8000;
+const MAX_ITEMS = 50;
+const MAX_ITEM = 300;
+export const SUMMARY_LIST_FIELDS = ["decisions", "files", "todos"];
+export const SUMMARY_PREFIX = "Conversation Summary:";
+
+function messageText(m) {
+  const text = Array.isArray(m.content)
+    ? m.content.filter((p) => p.type === "text").map((p) => p.text).join("\n")
+    : String(m.content ?? "");
+  const names = (m.attachments || []).map((a) => a.name).filter(Boolean);
+  const clipped = text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)} […]` : text;
+  return names.length ? `${clipped}\n[attached: ${names.join(", ")}]` : clipped;
+}
+
+export function summaryPrompt(previous, messages) {
+  const prior = previous
+    ? JSON.stringify({
+        summary: previous.text,
+        decisions: previous.decisions,
+        files: previous.files,
+        todos: previous.todos,
+      })
+    : "(none yet)";
+  return `You maintain a running summary of a technical conversation about a code repository.
+
+Previous summary (JSON):
+${prior}
+
+New messages:
+${messages.map((m) => `${m.role}: ${messageText(m)}`).join("\n\n")}
+
+Reply with JSON only, no prose around it:
+{
+  "segment": "one or two sentences on what the new messages covered",
+  "summary": "the updated overall summary: current state, goals and constraints, concise",
+  "decisions": ["decisions made so far that still hold"],
+  "files": ["repository paths created, changed or discussed"],
+  "todos": ["open tasks and unanswered questions; drop the ones now done"]
+}`;
+}
+
+function cleanList(value) {
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.filter((v) => typeof v === "string" && v.trim()).map((v) => v.trim().slice(0, MAX_ITEM)))].slice(
+    0,
+    MAX_ITEMS
+  );
+}
+
+/**
+ * Reads the model's reply. Falls back to the raw text as the summary (keeping
+ * the previous lists) when the reply isn't the JSON asked for.
+ */
+export function parseSummaryResponse(reply, previous = null) {
+  const raw = String(reply || "").trim();
+  let data = null;
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    try {
+      data = JSON.parse(raw.slice(start, end + 1));
+    } catch {
+      data = null;
+    }
+  }
+  const text = typeof data?.summary === "string" && data.summary.trim() ? data.summary.trim() : data ? "" : raw;
+  if (!text) return null;
+  const out = {
+    text: text.slice(0, MAX_TEXT),
+    segment: typeof data?.segment === "string" ? data.segment.trim().slice(0, MAX_ITEM * 2) : "",
+  };
+  for (const field of SUMMARY_LIST_FIELDS) out[field] = cleanList(data?.[field]) ?? previous?.[field] ?? [];
+  return out;
+}
+
+/**
+ * Folds messages [summary.coveredThrough, upTo) into the summary, chunkSize
+ * messages per call. summarize(prompt) returns the model's reply. Stops at the
+ * first failed chunk and returns what was done so far as { summary, error }.
+ */
+export async function updateSummary({ summary = null, messages, upTo, chunkSize = 20, summarize, now = () => new Date() }) {
+  let current = summary;
+  let from = summary?.coveredThrough || 0;
+  while (from < upTo) {
+    const to = Math.min(upTo, from + chunkSize);
+    let parsed;
+    try {
+      parsed = parseSummaryResponse(await summarize(summaryPrompt(current, messages.slice(from, to))), current);
+      if (!parsed) throw new Error("Empty summary");
+    } catch (e) {
+      return { summary: current, error: e };
+    }
+    const { segment, ...fields } = parsed;
+    current = {
+      ...fields,
+      coveredThrough: to,
+      segments: [...(current?.segments || []), { from, to, text: segment || fields.text.slice(0, MAX_ITEM) }].slice(-MAX_SEGMENTS),
+      updatedAt: now().toISOString(),
+    };
+    from = to;
+  }
+  return { summary: current, error: null };
+}
+
+// The system message the model gets in place of the summarized messages.
+export function summaryMessage(summary) {
+  const sections = [`${SUMMARY_PREFIX} ${summary.text}`];
+  const titles = { decisions: "Decisions", files: "Files touched", todos: "Open TODOs" };
+  for (const field of SUMMARY_LIST_FIELDS) {
+    if (summary[field]?.length) sections.push(`${titles[field]}:\n${summary[field].map((v) => `- ${v}`).join("\n")}`);
+  }
+  return { role: "system", content: sections.join("\n\n") };
+}
+
+// What the model sees of a conversation: the summary, then the messages after it.
+export function modelView(convo) {
+  const messages = convo.messages || [];
+  if (!convo.summary) return messages;
+  return [summaryMessage(convo.summary), ...messages.slice(convo.summary.coveredThrough || 0)];
+}
+
+/**
+ * Validates a user edit ({ text, decisions, files, todos }, all optional) and
+ * returns the updated summary. Throws with a user-facing message.
+ */
+export function applySummaryEdit(existing, input, now = new Date()) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Summary must be an object");
+  const next = existing
+    ? { ...existing }
+    : { text: "", decisions: [], files: [], todos: [], coveredThrough: 0, segments: [] };
+  if (input.text !== undefined) {
+    if (typeof input.text !== "string") throw new Error("text must be a string");
+    next.text = input.text.trim().slice(0, MAX_TEXT);
+  }
+  for (const field of SUMMARY_LIST_FIELDS) {
+    if (input[field] === undefined) continue;
+    const list = cleanList(input[field]);
+    if (!list) throw new Error(`${field} must be an array of strings`);
+    next[field] = list;
+  }
+  if (!next.text) throw new Error("text is required");
+  next.editedAt = now.toISOString();
+  return next;
+}
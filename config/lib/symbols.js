@@ -0,0 +1,120 @@
+// Line-based symbol extraction for JS/TS and Python.
+//
+// Not a parser: each line is matched against the usual declaration forms, which
+// is enough to answer "where is X defined" without a per-language toolchain.
+// Methods are the declarations directly inside a class body (tracked by brace
+// depth in JS/TS, by indentation in Python).
+
+const JS_EXT = /\.(m?[jt]sx?|cjs)$/i;
+const PY_EXT = /\.py$/i;
+const MAX_SIGNATURE = 200;
+
+const JS_KEYWORDS = new Set(["if", "for", "while", "switch", "catch", "return", "function", "constructor", "else", "do", "with"]);
+
+const JS_RULES = [
+  [/^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/, "function"],
+  [/^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, "class"],
+  [/^\s*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/, "interface"],
+  [/^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*(?:<[^=]*>)?\s*=/, "type"],
+  [/^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/, "enum"],
+  [
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+    "function",
+  ],
+  [/^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)/, "variable"],
+];
+
+const JS_METHOD =
+  /^\s+(?:(?:public|private|protected|static|readonly|override|abstract|async|get|set)\s+)*\*?\s*(#?[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^;]*$/;
+
+function signatureOf(line) {
+  const s = line.trim().replace(/\s*\{\s*$/, "");
+  return s.length > MAX_SIGNATURE ? s.slice(0, MAX_SIGNATURE) + "…" : s;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function extractJs(lines) {
+  const out = [];
+  let currentClass = null; // { name, depth }
+  let depth = 0;
+
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+
+    let matched = false;
+    for (const [re, kind] of JS_RULES) {
+      const m = line.match(re);
+      if (!m) continue;
+      out.push({ name: m[1], kind, line: lineNo, signature: signatureOf(line) });
+      if (kind === "class") currentClass = { name: m[1], depth };
+      matched = true;
+      break;
+    }
+
+    if (!matched && currentClass && depth === currentClass.depth + 1) {
+      const m = line.match(JS_METHOD);
+      if (m && !JS_KEYWORDS.has(m[1]) && /\)\s*(?::[^{]+)?\{?\s*$/.test(line)) {
+        out.push({ name: m[1], kind: "method", line: lineNo, signature: signatureOf(line), container: currentClass.name });
+      } else if (/^\s+constructor\s*\(/.test(line)) {
+        out.push({ name: "constructor", kind: "method", line: lineNo, signature: signatureOf(line), container: currentClass.name });
+      }
+    }
+
+    // Brace depth, ignoring braces inside simple string literals and line comments.
+    const code = line.replace(/\/\/.*$/, "").replace(/(["'`])(?:\\.|(?!\1).)*\1/g, "");
+    for (const ch of code) {
+      if (ch === "{") depth++;
+      else if (ch === "}") depth = Math.max(0, depth - 1);
+    }
+    if (currentClass && depth <= currentClass.depth && /}/.test(code)) currentClass = null;
+  });
+  return out;
+}
+
+function extractPython(lines) {
+  const out = [];
+  const blocks = []; // enclosing class/def blocks: { name, kind, indent }
+
+  lines.forEach((line, i) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    const indent = indentOf(line);
+    while (blocks.length && indent <= blocks[blocks.length - 1].indent) blocks.pop();
+    const parent = blocks[blocks.length - 1];
+    const container = parent?.kind === "class" ? parent.name : undefined;
+
+    let m = line.match(/^\s*class\s+([A-Za-z_]\w*)/);
+    if (m) {
+      out.push({ name: m[1], kind: "class", line: i + 1, signature: signatureOf(line).replace(/:$/, ""), ...(container && { container }) });
+      blocks.push({ name: m[1], kind: "class", indent });
+      return;
+    }
+    m = line.match(/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/);
+    if (m) {
+      const kind = container ? "method" : "function";
+      out.push({ name: m[1], kind, line: i + 1, signature: signatureOf(line).replace(/:$/, ""), ...(container && { container }) });
+      blocks.push({ name: m[1], kind: "def", indent });
+      return;
+    }
+    m = line.match(/^([A-Z][A-Z0-9_]*)\s*(?::[^=]+)?=/);
+    if (m) out.push({ name: m[1], kind: "variable", line: i + 1, signature: signatureOf(line) });
+  });
+  return out;
+}
+
+export function supportsSymbols(path) {
+  return JS_EXT.test(path) || PY_EXT.test(path);
+}
+
+/**
+ * Returns [{ name, kind, line, signature, container? }] for one file.
+ * kind is function | class | method | interface | type | enum | variable.
+ */
+export function extractSymbols(path, content) {
+  const lines = String(content || "").split(/\r?\n/);
+  if (JS_EXT.test(path)) return extractJs(lines);
+  if (PY_EXT.test(path)) return extractPython(lines);
+  return [];
+}
@@ -0,0 +1,123 @@
+// Token counting without a round trip to the provider.
+//
+// Every provider family has its own BPE vocabulary, so one chars/4 rule over- or
+// under-counts depending on the model. Text is split the way BPE pre-tokenizers
+// split it (letter runs, digit runs, punctuation, whitespace) and each piece is
+// charged by the family's rules: short words are one token, long ones cost
+// per few characters, digits go in groups, CJK is about a token per character.
+//
+// The result stays an approximation; a per-model `factor` (learned from the
+// input token counts providers report, see calibrate()) corrects the rest.
+
+const FAMILIES = {
+  // o200k / cl100k: whole common words, digits in threes.
+  openai: { wordChars: 8, charsPerToken: 4, digitGroup: 3, messageOverhead: 4, imageTokens: 765 },
+  // Smaller vocabulary: long identifiers split sooner. Images ~ pixels / 750.
+  anthropic: { wordChars: 6, charsPerToken: 3.5, digitGroup: 3, messageOverhead: 5, imageTokens: 1600 },
+  // SentencePiece: every digit is its own token. Images are a flat 258.
+  google: { wordChars: 8, charsPerToken: 4, digitGroup: 1, messageOverhead: 4, imageTokens: 258 },
+  // Llama 3 / Qwen style 128k+ vocabularies.
+  llama: { wordChars: 8, charsPerToken: 4, digitGroup: 3, messageOverhead: 4, imageTokens: 1600 },
+  generic: { wordChars: 7, charsPerToken: 3.8, digitGroup: 2, messageOverhead: 4, imageTokens: 1600 },
+};
+
+const PIECE = /\s+|\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+/gu;
+const CJK = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g; // kana, CJK ideographs, hangul
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 2;
+
+export const TOKEN_FAMILIES = Object.keys(FAMILIES);
+
+// Built-in providers by name; anything else (registry providers) by model name.
+export function tokenFamily(modelConfig = {}) {
+  if (["openai", "anthropic", "google"].includes(modelConfig.provider)) return modelConfig.provider;
+  const model = String(modelConfig.model || "").toLowerCase();
+  if (/claude/.test(model)) return "anthropic";
+  if (/gemini|gemma/.test(model)) return "google";
+  if (/^(gpt|o\d|chatgpt)|\/(gpt|o\d)/.test(model)) return "openai";
+  if (/llama|qwen|mistral|mixtral|deepseek|phi|codestral/.test(model)) return "llama";
+  return "generic";
+}
+
+function pieceTokens(piece, f) {
+  const c = piece.charCodeAt(0);
+  if (c === 32 || c === 9 || c === 10 || c === 13) {
+    // A single space rides along with the next word; newlines and indentation runs don't.
+    const newlines = piece.split("\n").length - 1;
+    const rest = piece.length - newlines;
+    return newlines + (rest > 1 ? Math.ceil(rest / 8) : 0);
+  }
+  if (c >= 48 && c <= 57) return Math.ceil(piece.length / f.digitGroup);
+  if (/^\p{L}/u.test(piece)) {
+    const cjk = piece.match(CJK)?.length || 0;
+    const rest = piece.length - cjk;
+    return cjk + (rest === 0 ? 0 : rest <= f.wordChars ? 1 : Math.ceil(rest / f.charsPerToken));
+  }
+  if (/^\p{N}/u.test(piece)) return Math.ceil(piece.length / f.digitGroup);
+  return Math.ceil(piece.length / 2);
+}
+
+export function countTokens(text, family = "generic") {
+  const f = FAMILIES[family] || FAMILIES.generic;
+  const s = String(text ?? "");
+  let n = 0;
+  for (const [piece] of s.matchAll(PIECE)) n += pieceTokens(piece, f);
+  return n;
+}
+
+/**
+ * Input tokens for a message list in the provider-neutral shape (string or
+ * [{ type: "text" | "image" }] content, toolCalls on assistant turns).
+ */
+export function countMessageTokens(messages, family = "generic") {
+  const f = FAMILIES[family] || FAMILIES.generic;
+  let n = 0;
+  for (const m of messages || []) {
+    n += f.messageOverhead;
+    if (Array.isArray(m.content)) {
+      for (const p of m.content) n += p.type === "image" ? f.imageTokens : countTokens(p.text, family);
+    } else {
+      n += countTokens(m.content, family);
+    }
+    if (m.toolCalls?.length) n += countTokens(JSON.stringify(m.toolCalls), family);
+  }
+  return n;
+}
+
+/**
+ * A counter for one model. `factor` scales the local estimate toward what the
+ * provider reports; text() and messages() include it, raw() doesn't.
+ */
+export function createTokenCounter(modelConfig, { factor = 1 } = {}) {
+  const family = tokenFamily(modelConfig);
+  const scale = (n) => Math.ceil(n * factor);
+  return {
+    family,
+    factor,
+    text: (text) => scale(countTokens(text, family)),
+    messages: (messages) => scale(countMessageTokens(messages, family)),
+    raw: (messages) => countMessageTokens(messages, family),
+  };
+}
+
+// Calibration is kept per provider and model.
+export function calibrationKey(modelConfig) {
+  return `${modelConfig.provider}:${modelConfig.model}`;
+}
+
+/**
+ * Moves a model's factor toward reported / estimated. `calibration` is
+ * { [key]: { factor, samples } }; a new object is returned.
+ */
+export function calibrate(calibration, key, estimated, reported, rate = 0.2) {
+  if (!(estimated > 0) || !(reported > 0)) return calibration;
+  const prev = calibration?.[key];
+  const observed = Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, reported / estimated));
+  // The first few samples count more so a new model converges quickly.
+  const weight = prev ? Math.max(rate, 1 / (prev.samples + 1)) : 1;
+  const factor = prev ? prev.factor + (observed - prev.factor) * weight : observed;
+  return {
+    ...(calibration || {}),
+    [key]: { factor: Math.round(factor * 1000) / 1000, samples: (prev?.samples || 0) + 1 },
+  };
+}
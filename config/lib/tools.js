@@ -0,0 +1,182 @@
+// Repo tools for the chat agent loop.
+//
+// With tools enabled the model reads the repository itself (list, read, search,
+// find a definition) instead of relying only on the files attached to the turn.
+// Definitions use the provider-neutral shape streamCompletion takes; execute()
+// runs one call and returns the text the model gets back, capped at
+// maxResultChars so one call can't eat the turn's token budget.
+
+export const REPO_TOOL_DEFINITIONS = [
+  {
+    name: "list_files",
+    description:
+      "List file paths in the repository. Filter by directory prefix and/or a substring to keep the list short.",
+    parameters: {
+      type: "object",
+      properties: {
+        prefix: { type: "string", description: "Only paths under this directory, e.g. \"src/lib\"" },
+        contains: { type: "string", description: "Only paths containing this text (case-insensitive)" },
+        limit: { type: "integer", description: "Maximum number of paths (default 200)" },
+      },
+    },
+  },
+  {
+    name: "read_file",
+    description:
+      "Read a text file from the repository. Long files come back truncated; read the rest with startLine/endLine.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File path relative to the repository root" },
+        startLine: { type: "integer", description: "First line to return (1-based, default 1)" },
+        endLine: { type: "integer", description: "Last line to return (inclusive)" },
+      },
+      required: ["path"],
+    },
+  },
+  {
+    name: "search_repo",
+    description:
+      "Full-text search over the repository's indexed files (default branch). Returns matching paths with snippets.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Words or identifiers to search for" },
+        limit: { type: "integer", description: "Maximum number of results (default 10)" },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "find_symbol",
+    description:
+      "Find where a function, class, method, type or constant is defined (default branch index). Returns path, line and signature.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Symbol name" },
+        prefix: { type: "boolean", description: "Match names starting with `name`" },
+      },
+      required: ["name"],
+    },
+  },
+];
+
+const DEFAULT_LIST_LIMIT = 200;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+function clampInt(value, fallback, min, max) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+function requireString(args, key) {
+  const value = typeof args?.[key] === "string" ? args[key].trim() : "";
+  if (!value) throw new Error(`${key} is required`);
+  return value;
+}
+
+// A note for results drawn from an index that is still being built.
+function indexNote(index) {
+  if (!index || index.status === "ready") return "";
+  return `\n(Index ${index.status}: ${index.indexedCount || 0}/${index.fileCount || 0} files so far; results may be incomplete.)`;
+}
+
+/**
+ * listFiles(repo, ref, { signal }) -> [path]
+ * readFile(repo, path, ref, { signal }) -> { skipped, reason?, content? } (getFileContentFromGitHub)
+ * searchRepo(repo, query, { limit }) -> { results: [{ path, snippet }], index }
+ * findSymbols(repo, { name, prefix }) -> { symbols: [{ name, kind, path, line, signature, container? }], index }
+ */
+export function createRepoTools({ listFiles, readFile, searchRepo, findSymbols, maxResultChars = 20000 }) {
+  const handlers = {
+    async list_files(args, { repo, ref, signal }) {
+      const prefix = typeof args.prefix === "string" ? args.prefix.trim().replace(/^\/+|\/+$/g, "") : "";
+      const contains = typeof args.contains === "string" ? args.contains.trim().toLowerCase() : "";
+      const limit = clampInt(args.limit, DEFAULT_LIST_LIMIT, 1, 1000);
+
+      const matches = (await listFiles(repo, ref, { signal })).filter(
+        (p) => (!prefix || p.startsWith(`${prefix}/`)) && (!contains || p.toLowerCase().includes(contains))
+      );
+      const shown = matches.slice(0, limit);
+      const more = matches.length - shown.length;
+      return {
+        content: shown.length
+          ? shown.join("\n") + (more > 0 ? `\n(${more} more; narrow with prefix/contains)` : "")
+          : "No matching files.",
+        summary: `${matches.length} path(s)${prefix ? ` under ${prefix}/` : ""}`,
+      };
+    },
+
+    async read_file(args, { repo, ref, signal }) {
+      const filePath = requireString(args, "path").replace(/^\/+/, "");
+      const r = await readFile(repo, filePath, ref, { signal });
+      if (r.skipped) throw new Error(`${filePath}: ${r.reason || "skipped"}`);
+
+      const lines = r.content.split("\n");
+      const start = clampInt(args.startLine, 1, 1, Math.max(lines.length, 1));
+      const end = clampInt(args.endLine, lines.length, start, lines.length);
+
+      let body = "";
+      let last = start - 1;
+      for (let i = start - 1; i < end; i++) {
+        if (body.length + lines[i].length + 1 > maxResultChars) break;
+        body += lines[i] + "\n";
+        last = i + 1;
+      }
+      const truncated = last < end;
+      const header = `--- ${filePath} (lines ${start}-${last} of ${lines.length}) ---\n`;
+      return {
+        content: header + body + (truncated ? `(truncated; continue with startLine=${last + 1})` : ""),
+        summary: `${filePath} lines ${start}-${last} of ${lines.length}`,
+      };
+    },
+
+    async search_repo(args, { repo }) {
+      const query = requireString(args, "query");
+      const limit = clampInt(args.limit, DEFAULT_SEARCH_LIMIT, 1, 50);
+      const { results, index } = await searchRepo(repo, query, { limit });
+      return {
+        content:
+          (results.length
+            ? results.map((r) => `${r.path}\n  ${String(r.snippet || "").replace(/\s+/g, " ").trim()}`).join("\n")
+            : "No matches.") + indexNote(index),
+        summary: `${results.length} match(es) for "${query}"`,
+      };
+    },
+
+    async find_symbol(args, { repo }) {
+      const name = requireString(args, "name");
+      const { symbols, index } = await findSymbols(repo, { name, prefix: args.prefix === true });
+      return {
+        content:
+          (symbols.length
+            ? symbols
+                .map((s) => `${s.path}:${s.line} ${s.kind} ${s.container ? `${s.container}.` : ""}${s.name} — ${s.signature}`)
+                .join("\n")
+            : `No definition of ${name} found.`) + indexNote(index),
+        summary: `${symbols.length} definition(s) of ${name}`,
+      };
+    },
+  };
+
+  /**
+   * Runs one tool call for { repo, ref, signal? }; the signal cancels GitHub
+   * reads when the turn is aborted. Never throws: failures come back as
+   * { ok: false } with the error text, which the model sees and can react to.
+   */
+  async function execute(name, args, ctx) {
+    const handler = Object.hasOwn(handlers, name) ? handlers[name] : null;
+    if (!handler) return { ok: false, content: `Error: unknown tool ${name}`, summary: `unknown tool ${name}` };
+    try {
+      const { content, summary } = await handler(args && typeof args === "object" ? args : {}, ctx);
+      const capped =
+        content.length > maxResultChars ? `${content.slice(0, maxResultChars)}\n(truncated at ${maxResultChars} characters)` : content;
+      return { ok: true, content: capped, summary };
+    } catch (e) {
+      return { ok: false, content: `Error: ${e.message}`, summary: e.message };
+    }
+  }
+
+  return { definitions: REPO_TOOL_DEFINITIONS, execute };
+}
@@ -0,0 +1,143 @@
+// Ordered model fallback with retry/backoff on top of streamCompletion
+
+import { streamCompletion, isProviderAvailable } from "./index.js";
+
+const DEFAULT_RETRY = { maxRetries: 2, baseDelayMs: 500, maxDelayMs: 4000 };
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// The routed model first, then its configured chain. Unknown/disabled keys and
+// duplicates are dropped so a chain like ["full", "fallback"] on "full" is safe.
+export function buildFallbackChain(modelKey, config) {
+  const models = config?.models || {};
+  const chains = config?.fallbackChains || {};
+  const keys = [modelKey, ...(Array.isArray(chains[modelKey]) ? chains[modelKey] : [])];
+
+  const out = [];
+  const seen = new Set();
+  for (const key of keys) {
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const modelConfig = models[key];
+    if (!modelConfig) continue;
+    if (modelConfig.enabled === false && key !== modelKey) continue;
+    out.push({ modelKey: key, modelConfig });
+  }
+  return out;
+}
+
+export function getErrorStatus(err) {
+  const status = err?.status ?? err?.statusCode;
+  return Number.isFinite(status) ? status : null;
+}
+
+// 429 and 5xx are worth retrying on the same model. Other 4xx (bad key, unknown
+// model, invalid request) are not, but the next model in the chain may still work.
+// Errors with no status are network failures or dropped streams: retry those too.
+export function isRetryableError(err) {
+  if (err?.name === "AbortError") return false;
+  const status = getErrorStatus(err);
+  if (status === null) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelayMs(err, attempt, retry) {
+  const retryAfter = Number(err?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retry.maxDelayMs, retryAfter * 1000);
+  }
+  const backoff = retry.baseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.floor(Math.random() * (retry.baseDelayMs / 2));
+  return Math.min(retry.maxDelayMs, backoff + jitter);
+}
+
+function describeError(err) {
+  const status = getErrorStatus(err);
+  const msg = err?.message || String(err);
+  return status && !msg.includes(String(status)) ? `${status} ${msg}` : msg;
+}
+
+/**
+ * Streams from the first model in `chain` that succeeds.
+ *
+ * Besides the provider's own `text`/`reasoning`/`tool_call`/`done` chunks this yields:
+ *   { type: "retry", modelKey, attempt, delayMs, reason }
+ *   { type: "reset" }                      partial output so far must be discarded
+ *   { type: "fallback", from, to, reason } switching to the next model key
+ * and the final `done` chunk carries `modelKey` and `modelConfig` of the model
+ * that actually answered. Throws when every model in the chain has failed.
+ * An abort via `options.signal` stops retries/fallbacks and rethrows the AbortError.
+ * `options.tools` and `options.toolChoice` are passed to every model in the chain.
+ */
+export async function* streamWithFallback(chain, systemPrompt, messages, options = {}) {
+  const {
+    retry: retryOverrides,
+    stream = streamCompletion,
+    isAvailable = isProviderAvailable,
+    wait = sleep,
+    signal,
+    tools,
+    toolChoice,
+  } = options;
+  const retry = { ...DEFAULT_RETRY, ...(retryOverrides || {}) };
+
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error("No models available to answer");
+  }
+
+  const failures = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const { modelKey, modelConfig } = chain[i];
+    const next = chain[i + 1];
+    let reason = null;
+
+    if (!isAvailable(modelConfig.provider)) {
+      reason = `${modelConfig.provider} not configured`;
+    } else {
+      for (let attempt = 1; ; attempt++) {
+        let emitted = false;
+        try {
+          for await (const chunk of stream(modelConfig, systemPrompt, messages, modelConfig.maxOutputTokens, { signal, tools, toolChoice })) {
+            if (chunk.type === "done") {
+              yield { ...chunk, modelKey, modelConfig };
+            } else {
+              if (chunk.type === "text" || chunk.type === "reasoning" || chunk.type === "tool_call") emitted = true;
+              yield chunk;
+            }
+          }
+          return;
+        } catch (err) {
+          if (err?.name === "AbortError" || signal?.aborted) throw err;
+          if (emitted) yield { type: "reset" };
+
+          reason = describeError(err);
+          if (!isRetryableError(err) || attempt > retry.maxRetries) break;
+
+          const delayMs = retryDelayMs(err, attempt, retry);
+          yield { type: "retry", modelKey, attempt, delayMs, reason };
+          await wait(delayMs, signal);
+        }
+      }
+    }
+
+    failures.push(`${modelKey}: ${reason}`);
+    if (next) {
+      yield { type: "fallback", from: modelKey, to: next.modelKey, reason };
+    }
+  }
+
+  throw new Error(`All models failed (${failures.join("; ")})`);
+}
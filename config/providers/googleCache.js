@@ -0,0 +1,80 @@
+// Gemini context caching: a large, stable system prefix (the repo files and
+// instructions) is uploaded once as cachedContents/<id> and referenced by later
+// requests until it expires, instead of being re-sent and re-billed in full.
+//
+// Caches are keyed by model and content, so the same file set is shared across
+// conversations. A prefix the API refuses to cache (e.g. under the model's
+// minimum size) is remembered and not retried until the TTL has passed.
+
+import crypto from "crypto";
+
+const API = "https://generativelanguage.googleapis.com/v1beta";
+const REUSE_MARGIN_MS = 30_000; // don't hand out a cache that expires mid-request
+const MAX_ENTRIES = 200;
+
+const entries = new Map(); // key -> { name, expiresAt } | { failedUntil }
+const pending = new Map(); // key -> Promise<{ name, createdTokens } | null>
+
+function cacheKey(model, systemInstruction) {
+  return crypto.createHash("sha256").update(model).update("\u0000").update(JSON.stringify(systemInstruction)).digest("hex");
+}
+
+function remember(key, value) {
+  entries.delete(key);
+  entries.set(key, value);
+  if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
+
+async function createCachedContent(apiKey, model, systemInstruction, ttlSeconds, signal) {
+  const response = await fetch(`${API}/cachedContents?key=${apiKey}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model: `models/${model}`, systemInstruction, ttl: `${ttlSeconds}s` }),
+    signal,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    const err = new Error(`Gemini cache: ${response.status}${body?.error?.message ? ` ${body.error.message}` : ""}`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+/**
+ * { name, createdTokens } of the cachedContents holding `systemInstruction` for
+ * `model`, creating it when needed, or null when caching isn't possible right
+ * now (the caller then sends the instruction inline). createdTokens is the size
+ * of a cache this call created, billed once; 0 when an existing one is reused.
+ */
+export async function getGoogleCachedContent({ apiKey, model, systemInstruction, ttlSeconds = 300, signal }) {
+  const key = cacheKey(model, systemInstruction);
+  const now = Date.now();
+  const known = entries.get(key);
+  if (known?.name && known.expiresAt - now > REUSE_MARGIN_MS) return { name: known.name, createdTokens: 0 };
+  if (known?.failedUntil > now) return null;
+  if (pending.has(key)) {
+    const shared = await pending.get(key);
+    return shared && { name: shared.name, createdTokens: 0 };
+  }
+
+  const request = createCachedContent(apiKey, model, systemInstruction, ttlSeconds, signal)
+    .then((cached) => {
+      const expiresAt = cached.expireTime ? Date.parse(cached.expireTime) : now + ttlSeconds * 1000;
+      remember(key, { name: cached.name, expiresAt });
+      return { name: cached.name, createdTokens: cached.usageMetadata?.totalTokenCount || 0 };
+    })
+    .catch((e) => {
+      if (e?.name === "AbortError") throw e;
+      console.warn(`Gemini context cache not used for ${model}: ${e.message}`);
+      remember(key, { failedUntil: now + ttlSeconds * 1000 });
+      return null;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, request);
+  return request;
+}
+
+export function clearGoogleCacheEntries() {
+  entries.clear();
+}
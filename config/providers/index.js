@@ -1,10 +1,24 @@
 import OpenAI from "openai";
 import Anthropic from "@anthropic-ai/sdk";
+import { streamStub } from "./stub.js";
+import { streamOllama, listOllamaModels } from "./ollama.js";
+import { readProviderEntries, providerCosts } from "./registry.js";
+import { getGoogleCachedContent, clearGoogleCacheEntries } from "./googleCache.js";
+import { countTokens } from "../lib/tokens.js";
+import { toAnthropicRequest, toGoogleRequest } from "./messages.js";
 
 let openaiClient = null;
 let anthropicClient = null;
 let googleApiKey = null;
 
+// Gemini context caching: only prefixes at least this big (the API's minimum
+// for most models), each kept this long after it is created.
+const GOOGLE_CACHE_MIN_TOKENS = parseInt(process.env.GOOGLE_CACHE_MIN_TOKENS || "4096", 10);
+const GOOGLE_CACHE_TTL_SECONDS = parseInt(process.env.GOOGLE_CACHE_TTL_SECONDS || "300", 10);
+
+// Registry providers by name: { name, ...entry, apiKey, client (openai-compatible only) }.
+let registry = new Map();
+
 const providerStatus = {
   openai: false,
   anthropic: false,
@@ -12,7 +26,9 @@ const providerStatus = {
   github: false
 };
 
-export function initializeProviders(keys = {}) {
+// `providerEntries` is the "providers" block of models.json (see registry.js);
+// keys for its entries come in `keys` under the provider's name.
+export function initializeProviders(keys = {}, providerEntries = {}) {
   const openaiKey = keys.openai || process.env.OPENAI_API_KEY;
   const anthropicKey = keys.anthropic || process.env.ANTHROPIC_API_KEY;
   const googleKey = keys.google || process.env.GOOGLE_API_KEY;
@@ -44,6 +60,7 @@ export function initializeProviders(keys = {}) {
     providerStatus.anthropic = false;
   }
 
+  if (googleKey !== googleApiKey) clearGoogleCacheEntries();
   if (googleKey) {
     googleApiKey = googleKey;
     providerStatus.google = true;
@@ -54,14 +71,34 @@ export function initializeProviders(keys = {}) {
 
   providerStatus.github = !!githubKey;
 
+  for (const name of registry.keys()) delete providerStatus[name];
+  registry = new Map();
+  for (const [name, entry] of Object.entries(readProviderEntries(providerEntries))) {
+    const apiKey = keys[name] || null;
+    const provider = { name, ...entry, apiKey };
+    if (entry.type === "openai-compatible") {
+      // Local servers ignore the key, but the SDK insists on one.
+      provider.client = new OpenAI({ apiKey: apiKey || "unused", baseURL: entry.baseUrl, defaultHeaders: entry.headers });
+    }
+    registry.set(name, provider);
+    providerStatus[name] = !entry.requiresKey || !!apiKey;
+  }
+
   return { ...providerStatus };
 }
 
-export function reloadProviders(keys) {
-  return initializeProviders(keys);
+export function reloadProviders(keys, providerEntries) {
+  return initializeProviders(keys, providerEntries);
+}
+
+// The stub serves canned replies, so it only runs when asked for explicitly;
+// a models.json entry pointing at it is otherwise treated as unconfigured.
+function stubEnabled() {
+  return process.env.ENABLE_STUB_PROVIDER === "1";
 }
 
 export function isProviderAvailable(provider) {
+  if (provider === "stub") return stubEnabled();
   return providerStatus[provider] || false;
 }
 
@@ -69,104 +106,380 @@ export function getProviderStatus() {
   return { ...providerStatus };
 }
 
-export async function* streamCompletion(modelConfig, systemPrompt, messages, maxTokens) {
-  const { provider, model } = modelConfig;
+// Registry providers without secrets, for the admin page.
+export function getRegisteredProviders() {
+  return [...registry.values()].map(({ apiKey, client, ...entry }) => ({
+    ...entry,
+    hasKey: !!apiKey,
+    available: !!providerStatus[entry.name],
+  }));
+}
 
-  if (provider === "openai") {
-    if (!openaiClient) throw new Error("OpenAI not configured");
+async function fetchModelList(url, headers, signal, label) {
+  const response = await fetch(url, { headers, signal });
+  if (!response.ok) {
+    const err = new Error(`${label} models: ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+async function listAnthropicModels(signal) {
+  const models = [];
+  let afterId = null;
+  do {
+    const page = await fetchModelList(
+      `https://api.anthropic.com/v1/models?limit=1000${afterId ? `&after_id=${encodeURIComponent(afterId)}` : ""}`,
+      { "x-api-key": anthropicClient.apiKey, "anthropic-version": "2023-06-01" },
+      signal,
+      "Anthropic"
+    );
+    for (const m of page.data || []) models.push({ id: m.id, ...(m.display_name && { displayName: m.display_name }) });
+    afterId = page.has_more ? page.last_id : null;
+  } while (afterId);
+  return models;
+}
+
+// Only models that can generate content; embeddings and the like are left out.
+async function listGoogleModels(signal) {
+  const models = [];
+  let pageToken = null;
+  do {
+    const page = await fetchModelList(
+      `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${googleApiKey}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ""}`,
+      {},
+      signal,
+      "Google"
+    );
+    for (const m of page.models || []) {
+      if (!(m.supportedGenerationMethods || []).includes("generateContent")) continue;
+      models.push({
+        id: m.name.replace(/^models\//, ""),
+        ...(m.displayName && { displayName: m.displayName }),
+        ...(m.inputTokenLimit && { contextWindow: m.inputTokenLimit }),
+        ...(m.outputTokenLimit && { maxOutputTokens: m.outputTokenLimit }),
+      });
+    }
+    pageToken = page.nextPageToken || null;
+  } while (pageToken);
+  return models;
+}
+
+/**
+ * Models a provider offers: [{ id, displayName?, contextWindow?, ... }], sorted
+ * by id. Works for the built-in cloud providers and registry providers;
+ * throws when the provider isn't configured or can't list models (stub).
+ */
+export async function listProviderModels(name, { signal } = {}) {
+  const provider = registry.get(name);
+  let models;
+  if (provider?.type === "ollama") {
+    models = await listOllamaModels(provider, { signal });
+  } else if (name === "anthropic") {
+    if (!anthropicClient) throw new Error("anthropic not configured");
+    models = await listAnthropicModels(signal);
+  } else if (name === "google") {
+    if (!googleApiKey) throw new Error("google not configured");
+    models = await listGoogleModels(signal);
+  } else {
+    const client = provider?.client || (name === "openai" ? openaiClient : null);
+    if (!client) {
+      throw new Error(provider || name === "openai" ? `${name} not configured` : `Model discovery not supported for ${name}`);
+    }
+    models = [];
+    for await (const m of client.models.list({ signal })) models.push({ id: m.id, ...(m.owned_by && { ownedBy: m.owned_by }) });
+  }
+  return models.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// `options.signal` (an AbortSignal) cancels the underlying HTTP stream. An aborted
+// stream always ends by throwing the signal's AbortError, whatever the SDK throws.
+//
+// `options.tools` ([{ name, description, parameters }], parameters being a JSON
+// Schema object) enables function calling; `options.toolChoice: "none"` keeps
+// the tools declared but asks for a plain answer. Requested calls are yielded,
+// once complete, as { type: "tool_call", id, name, arguments } and the `done`
+// chunk then has finishReason "tool_calls". To continue, send back an assistant
+// message with `toolCalls: [{ id, name, arguments }]` followed by one
+// { role: "tool", toolCallId, name, content } message per call.
+//
+// System messages may appear anywhere in `messages`; providers without system
+// turns get them as system content (see messages.js). Leading system messages
+// marked `cache: true` form the stable prefix that is cached where the provider
+// needs to be told (Anthropic breakpoints, Gemini cachedContents; OpenAI caches
+// prefixes by itself). The `done` chunk counts all input in `inputTokens`, of
+// which `cacheReadTokens` came from the cache and `cacheWriteTokens` were
+// written to it. A model with `promptCache: false` never asks for caching.
+//
+// Reasoning models stream their thinking, where the provider exposes it, as
+// { type: "reasoning", text } chunks apart from the answer. The `done` chunk's
+// `reasoningTokens` is the part of `outputTokens` spent thinking (estimated
+// when the provider doesn't report it). Model fields: `reasoningEffort`
+// (OpenAI and compatible endpoints, Gemini thinkingLevel, Ollama `think`),
+// `thinkingBudget` (Anthropic extended thinking, Gemini thinkingBudget) and
+// `reasoning` (OpenAI: the model takes max_completion_tokens).
+export async function* streamCompletion(modelConfig, systemPrompt, messages, maxTokens, options = {}) {
+  const { signal } = options;
+  signal?.throwIfAborted();
+  try {
+    yield* streamProvider(modelConfig, systemPrompt, messages, maxTokens, options);
+  } catch (err) {
+    signal?.throwIfAborted();
+    throw err;
+  }
+}
+
+function parseToolArguments(raw) {
+  if (!raw) return {};
+  try {
+    const args = JSON.parse(raw);
+    return args && typeof args === "object" && !Array.isArray(args) ? args : {};
+  } catch {
+    return {};
+  }
+}
+
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) return typeof content === 'string' ? content : String(content ?? '');
+  return content.map((p) =>
+    p.type === "image"
+      ? { type: "image_url", image_url: { url: `data:${p.mediaType};base64,${p.data}` } }
+      : { type: "text", text: p.text }
+  );
+}
 
-    const inputMessages = messages.map((m) => ({
-      role: m.role,
-      content: typeof m.content === 'string' ? m.content : String(m.content ?? ''),
+function toOpenAIMessage(m) {
+  if (m.role === "tool") {
+    return { role: "tool", tool_call_id: m.toolCallId, content: String(m.content ?? "") };
+  }
+  const out = { role: m.role, content: toOpenAIContent(m.content) };
+  if (m.role === "assistant" && m.toolCalls?.length) {
+    out.tool_calls = m.toolCalls.map((c) => ({
+      id: c.id,
+      type: "function",
+      function: { name: c.name, arguments: JSON.stringify(c.arguments ?? {}) },
     }));
+  }
+  return out;
+}
 
-    // Standard Chat Completions (Optimized for Prompt Caching)
-    // If systemPrompt is provided, prepend it. If null, we assume the caller
-    // already placed system instructions inside 'messages' for cache-ordering.
-    const openaiMessages = systemPrompt 
-      ? [{ role: 'system', content: systemPrompt }, ...inputMessages]
-      : inputMessages;
-
-    // Detect newer reasoning or high-context models (o1, o3, gpt-4o)
-    const isNewModel = typeof model === 'string' && 
-      (model.includes('gpt-4o') || model.startsWith('gpt-5') || model.startsWith('o1') || model.startsWith('o3'));
-    
-    const stream = await openaiClient.chat.completions.create({
-      model,
-      messages: openaiMessages,
-      stream: true,
-      stream_options: { include_usage: true },
-      ...(isNewModel
-        ? (maxTokens ? { max_completion_tokens: maxTokens } : {})
-        : (maxTokens ? { max_tokens: maxTokens } : {})),
-    });
-
-    let inputTokens = 0, outputTokens = 0, finishReason = 'stop';
-    for await (const chunk of stream) {
-      const delta = chunk.choices?.[0]?.delta?.content;
-      if (delta) yield { type: 'text', text: delta };
-      if (chunk.usage) {
-        inputTokens = chunk.usage.prompt_tokens ?? inputTokens;
-        outputTokens = chunk.usage.completion_tokens ?? outputTokens;
-      }
-      if (chunk.choices?.[0]?.finish_reason) finishReason = chunk.choices[0].finish_reason;
+// Chat Completions streaming, shared by OpenAI and OpenAI-compatible endpoints
+// (`compatible`: plain max_tokens, whatever the model name).
+async function* streamOpenAIChat(client, modelConfig, systemPrompt, messages, maxTokens, options, { compatible = false } = {}) {
+  const { model } = modelConfig;
+  const { signal, tools, toolChoice } = options;
+  const hasTools = Array.isArray(tools) && tools.length > 0;
+
+  const inputMessages = messages.map(toOpenAIMessage);
+
+  // Standard Chat Completions (Optimized for Prompt Caching)
+  // If systemPrompt is provided, prepend it. If null, we assume the caller
+  // already placed system instructions inside 'messages' for cache-ordering.
+  const openaiMessages = systemPrompt 
+    ? [{ role: 'system', content: systemPrompt }, ...inputMessages]
+    : inputMessages;
+
+  // Reasoning models (and gpt-4o) take max_completion_tokens; `reasoning` in
+  // models.json overrides the guess from the name.
+  const isNewModel = !compatible && (modelConfig.reasoning ?? (typeof model === 'string' &&
+    (model.includes('gpt-4o') || model.startsWith('gpt-5') || /^o\d/.test(model))));
+  
+  const stream = await client.chat.completions.create({
+    model,
+    messages: openaiMessages,
+    stream: true,
+    stream_options: { include_usage: true },
+    ...(isNewModel
+      ? (maxTokens ? { max_completion_tokens: maxTokens } : {})
+      : (maxTokens ? { max_tokens: maxTokens } : {})),
+    ...(modelConfig.reasoningEffort && { reasoning_effort: modelConfig.reasoningEffort }),
+    ...(hasTools && {
+      tools: tools.map((t) => ({
+        type: "function",
+        function: { name: t.name, description: t.description, parameters: t.parameters },
+      })),
+      tool_choice: toolChoice === "none" ? "none" : "auto",
+    }),
+  }, { signal });
+
+  // Tool call deltas arrive in pieces keyed by index: id and name first, then argument fragments.
+  const calls = [];
+  let inputTokens = 0, outputTokens = 0, cacheReadTokens = 0, reasoningTokens = 0, finishReason = 'stop';
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta;
+    // OpenAI keeps its reasoning hidden; DeepSeek, vLLM and OpenRouter stream it.
+    const thought = delta?.reasoning_content ?? delta?.reasoning;
+    if (typeof thought === 'string' && thought) yield { type: 'reasoning', text: thought };
+    if (delta?.content) yield { type: 'text', text: delta.content };
+    for (const tc of delta?.tool_calls || []) {
+      const call = (calls[tc.index ?? 0] ||= { id: "", name: "", args: "" });
+      if (tc.id) call.id = tc.id;
+      if (tc.function?.name) call.name += tc.function.name;
+      if (tc.function?.arguments) call.args += tc.function.arguments;
     }
-    yield { type: 'done', inputTokens, outputTokens, finishReason };
+    if (chunk.usage) {
+      inputTokens = chunk.usage.prompt_tokens ?? inputTokens;
+      outputTokens = chunk.usage.completion_tokens ?? outputTokens;
+      cacheReadTokens = chunk.usage.prompt_tokens_details?.cached_tokens ?? cacheReadTokens;
+      reasoningTokens = chunk.usage.completion_tokens_details?.reasoning_tokens ?? reasoningTokens;
+    }
+    if (chunk.choices?.[0]?.finish_reason) finishReason = chunk.choices[0].finish_reason;
+  }
+  for (const c of calls.filter(Boolean)) {
+    yield { type: 'tool_call', id: c.id, name: c.name, arguments: parseToolArguments(c.args) };
+  }
+  if (calls.length) finishReason = 'tool_calls';
+  yield { type: 'done', inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens: 0, reasoningTokens, finishReason };
+}
+
+async function* streamProvider(modelConfig, systemPrompt, messages, maxTokens, options) {
+  const { provider, model } = modelConfig;
+  const { signal, tools, toolChoice } = options;
+  const hasTools = Array.isArray(tools) && tools.length > 0;
+
+  if (provider === "openai") {
+    if (!openaiClient) throw new Error("OpenAI not configured");
+    yield* streamOpenAIChat(openaiClient, modelConfig, systemPrompt, messages, maxTokens, options);
 
   } else if (provider === "anthropic") {
     if (!anthropicClient) throw new Error("Anthropic not configured");
+    const request = toAnthropicRequest(messages, { systemPrompt, promptCache: modelConfig.promptCache !== false });
+    // The thinking budget is part of max_tokens and must be at least 1024.
+    const maxOutput = maxTokens || 4096;
+    const thinkingBudget = Math.min(modelConfig.thinkingBudget || 0, maxOutput - 1);
     const stream = await anthropicClient.messages.stream({
       model,
-      ...(systemPrompt ? { system: systemPrompt } : {}),
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
-      max_tokens: maxTokens || 4096
-    });
+      ...(request.system.length ? { system: request.system } : {}),
+      messages: request.messages,
+      max_tokens: maxOutput,
+      ...(thinkingBudget >= 1024 && { thinking: { type: "enabled", budget_tokens: thinkingBudget } }),
+      ...(hasTools && {
+        tools: tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters })),
+        tool_choice: { type: toolChoice === "none" ? "none" : "auto" },
+      }),
+    }, { signal });
 
+    // This SDK version doesn't assemble thinking blocks, so they are built here.
+    // A turn that calls tools must send them back unchanged with the results.
+    const thinking = [];
     for await (const event of stream) {
-      if (event.type === "content_block_delta" && event.delta?.text) {
+      if (event.type === "content_block_start" && /thinking$/.test(event.content_block?.type)) {
+        thinking[event.index] = { ...event.content_block };
+      } else if (event.type === "content_block_delta" && event.delta?.type === "thinking_delta") {
+        thinking[event.index].thinking += event.delta.thinking;
+        yield { type: "reasoning", text: event.delta.thinking };
+      } else if (event.type === "content_block_delta" && event.delta?.type === "signature_delta") {
+        thinking[event.index].signature = event.delta.signature;
+      } else if (event.type === "content_block_delta" && event.delta?.text) {
         yield { type: "text", text: event.delta.text };
       }
     }
+    // The SDK assembles each tool_use block's streamed input JSON for us.
     const final = await stream.finalMessage();
-    yield { type: "done", inputTokens: final.usage?.input_tokens || 0, outputTokens: final.usage?.output_tokens || 0 };
+    const toolUses = (final.content || []).filter((b) => b.type === "tool_use");
+    for (const b of toolUses) {
+      yield { type: "tool_call", id: b.id, name: b.name, arguments: b.input || {} };
+    }
+    const thinkingBlocks = thinking.filter(Boolean);
+    // input_tokens excludes what was read from or written to the cache. Thinking
+    // is billed as output but not counted apart, so its share is estimated.
+    const usage = final.usage || {};
+    const cacheReadTokens = usage.cache_read_input_tokens || 0;
+    const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+    yield {
+      type: "done",
+      inputTokens: (usage.input_tokens || 0) + cacheReadTokens + cacheWriteTokens,
+      outputTokens: usage.output_tokens || 0,
+      cacheReadTokens,
+      cacheWriteTokens,
+      reasoningTokens: Math.min(
+        usage.output_tokens || 0,
+        countTokens(thinkingBlocks.map((b) => b.thinking || "").join(""), "anthropic")
+      ),
+      ...(toolUses.length && thinkingBlocks.length && { reasoningBlocks: thinkingBlocks }),
+      finishReason: toolUses.length ? "tool_calls" : final.stop_reason,
+    };
 
   } else if (provider === "google") {
     if (!googleApiKey) throw new Error("Google not configured");
 
-    const contents = [];
-    const instructionsText = systemPrompt ? `System Instructions: ${systemPrompt}\n\n` : "";
-    
-    // Google wrap
-    contents.push({
-      role: "user",
-      parts: [{ text: `${instructionsText}Please respond to the following conversation:` }]
-    });
-    contents.push({
-      role: "model", 
-      parts: [{ text: "I understand. I'll follow those instructions." }]
-    });
-
-    for (const m of messages) {
-      contents.push({
-        role: m.role === "assistant" ? "model" : "user",
-        parts: [{ text: m.content }]
+    // A big enough cached prefix of the systemInstruction is served from
+    // cachedContents instead. The request may then not set systemInstruction or
+    // tools, so the rest of the system text leads the first user turn and agent
+    // rounds (tools) skip the cache.
+    const { systemParts, cachedParts, contents } = toGoogleRequest(messages, { systemPrompt });
+    let cachedContent = null;
+    let cacheWriteTokens = 0;
+    if (
+      modelConfig.promptCache !== false &&
+      !hasTools &&
+      cachedParts.length &&
+      countTokens(cachedParts.map((p) => p.text).join("\n\n"), "google") >= (modelConfig.cacheMinTokens ?? GOOGLE_CACHE_MIN_TOKENS)
+    ) {
+      const cache = await getGoogleCachedContent({
+        apiKey: googleApiKey,
+        model,
+        systemInstruction: { parts: cachedParts },
+        ttlSeconds: modelConfig.cacheTtlSeconds || GOOGLE_CACHE_TTL_SECONDS,
+        signal,
       });
+      if (cache) {
+        cachedContent = cache.name;
+        cacheWriteTokens = cache.createdTokens;
+        const leading = systemParts.slice(cachedParts.length);
+        if (leading.length && contents[0]?.role === "user") contents[0].parts.unshift(...leading);
+        else if (leading.length) contents.unshift({ role: "user", parts: leading });
+      }
     }
 
+    // Thought summaries are asked for whenever thinking is configured and on.
+    // Gemini rejects thinkingBudget and thinkingLevel together; the budget wins.
+    const thinkingConfig =
+      modelConfig.thinkingBudget !== undefined
+        ? { thinkingBudget: modelConfig.thinkingBudget, includeThoughts: modelConfig.thinkingBudget !== 0 }
+        : modelConfig.reasoningEffort
+          ? { thinkingLevel: modelConfig.reasoningEffort, includeThoughts: true }
+          : null;
+
     const response = await fetch(
       `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${googleApiKey}`,
       {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ contents, generationConfig: { maxOutputTokens: maxTokens } })
+        body: JSON.stringify({
+          contents,
+          ...(cachedContent
+            ? { cachedContent }
+            : systemParts.length && { systemInstruction: { parts: systemParts } }),
+          generationConfig: { maxOutputTokens: maxTokens, ...(thinkingConfig && { thinkingConfig }) },
+          ...(hasTools && {
+            tools: [
+              {
+                functionDeclarations: tools.map((t) => ({
+                  name: t.name,
+                  description: t.description,
+                  parameters: t.parameters,
+                })),
+              },
+            ],
+            toolConfig: { functionCallingConfig: { mode: toolChoice === "none" ? "NONE" : "AUTO" } },
+          }),
+        }),
+        signal
       }
     );
 
-    if (!response.ok) throw new Error(`Google API: ${response.status}`);
+    if (!response.ok) {
+      const err = new Error(`Google API: ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
-    let buffer = "", inputT = 0, outputT = 0;
+    let buffer = "", inputT = 0, outputT = 0, cacheReadT = 0, thoughtsT = 0, finishReason = "stop";
+    const calls = [];
 
     while (true) {
       const { done, value } = await reader.read();
@@ -178,22 +491,91 @@ export async function* streamCompletion(modelConfig, systemPrompt, messages, max
         if (!line.startsWith("data: ")) continue;
         try {
           const data = JSON.parse(line.slice(6));
-          if (data.candidates?.[0]?.content?.parts?.[0]?.text) {
-            yield { type: "text", text: data.candidates[0].content.parts[0].text };
+          for (const part of data.candidates?.[0]?.content?.parts || []) {
+            if (part.text) yield { type: part.thought ? "reasoning" : "text", text: part.text };
+            // Gemini calls carry no id; ours only pairs the call with its result.
+            if (part.functionCall) calls.push({ id: `call_${calls.length + 1}`, ...part.functionCall });
           }
           if (data.usageMetadata) {
             inputT = data.usageMetadata.promptTokenCount || inputT;
             outputT = data.usageMetadata.candidatesTokenCount || outputT;
+            cacheReadT = data.usageMetadata.cachedContentTokenCount || cacheReadT;
+            thoughtsT = data.usageMetadata.thoughtsTokenCount || thoughtsT;
           }
         } catch (e) {}
       }
     }
-    yield { type: "done", inputTokens: inputT, outputTokens: outputT };
+    for (const c of calls) {
+      yield { type: "tool_call", id: c.id, name: c.name, arguments: c.args || {} };
+    }
+    if (calls.length) finishReason = "tool_calls";
+    // Creating the cache bills its tokens once, on top of this prompt. Thoughts
+    // are billed as output but not included in candidatesTokenCount.
+    yield {
+      type: "done",
+      inputTokens: inputT + cacheWriteTokens,
+      outputTokens: outputT + thoughtsT,
+      cacheReadTokens: cacheReadT,
+      cacheWriteTokens,
+      reasoningTokens: thoughtsT,
+      finishReason,
+    };
+
+  } else if (provider === "stub") {
+    if (!stubEnabled()) throw new Error("Stub provider is disabled (set ENABLE_STUB_PROVIDER=1)");
+    yield* streamStub(modelConfig, messages, signal, hasTools && toolChoice !== "none");
+
+  } else if (registry.has(provider)) {
+    const entry = registry.get(provider);
+    if (entry.requiresKey && !entry.apiKey) throw new Error(`${entry.displayName} not configured`);
+    if (entry.type === "ollama") {
+      yield* streamOllama(entry, modelConfig, systemPrompt, messages, maxTokens, options);
+    } else {
+      yield* streamOpenAIChat(entry.client, modelConfig, systemPrompt, messages, maxTokens, options, { compatible: true });
+    }
+
+  } else {
+    throw new Error(`Unknown provider: ${provider}`);
   }
 }
 
-export function calculateCost(modelConfig, inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * (modelConfig.inputCost || 0);
-  const outputCost = (outputTokens / 1_000_000) * (modelConfig.outputCost || 0);
-  return inputCost + outputCost;
+// Cached input prices as multiples of inputCost, for models that don't set
+// cacheReadCost / cacheWriteCost ($ per million tokens) themselves. Gemini's
+// hourly cache storage is not included.
+const CACHE_PRICE_MULTIPLIERS = {
+  anthropic: { read: 0.1, write: 1.25 },
+  google: { read: 0.25, write: 1 },
+  openai: { read: 0.5, write: 1 },
+};
+
+function registryCosts(modelConfig) {
+  return registry.has(modelConfig.provider) ? providerCosts(registry.get(modelConfig.provider), modelConfig.model) : {};
+}
+
+// The reasoning share of a call's output cost: `reasoningCost` ($ per million
+// tokens) when the model sets one, else its output price.
+export function calculateReasoningCost(modelConfig, reasoningTokens) {
+  const price = modelConfig.reasoningCost ?? modelConfig.outputCost ?? registryCosts(modelConfig).outputCost ?? 0;
+  return ((reasoningTokens || 0) / 1_000_000) * price;
+}
+
+// Models on a registry provider without their own prices use the entry's `costs`.
+// `usage` ({ cacheReadTokens, cacheWriteTokens, reasoningTokens }, e.g. a done
+// chunk) prices the part of inputTokens that was read from or written to a
+// prompt cache and the part of outputTokens spent reasoning.
+export function calculateCost(modelConfig, inputTokens, outputTokens, usage = {}) {
+  const fallback = registryCosts(modelConfig);
+  const inputPrice = modelConfig.inputCost ?? fallback.inputCost ?? 0;
+  const multipliers = CACHE_PRICE_MULTIPLIERS[modelConfig.provider] || { read: 1, write: 1 };
+  const readTokens = usage.cacheReadTokens || 0;
+  const writeTokens = usage.cacheWriteTokens || 0;
+  const uncached = Math.max(0, inputTokens - readTokens - writeTokens);
+  const inputCost =
+    (uncached * inputPrice +
+      readTokens * (modelConfig.cacheReadCost ?? inputPrice * multipliers.read) +
+      writeTokens * (modelConfig.cacheWriteCost ?? inputPrice * multipliers.write)) /
+    1_000_000;
+  const reasoningTokens = Math.min(usage.reasoningTokens || 0, outputTokens);
+  const outputCost = ((outputTokens - reasoningTokens) / 1_000_000) * (modelConfig.outputCost ?? fallback.outputCost ?? 0);
+  return inputCost + outputCost + calculateReasoningCost(modelConfig, reasoningTokens);
 }
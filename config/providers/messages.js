@@ -0,0 +1,140 @@
+// Maps the provider-neutral message list to each provider's request shape.
+//
+// Callers send one list: { role: "system" | "user" | "assistant" | "tool" }
+// messages whose content is a string or an array of parts, { type: "text", text }
+// and { type: "image", mediaType, data } (base64). Assistant turns may carry
+// toolCalls; tool results are { role: "tool", toolCallId, name, content }.
+// Anthropic thinking blocks from a turn that called tools ride along as
+// `reasoningBlocks` and are sent back ahead of its tool_use blocks.
+//
+// OpenAI and Ollama take that list nearly as is. Anthropic and Gemini don't
+// accept system turns, and expect user and model turns to alternate:
+//   - system messages, wherever they are, become the request's system content
+//     (Anthropic `system` blocks, Gemini `systemInstruction`), in order;
+//   - tool results become user turns;
+//   - empty text is dropped and consecutive same-role turns are merged.
+// Everything here is pure so the mappings can be checked without a provider.
+
+const MAX_ANTHROPIC_BREAKPOINTS = 4;
+
+export function contentParts(content) {
+  return Array.isArray(content) ? content : [{ type: "text", text: String(content ?? "") }];
+}
+
+export function textOf(content) {
+  return contentParts(content)
+    .filter((p) => p.type === "text")
+    .map((p) => p.text)
+    .join("\n\n");
+}
+
+/**
+ * Pulls the system content out of a message list. Returns { system, turns }:
+ * system is [{ text, cache }] (systemPrompt first, then every system message in
+ * order) and turns the remaining messages. `cache` is set on the leading run of
+ * system messages marked `cache: true` — the stable prefix providers may cache.
+ */
+export function splitSystem(messages, systemPrompt = null) {
+  const system = systemPrompt ? [{ text: systemPrompt, cache: false }] : [];
+  const turns = [];
+  let leading = !systemPrompt;
+  for (const m of messages || []) {
+    if (m.role !== "system") {
+      leading = false;
+      turns.push(m);
+      continue;
+    }
+    leading = leading && !!m.cache;
+    const text = textOf(m.content);
+    if (text.trim()) system.push({ text, cache: leading });
+  }
+  return { system, turns };
+}
+
+// Concatenates consecutive turns with the same role; `key` names the list of
+// content blocks (Anthropic `content`, Gemini `parts`).
+function mergeTurns(turns, key) {
+  const out = [];
+  for (const turn of turns) {
+    if (!turn[key].length) continue;
+    const prev = out[out.length - 1];
+    if (prev?.role === turn.role) prev[key] = [...prev[key], ...turn[key]];
+    else out.push({ ...turn });
+  }
+  return out;
+}
+
+function toAnthropicBlocks(content) {
+  return contentParts(content)
+    .filter((p) => p.type === "image" || p.text?.trim())
+    .map((p) =>
+      p.type === "image"
+        ? { type: "image", source: { type: "base64", media_type: p.mediaType, data: p.data } }
+        : { type: "text", text: p.text }
+    );
+}
+
+function anthropicTurn(m) {
+  if (m.role === "tool") {
+    const block = { type: "tool_result", tool_use_id: m.toolCallId, content: String(m.content ?? "") };
+    if (m.isError) block.is_error = true;
+    return { role: "user", content: [block] };
+  }
+  const content = toAnthropicBlocks(m.content);
+  if (m.role === "assistant") {
+    if (m.toolCalls?.length && m.reasoningBlocks?.length) content.unshift(...m.reasoningBlocks);
+    for (const c of m.toolCalls || []) content.push({ type: "tool_use", id: c.id, name: c.name, input: c.arguments ?? {} });
+  }
+  return { role: m.role === "assistant" ? "assistant" : "user", content };
+}
+
+/**
+ * { system, messages } for the Messages API. A cache_control breakpoint goes on
+ * each cached system block (the last four, the most the API allows) unless
+ * `promptCache` is false. A merged turn with a single text block is sent as a
+ * plain string.
+ */
+export function toAnthropicRequest(messages, { systemPrompt = null, promptCache = true } = {}) {
+  const { system, turns } = splitSystem(messages, systemPrompt);
+  const cachedCount = system.filter((s) => s.cache).length;
+  let cachedSeen = 0;
+  const systemBlocks = system.map((s) => {
+    const block = { type: "text", text: s.text };
+    if (s.cache && ++cachedSeen > cachedCount - MAX_ANTHROPIC_BREAKPOINTS && promptCache) {
+      block.cache_control = { type: "ephemeral" };
+    }
+    return block;
+  });
+  const merged = mergeTurns(turns.map(anthropicTurn), "content").map((t) =>
+    t.content.length === 1 && t.content[0].type === "text" ? { role: t.role, content: t.content[0].text } : t
+  );
+  return { system: systemBlocks, messages: merged };
+}
+
+function googleTurn(m) {
+  if (m.role === "tool") {
+    return { role: "user", parts: [{ functionResponse: { name: m.name, response: { content: String(m.content ?? "") } } }] };
+  }
+  const parts = contentParts(m.content)
+    .filter((p) => p.type === "image" || p.text?.trim())
+    .map((p) => (p.type === "image" ? { inlineData: { mimeType: p.mediaType, data: p.data } } : { text: p.text }));
+  if (m.role === "assistant") {
+    for (const c of m.toolCalls || []) parts.push({ functionCall: { name: c.name, args: c.arguments ?? {} } });
+  }
+  return { role: m.role === "assistant" ? "model" : "user", parts };
+}
+
+/**
+ * { systemParts, cachedParts, contents } for generateContent. systemParts is
+ * the systemInstruction; cachedParts is its leading cacheable share (empty when
+ * nothing is marked or a systemPrompt comes first).
+ */
+export function toGoogleRequest(messages, { systemPrompt = null } = {}) {
+  const { system, turns } = splitSystem(messages, systemPrompt);
+  const systemParts = system.map((s) => ({ text: s.text }));
+  return {
+    systemParts,
+    cachedParts: systemParts.slice(0, system.filter((s) => s.cache).length),
+    contents: mergeTurns(turns.map(googleTurn), "parts"),
+  };
+}
@@ -0,0 +1,116 @@
+// Ollama's native chat API (POST /api/chat, newline-delimited JSON stream).
+//
+// Ollama also serves an OpenAI-compatible /v1 API; the native one is used by
+// the "ollama" provider type because it reports token counts on every version
+// and lists installed models with their sizes.
+
+import { countTokens } from "../lib/tokens.js";
+
+function textOf(content) {
+  if (!Array.isArray(content)) return String(content ?? "");
+  return content
+    .filter((p) => p.type === "text")
+    .map((p) => p.text)
+    .join("\n\n");
+}
+
+function toOllamaMessage(m) {
+  if (m.role === "tool") return { role: "tool", content: String(m.content ?? ""), tool_name: m.name };
+  const out = { role: m.role, content: textOf(m.content) };
+  const images = Array.isArray(m.content) ? m.content.filter((p) => p.type === "image").map((p) => p.data) : [];
+  if (images.length) out.images = images;
+  if (m.role === "assistant" && m.toolCalls?.length) {
+    out.tool_calls = m.toolCalls.map((c) => ({ function: { name: c.name, arguments: c.arguments ?? {} } }));
+  }
+  return out;
+}
+
+async function ollamaError(response) {
+  const body = await response.json().catch(() => null);
+  const err = new Error(`Ollama: ${response.status}${body?.error ? ` ${body.error}` : ""}`);
+  err.status = response.status;
+  return err;
+}
+
+/**
+ * Streams one completion from an Ollama server. `endpoint`: { baseUrl, headers }.
+ * Yields the same chunks as streamCompletion. Ollama has no tool_choice, so
+ * toolChoice "none" simply leaves the tools out.
+ */
+export async function* streamOllama(endpoint, modelConfig, systemPrompt, messages, maxTokens, { signal, tools, toolChoice } = {}) {
+  const sendTools = Array.isArray(tools) && tools.length > 0 && toolChoice !== "none";
+  const response = await fetch(`${endpoint.baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(endpoint.headers || {}) },
+    body: JSON.stringify({
+      model: modelConfig.model,
+      messages: [...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []), ...messages.map(toOllamaMessage)],
+      stream: true,
+      ...(maxTokens && { options: { num_predict: maxTokens } }),
+      // Thinking models think by default; reasoningEffort asks for it explicitly.
+      ...(modelConfig.reasoningEffort && { think: ["low", "medium", "high"].includes(modelConfig.reasoningEffort) ? modelConfig.reasoningEffort : true }),
+      ...(sendTools && {
+        tools: tools.map((t) => ({
+          type: "function",
+          function: { name: t.name, description: t.description, parameters: t.parameters },
+        })),
+      }),
+    }),
+    signal,
+  });
+  if (!response.ok) throw await ollamaError(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", inputTokens = 0, outputTokens = 0, thinking = "", finishReason = "stop";
+  const calls = [];
+
+  const handle = (line) => {
+    if (!line.trim()) return null;
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(`Ollama: ${data.error}`);
+    for (const c of data.message?.tool_calls || []) {
+      calls.push({ id: `call_${calls.length + 1}`, name: c.function?.name, arguments: c.function?.arguments || {} });
+    }
+    if (data.done) {
+      inputTokens = data.prompt_eval_count || 0;
+      outputTokens = data.eval_count || 0;
+      finishReason = data.done_reason || finishReason;
+    }
+    if (data.message?.thinking) thinking += data.message.thinking;
+    return data.message || null;
+  };
+  function* chunks(message) {
+    if (message?.thinking) yield { type: "reasoning", text: message.thinking };
+    if (message?.content) yield { type: "text", text: message.content };
+  }
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+    for (const line of lines) yield* chunks(handle(line));
+  }
+  yield* chunks(handle(buffer));
+
+  for (const c of calls) yield { type: "tool_call", ...c };
+  if (calls.length) finishReason = "tool_calls";
+  // eval_count includes the thinking; Ollama doesn't count it apart.
+  const reasoningTokens = Math.min(outputTokens, countTokens(thinking, "llama"));
+  yield { type: "done", inputTokens, outputTokens, reasoningTokens, finishReason };
+}
+
+// Installed models: [{ id, size, family, parameterSize }].
+export async function listOllamaModels(endpoint, { signal } = {}) {
+  const response = await fetch(`${endpoint.baseUrl}/api/tags`, { headers: endpoint.headers || {}, signal });
+  if (!response.ok) throw await ollamaError(response);
+  const { models = [] } = await response.json();
+  return models.map((m) => ({
+    id: m.name,
+    size: m.size,
+    ...(m.details?.family && { family: m.details.family }),
+    ...(m.details?.parameter_size && { parameterSize: m.details.parameter_size }),
+  }));
+}
@@ -0,0 +1,122 @@
+// Provider registry entries from the "providers" block of models.json.
+//
+// Besides the built-in openai / anthropic / google / stub providers, models can
+// name any provider configured here:
+//
+//   "providers": {
+//     "ollama":     { "type": "ollama", "baseUrl": "http://localhost:11434" },
+//     "openrouter": { "type": "openai-compatible", "baseUrl": "https://openrouter.ai/api/v1",
+//                     "requiresKey": true, "costs": { "default": { "inputCost": 1, "outputCost": 3 } } }
+//   }
+//
+// Types:
+//   "openai-compatible"  any Chat Completions endpoint (Ollama's /v1, LM Studio,
+//                        vLLM, OpenRouter); models listed from GET /models
+//   "ollama"             Ollama's native /api/chat; models listed from /api/tags
+//
+// Keys never live in models.json: an entry reads its key from `apiKeyEnv`
+// (default <NAME>_API_KEY) or from secrets.json like the built-in providers.
+// `costs` prices models that don't set inputCost/outputCost themselves
+// ($ per million tokens; local models default to free).
+
+export const BUILTIN_PROVIDERS = ["openai", "anthropic", "google", "stub"];
+export const PROVIDER_TYPES = ["openai-compatible", "ollama"];
+
+const PROVIDER_NAME = /^[a-z][a-z0-9_-]{0,39}$/;
+const RESERVED_NAMES = new Set([...BUILTIN_PROVIDERS, "github"]);
+
+// Env var for a provider's key: lm-studio -> LM_STUDIO_API_KEY.
+export function defaultKeyEnv(name) {
+  return `${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_API_KEY`;
+}
+
+function cleanCost(value, field) {
+  if (!value || typeof value !== "object") throw new Error(`${field} must be an object`);
+  const out = {};
+  for (const key of ["inputCost", "outputCost"]) {
+    if (value[key] === undefined) continue;
+    if (!Number.isFinite(value[key]) || value[key] < 0) throw new Error(`${field}.${key} must be a non-negative number`);
+    out[key] = value[key];
+  }
+  return out;
+}
+
+/**
+ * Validates one registry entry and returns the stored shape. Throws with a
+ * user-facing message.
+ */
+export function sanitizeProviderEntry(name, input) {
+  if (!PROVIDER_NAME.test(String(name))) {
+    throw new Error("Provider name must be lowercase letters, digits, - or _ (starting with a letter)");
+  }
+  if (RESERVED_NAMES.has(name)) throw new Error(`${name} is a built-in provider`);
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Provider entry must be an object");
+  if (!PROVIDER_TYPES.includes(input.type)) throw new Error(`type must be one of ${PROVIDER_TYPES.join(", ")}`);
+
+  let baseUrl;
+  try {
+    baseUrl = new URL(String(input.baseUrl || ""));
+  } catch {
+    throw new Error("baseUrl must be an http(s) URL");
+  }
+  if (!["http:", "https:"].includes(baseUrl.protocol)) throw new Error("baseUrl must be an http(s) URL");
+
+  const out = {
+    type: input.type,
+    baseUrl: baseUrl.href.replace(/\/+$/, ""),
+    displayName: typeof input.displayName === "string" && input.displayName.trim() ? input.displayName.trim() : name,
+    requiresKey: input.requiresKey === true,
+  };
+  if (input.apiKeyEnv !== undefined) {
+    if (typeof input.apiKeyEnv !== "string" || !/^[A-Z_][A-Z0-9_]*$/.test(input.apiKeyEnv)) {
+      throw new Error("apiKeyEnv must be an environment variable name");
+    }
+    out.apiKeyEnv = input.apiKeyEnv;
+  }
+  if (input.headers !== undefined) {
+    if (!input.headers || typeof input.headers !== "object" || Array.isArray(input.headers)) {
+      throw new Error("headers must be an object");
+    }
+    out.headers = {};
+    for (const [k, v] of Object.entries(input.headers)) {
+      if (typeof v !== "string") throw new Error(`headers.${k} must be a string`);
+      out.headers[k] = v;
+    }
+  }
+  if (input.costs !== undefined) {
+    if (!input.costs || typeof input.costs !== "object") throw new Error("costs must be an object");
+    out.costs = {};
+    if (input.costs.default !== undefined) out.costs.default = cleanCost(input.costs.default, "costs.default");
+    if (input.costs.models !== undefined) {
+      if (!input.costs.models || typeof input.costs.models !== "object") throw new Error("costs.models must be an object");
+      out.costs.models = {};
+      for (const [model, cost] of Object.entries(input.costs.models)) {
+        out.costs.models[model] = cleanCost(cost, `costs.models.${model}`);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * The valid entries of a models.json "providers" block. Invalid entries are
+ * skipped with a warning so one typo doesn't take every provider down.
+ */
+export function readProviderEntries(block) {
+  const entries = {};
+  for (const [name, input] of Object.entries(block && typeof block === "object" ? block : {})) {
+    try {
+      entries[name] = sanitizeProviderEntry(name, input);
+    } catch (e) {
+      console.warn(`Ignoring provider "${name}": ${e.message}`);
+    }
+  }
+  return entries;
+}
+
+// inputCost/outputCost for a model: the model's own, else the entry's per-model
+// or default costs, else free.
+export function providerCosts(entry, model) {
+  const costs = entry?.costs || {};
+  return { inputCost: 0, outputCost: 0, ...(costs.default || {}), ...(costs.models?.[model] || {}) };
+}
@@ -1,4 +1,16 @@
 // Smart router that decides which model to use based on message content
+//
+// Two policies (routing.policy in models.json):
+//   "scored"   (default) a logistic score over message features; above
+//              routing.threshold (default 0) routes to full. Weights start from
+//              DEFAULT_ROUTE_WEIGHTS (or routing.weights) and are adjusted by
+//              learned deltas from route outcomes (see learnFromOutcome).
+//   "patterns" the original fullPatterns / fastPatterns / word-count rules.
+//
+// Admin rules (routing.rules, see routingRules.js) are checked first and win
+// over either policy; routing.repos[repo] overrides settings for one repo.
+
+import { findMatchingRule, routingForRepo } from './routingRules.js';
 
 function normalizeMessage(input) {
   if (typeof input === 'string') return input;
@@ -7,9 +19,123 @@ function normalizeMessage(input) {
   try { return String(input ?? ''); } catch { return ''; }
 }
 
-export function routeMessage(message, config, hasFiles = false) {
+// Chosen so that the scored policy agrees with the pattern rules out of the box.
+export const DEFAULT_ROUTE_WEIGHTS = {
+  bias: 0.5,
+  hasFiles: 4,
+  fullPattern: 3.5,
+  fastPattern: -2,
+  shortMessage: -1.5,
+  longMessage: 2.5,
+  codeFence: 1.5,
+  stackTrace: 2,
+  question: -0.5,
+  conversationLength: 0.5,
+};
+
+const FEATURE_LABELS = {
+  bias: 'baseline',
+  hasFiles: 'files attached',
+  fullPattern: 'coding/building intent',
+  fastPattern: 'simple question',
+  shortMessage: 'short message',
+  longMessage: 'long message',
+  codeFence: 'code block',
+  stackTrace: 'stack trace',
+  question: 'question',
+  conversationLength: 'long conversation',
+};
+
+const STACK_TRACE =
+  /^\s+at .+[(\s].+:\d+(?::\d+)?\)?\s*$|Traceback \(most recent call last\)|^\s*File ".+", line \d+|^(?:\w+\.)*\w*(?:Error|Exception)(?::|\s+at\b)|panicked at|^Caused by:/m;
+
+const MAX_WEIGHT = 10;
+
+function wordCountOf(text) {
+  return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+function matchesFullPattern(messageLower, routing) {
+  return (routing.fullPatterns || []).find((p) => messageLower.includes(String(p).toLowerCase()));
+}
+
+function matchesFastPattern(messageLower, routing) {
+  return (routing.fastPatterns || []).find((p) => {
+    try {
+      return new RegExp(p, 'i').test(messageLower);
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Accepts the old boolean `hasFiles` argument as well as a context object.
+function routeContext(context) {
+  return typeof context === 'object' && context !== null ? context : { hasFiles: !!context };
+}
+
+/**
+ * Feature values for one message, each 0..1. context: { hasFiles,
+ * conversationLength (messages so far), repoLanguage }. Languages become
+ * one-hot `lang:<name>` features whose weights start at 0.
+ */
+export function extractRouteFeatures(message, routing = {}, context = {}) {
+  const { hasFiles = false, conversationLength = 0, repoLanguage } = routeContext(context);
+  const thresholds = routing.thresholds || {};
+  const text = normalizeMessage(message);
+  const messageLower = text.toLowerCase().trim();
+  const wordCount = wordCountOf(text);
+
+  const features = {
+    bias: 1,
+    hasFiles: hasFiles ? 1 : 0,
+    fullPattern: matchesFullPattern(messageLower, routing) ? 1 : 0,
+    fastPattern: matchesFastPattern(messageLower, routing) ? 1 : 0,
+    shortMessage: wordCount <= (thresholds.shortMessageWords ?? 15) ? 1 : 0,
+    longMessage: wordCount >= (thresholds.longMessageWords ?? 50) ? 1 : 0,
+    codeFence: text.includes('```') ? 1 : 0,
+    stackTrace: STACK_TRACE.test(text) ? 1 : 0,
+    question: /\?\s*$/.test(text) ? 1 : 0,
+    conversationLength: Math.min(1, Math.max(0, conversationLength) / 20),
+  };
+  if (repoLanguage) features[`lang:${repoLanguage}`] = 1;
+  return features;
+}
+
+/** Base weights (defaults, then routing.weights) plus learned deltas. */
+export function effectiveRouteWeights(routing = {}, learned = {}) {
+  const weights = { ...DEFAULT_ROUTE_WEIGHTS, ...(routing.weights || {}) };
+  for (const [name, delta] of Object.entries(learned || {})) {
+    weights[name] = (weights[name] || 0) + delta;
+  }
+  return weights;
+}
+
+export function scoreRoute(features, weights) {
+  let score = 0;
+  for (const [name, value] of Object.entries(features)) score += (weights[name] || 0) * value;
+  return score;
+}
+
+function describeScore(features, weights, score, modelKey, threshold = 0) {
+  const sign = modelKey === 'full' ? 1 : -1;
+  const top = Object.entries(features)
+    .filter(([name, value]) => name !== 'bias' && value)
+    .map(([name, value]) => [name, (weights[name] || 0) * value])
+    .filter(([, contribution]) => contribution * sign > 0)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 2)
+    .map(([name, c]) => `${FEATURE_LABELS[name] || name} ${c > 0 ? '+' : ''}${Math.round(c * 10) / 10}`);
+  const vs = threshold ? ` vs threshold ${threshold}` : '';
+  return `Score ${Math.round(score * 100) / 100}${vs} → ${modelKey}${top.length ? ` (${top.join(', ')})` : ''}`;
+}
+
+// The original keyword/word-count rules; kept as the "patterns" policy and as
+// a baseline for the offline evaluation.
+export function routeByPatterns(message, config, context = {}) {
   const routing = config.routing;
   const models = config.models;
+  const { hasFiles } = routeContext(context);
 
   const text = normalizeMessage(message);
 
@@ -26,34 +152,31 @@ export function routeMessage(message, config, hasFiles = false) {
   const wordCount = text ? text.split(/\s+/).length : 0;
 
   // Check for explicit full-model patterns first (they take priority)
-  for (const pattern of routing.fullPatterns) {
-    if (messageLower.includes(String(pattern).toLowerCase())) {
-      return {
-        modelKey: 'full',
-        model: models.full,
-        reason: `Detected coding/building intent: "${pattern}"`
-      };
-    }
+  const fullPattern = matchesFullPattern(messageLower, routing);
+  if (fullPattern !== undefined) {
+    return {
+      modelKey: 'full',
+      model: models.full,
+      reason: `Detected coding/building intent: "${fullPattern}"`
+    };
   }
 
   // Check for fast-model patterns (simple questions)
-  for (const pattern of routing.fastPatterns) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(messageLower)) {
-      // But if it's a long message, still use full
-      if (wordCount > routing.thresholds.longMessageWords) {
-        return {
-          modelKey: 'full',
-          model: models.full,
-          reason: 'Long message - using full model despite question format'
-        };
-      }
+  const fastPattern = matchesFastPattern(messageLower, routing);
+  if (fastPattern !== undefined) {
+    // But if it's a long message, still use full
+    if (wordCount > routing.thresholds.longMessageWords) {
       return {
-        modelKey: 'fast',
-        model: models.fast,
-        reason: `Simple question detected: "${pattern}"`
+        modelKey: 'full',
+        model: models.full,
+        reason: 'Long message - using full model despite question format'
       };
     }
+    return {
+      modelKey: 'fast',
+      model: models.fast,
+      reason: `Simple question detected: "${fastPattern}"`
+    };
   }
 
   // Check message length
@@ -81,12 +204,78 @@ export function routeMessage(message, config, hasFiles = false) {
   };
 }
 
-// Preview which model would be used (for UI indicator)
-export function previewRoute(message, config, hasFiles = false) {
-  const result = routeMessage(message, config, hasFiles);
+export function routeByScore(message, config, context = {}) {
+  const routing = config.routing || {};
+  const ctx = routeContext(context);
+  const features = extractRouteFeatures(message, routing, ctx);
+  const weights = effectiveRouteWeights(routing, ctx.learned);
+  const score = scoreRoute(features, weights);
+  const threshold = routing.threshold ?? 0;
+  const modelKey = score > threshold ? 'full' : 'fast';
+  return {
+    modelKey,
+    model: config.models[modelKey],
+    reason: describeScore(features, weights, score, modelKey, threshold),
+    score,
+    features,
+  };
+}
+
+/**
+ * context: { hasFiles, files, repo, conversationLength, repoLanguage, learned }
+ * (or the old boolean hasFiles). Returns { modelKey, model, reason, policy }
+ * plus { score, features } from the scored policy or { rule } when an admin
+ * rule decided.
+ */
+export function routeMessage(message, config, context = {}) {
+  const ctx = routeContext(context);
+  const routing = routingForRepo(config.routing || {}, ctx.repo);
+  const repoConfig = { ...config, routing };
+
+  const hit = findMatchingRule(routing.rules, normalizeMessage(message), ctx, config.models);
+  if (hit) {
+    const { rule, matched } = hit;
+    return {
+      modelKey: rule.modelKey,
+      model: config.models[rule.modelKey],
+      reason: `Rule "${rule.name}"${matched.length ? ` (${matched.join(', ')})` : ''} → ${rule.modelKey}`,
+      policy: 'rule',
+      rule: rule.id,
+    };
+  }
+
+  const policy = routing.policy === 'patterns' ? 'patterns' : 'scored';
+  const result = policy === 'patterns' ? routeByPatterns(message, repoConfig, ctx) : routeByScore(message, repoConfig, ctx);
+  return { ...result, policy };
+}
+
+/**
+ * One logistic-regression step on the learned deltas: `target` is the model
+ * key the turn should have used. Returns the new deltas (input untouched).
+ */
+export function learnFromOutcome(learned, routing, features, target, rate = routing?.learningRate ?? 0.2) {
+  const weights = effectiveRouteWeights(routing, learned);
+  const p = 1 / (1 + Math.exp(-(scoreRoute(features, weights) - (routing?.threshold ?? 0))));
+  const error = (target === 'full' ? 1 : 0) - p;
+  const next = { ...(learned || {}) };
+  for (const [name, value] of Object.entries(features)) {
+    if (!value) continue;
+    const base = (weights[name] || 0) - (next[name] || 0);
+    const updated = Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, (weights[name] || 0) + rate * error * value));
+    next[name] = Math.round((updated - base) * 1e4) / 1e4;
+  }
+  return next;
+}
+
+// Preview which model would be used (for UI indicator and the rules test bench)
+export function previewRoute(message, config, context = false) {
+  const result = routeMessage(message, config, context);
   return {
     modelKey: result.modelKey,
-    displayName: result.model.displayName,
-    reason: result.reason
+    displayName: result.model?.displayName || result.modelKey,
+    reason: result.reason,
+    policy: result.policy,
+    ...(result.rule && { rule: result.rule }),
+    ...(result.score !== undefined && { score: Math.round(result.score * 100) / 100 }),
   };
 }
@@ -0,0 +1,254 @@
+// Admin-defined routing rules and per-repo routing overrides.
+//
+// Rules live in models.json under routing.rules (and routing.repos[repo].rules
+// for one repo). Each names the model to use when all of its conditions hold:
+//
+//   { id, name, priority, enabled, modelKey,
+//     when: { repos, files, pattern, hasFiles, minWords, maxWords,
+//             minConversationLength, maxConversationLength } }
+//
+// Higher priority wins; equal priorities keep their order in the list. A rule
+// with no conditions always matches. routing.repos[repo] can also override the
+// scoring settings (policy, threshold, thresholds, patterns, weights).
+
+import crypto from "crypto";
+
+const ROUTING_SETTING_FIELDS = ["policy", "threshold", "learningRate", "thresholds", "fastPatterns", "fullPatterns", "weights"];
+const THRESHOLD_FIELDS = { shortMessageWords: "number", longMessageWords: "number", fileAttachmentTriggersFull: "boolean" };
+const COUNT_CONDITIONS = ["minWords", "maxWords", "minConversationLength", "maxConversationLength"];
+const REPO_NAME = /^[\w.-]+\/[\w.-]+$/;
+export const MAX_RULES = 100;
+
+/* ----------------------- matching ----------------------- */
+
+// `**` spans directories, `*` and `?` stay within one path segment. Globs
+// without a slash match the file name in any directory, like .gitignore.
+export function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        re += "(?:.*/)?";
+      } else {
+        re += ".*";
+      }
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(glob.includes("/") ? `^${re}$` : `(?:^|/)${re}$`, "i");
+}
+
+function matchesAnyGlob(value, globs) {
+  return globs.some((g) => globToRegExp(g).test(value));
+}
+
+function wordCountOf(text) {
+  return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+/**
+ * Which conditions of `when` hold for the message, as short descriptions, or
+ * null when one fails. context: { repo, files, hasFiles, conversationLength }.
+ */
+export function matchRule(when = {}, message, context = {}) {
+  const matched = [];
+  const files = context.files || [];
+  const conversationLength = context.conversationLength || 0;
+  const words = wordCountOf(message);
+
+  if (when.repos?.length) {
+    if (!context.repo || !when.repos.some((g) => globToRegExp(g).test(context.repo))) return null;
+    matched.push(`repo ${context.repo}`);
+  }
+  if (when.files?.length) {
+    const file = files.find((f) => matchesAnyGlob(f, when.files));
+    if (!file) return null;
+    matched.push(`file ${file}`);
+  }
+  if (typeof when.hasFiles === "boolean") {
+    const hasFiles = !!context.hasFiles || files.length > 0;
+    if (hasFiles !== when.hasFiles) return null;
+    matched.push(hasFiles ? "files attached" : "no files");
+  }
+  if (when.pattern) {
+    if (!new RegExp(when.pattern, "i").test(message)) return null;
+    matched.push(`matches /${when.pattern}/`);
+  }
+  if (when.minWords !== undefined || when.maxWords !== undefined) {
+    if (words < (when.minWords ?? 0) || words > (when.maxWords ?? Infinity)) return null;
+    matched.push(`${words} words`);
+  }
+  if (when.minConversationLength !== undefined || when.maxConversationLength !== undefined) {
+    if (conversationLength < (when.minConversationLength ?? 0) || conversationLength > (when.maxConversationLength ?? Infinity)) {
+      return null;
+    }
+    matched.push(`${conversationLength} messages so far`);
+  }
+  return matched;
+}
+
+// Enabled rules for a model that exists, highest priority first (stable).
+export function orderedRules(rules, models = {}) {
+  return (rules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule && rule.enabled !== false && models[rule.modelKey])
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+/** The first rule that matches, as { rule, matched }, or null. */
+export function findMatchingRule(rules, message, context, models) {
+  for (const rule of orderedRules(rules, models)) {
+    const matched = matchRule(rule.when, message, context);
+    if (matched) return { rule, matched };
+  }
+  return null;
+}
+
+/**
+ * routing with routing.repos[repo] applied: settings replace the global ones
+ * (thresholds and weights merge key by key) and the repo's rules join the
+ * global rules.
+ */
+export function routingForRepo(routing = {}, repo) {
+  const { repos, ...base } = routing;
+  const override = repo && repos ? repos[repo] : null;
+  if (!override) return base;
+  return {
+    ...base,
+    ...override,
+    thresholds: { ...(base.thresholds || {}), ...(override.thresholds || {}) },
+    weights: { ...(base.weights || {}), ...(override.weights || {}) },
+    rules: [...(override.rules || []), ...(base.rules || [])],
+  };
+}
+
+/* ----------------------- validation ----------------------- */
+
+function cleanStringList(value, field, check) {
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array of strings`);
+  return value.map((v) => {
+    if (typeof v !== "string" || !v.trim()) throw new Error(`${field} must be an array of strings`);
+    const s = v.trim();
+    if (check) check(s);
+    return s;
+  });
+}
+
+function checkRegExp(field) {
+  return (source) => {
+    try {
+      new RegExp(source, "i");
+    } catch (e) {
+      throw new Error(`${field}: invalid regular expression ${source} (${e.message})`);
+    }
+  };
+}
+
+function cleanCondition(when) {
+  if (when === undefined || when === null) return {};
+  if (typeof when !== "object" || Array.isArray(when)) throw new Error("when must be an object");
+  const out = {};
+  if (when.repos !== undefined) out.repos = cleanStringList(when.repos, "when.repos");
+  if (when.files !== undefined) out.files = cleanStringList(when.files, "when.files");
+  if (when.pattern !== undefined && when.pattern !== "") {
+    if (typeof when.pattern !== "string") throw new Error("when.pattern must be a string");
+    checkRegExp("when.pattern")(when.pattern);
+    out.pattern = when.pattern;
+  }
+  if (when.hasFiles !== undefined) {
+    if (typeof when.hasFiles !== "boolean") throw new Error("when.hasFiles must be a boolean");
+    out.hasFiles = when.hasFiles;
+  }
+  for (const field of COUNT_CONDITIONS) {
+    if (when[field] === undefined || when[field] === null) continue;
+    if (!Number.isInteger(when[field]) || when[field] < 0) throw new Error(`when.${field} must be a non-negative integer`);
+    out[field] = when[field];
+  }
+  return out;
+}
+
+/**
+ * Validates a rule from the admin API and returns the stored shape. Throws
+ * with a user-facing message. `existing` (when editing) fills missing fields.
+ */
+export function sanitizeRoutingRule(input, models = {}, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+  const name = typeof merged.name === "string" ? merged.name.trim() : "";
+  if (!name) throw new Error("name is required");
+  if (!models[merged.modelKey]) throw new Error(`Unknown model key: ${merged.modelKey}`);
+  const priority = merged.priority ?? 0;
+  if (!Number.isFinite(priority)) throw new Error("priority must be a number");
+  if (merged.enabled !== undefined && typeof merged.enabled !== "boolean") throw new Error("enabled must be a boolean");
+  return {
+    id: existing?.id || (typeof merged.id === "string" && merged.id.trim()) || crypto.randomUUID().slice(0, 8),
+    name: name.slice(0, 120),
+    priority,
+    enabled: merged.enabled !== false,
+    modelKey: merged.modelKey,
+    when: cleanCondition(merged.when),
+  };
+}
+
+/**
+ * Validates routing settings (global or one repo's override). Only the fields
+ * present are returned. Rules inside are validated too when `withRules`.
+ */
+export function sanitizeRoutingSettings(input, models = {}, { withRules = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("routing settings must be an object");
+  const out = {};
+  for (const field of ROUTING_SETTING_FIELDS) {
+    if (!(field in input)) continue;
+    const value = input[field];
+    if (field === "policy") {
+      if (!["scored", "patterns"].includes(value)) throw new Error("policy must be scored or patterns");
+      out.policy = value;
+    } else if (field === "threshold" || field === "learningRate") {
+      if (!Number.isFinite(value) || (field === "learningRate" && (value < 0 || value > 1))) {
+        throw new Error(field === "learningRate" ? "learningRate must be between 0 and 1" : "threshold must be a number");
+      }
+      out[field] = value;
+    } else if (field === "thresholds") {
+      if (!value || typeof value !== "object") throw new Error("thresholds must be an object");
+      out.thresholds = {};
+      for (const [key, type] of Object.entries(THRESHOLD_FIELDS)) {
+        if (!(key in value)) continue;
+        if (type === "number" ? !Number.isInteger(value[key]) || value[key] < 0 : typeof value[key] !== type) {
+          throw new Error(`thresholds.${key} must be a ${type === "number" ? "non-negative integer" : type}`);
+        }
+        out.thresholds[key] = value[key];
+      }
+    } else if (field === "fastPatterns" || field === "fullPatterns") {
+      out[field] = cleanStringList(value, field, field === "fastPatterns" ? checkRegExp(field) : null);
+    } else if (field === "weights") {
+      if (!value || typeof value !== "object") throw new Error("weights must be an object");
+      out.weights = {};
+      for (const [key, w] of Object.entries(value)) {
+        if (!Number.isFinite(w)) throw new Error(`weights.${key} must be a number`);
+        out.weights[key] = w;
+      }
+    }
+  }
+  if (withRules && input.rules !== undefined) out.rules = sanitizeRoutingRules(input.rules, models);
+  return out;
+}
+
+export function sanitizeRoutingRules(rules, models) {
+  if (!Array.isArray(rules)) throw new Error("rules must be an array");
+  if (rules.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} rules`);
+  const cleaned = rules.map((r) => sanitizeRoutingRule(r, models));
+  const ids = new Set();
+  for (const r of cleaned) {
+    if (ids.has(r.id)) throw new Error(`Duplicate rule id ${r.id}`);
+    ids.add(r.id);
+  }
+  return cleaned;
+}
+
+export function isValidRepoName(repo) {
+  return typeof repo === "string" && REPO_NAME.test(repo);
+}
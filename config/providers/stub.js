@@ -0,0 +1,98 @@
+// Scripted stand-in provider for exercising fallback/retry paths without API keys.
+//
+// Model config fields (all optional):
+//   reply           - text to stream back (default: "Stub reply from <model>")
+//   chunkSize       - characters per text chunk (default: 16)
+//   failStatus      - throw an error with this HTTP status before any output
+//   failTimes       - only fail the first N calls for this model (default: always)
+//   failAfterChunks - throw a mid-stream error after N chunks have been yielded
+//   chunkDelayMs    - pause between chunks, to exercise aborts and resumes
+//   toolCalls       - [{ name, arguments }] requested when tools are offered,
+//                     before the reply (the agent loop's first round)
+//   toolRounds      - how many rounds per user message request toolCalls (default: 1)
+//   reasoningText   - text streamed as reasoning chunks before the reply
+
+const callCounts = new Map();
+
+export function resetStubCalls() {
+  callCounts.clear();
+}
+
+export function getStubCalls(model) {
+  return callCounts.get(model) || 0;
+}
+
+function stubError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function pause(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Rounds already spent on tool calls since the last user message.
+function toolRoundsSoFar(messages) {
+  let rounds = 0;
+  for (let i = (messages || []).length - 1; i >= 0 && messages[i].role !== "user"; i--) {
+    if (messages[i].role === "assistant" && messages[i].toolCalls?.length) rounds++;
+  }
+  return rounds;
+}
+
+export async function* streamStub(modelConfig, messages, signal, toolsEnabled = false) {
+  const model = modelConfig.model || "stub";
+  const call = (callCounts.get(model) || 0) + 1;
+  callCounts.set(model, call);
+
+  const failing = !Number.isFinite(modelConfig.failTimes) || call <= modelConfig.failTimes;
+
+  if (failing && modelConfig.failStatus) {
+    throw stubError(`Stub ${model}: ${modelConfig.failStatus}`, modelConfig.failStatus);
+  }
+
+  const inputTokens = Math.ceil(JSON.stringify(messages || []).length / 4);
+  const rounds = Number.isFinite(modelConfig.toolRounds) ? modelConfig.toolRounds : 1;
+  const round = toolRoundsSoFar(messages) + 1;
+  if (toolsEnabled && modelConfig.toolCalls?.length && round <= rounds) {
+    for (const [i, c] of modelConfig.toolCalls.entries()) {
+      yield { type: "tool_call", id: `stub_${call}_${round}_${i + 1}`, name: c.name, arguments: c.arguments || {} };
+    }
+    yield { type: "done", inputTokens, outputTokens: 10, finishReason: "tool_calls" };
+    return;
+  }
+
+  const reply = modelConfig.reply || `Stub reply from ${model}`;
+  const size = Math.max(1, modelConfig.chunkSize || 16);
+  const reasoning = modelConfig.reasoningText || "";
+  for (let i = 0; i < reasoning.length; i += size) {
+    signal?.throwIfAborted();
+    yield { type: "reasoning", text: reasoning.slice(i, i + size) };
+  }
+
+  let yielded = 0;
+  for (let i = 0; i < reply.length; i += size) {
+    if (failing && Number.isFinite(modelConfig.failAfterChunks) && yielded >= modelConfig.failAfterChunks) {
+      throw stubError(`Stub ${model}: stream interrupted`);
+    }
+    if (modelConfig.chunkDelayMs > 0 && yielded > 0) await pause(modelConfig.chunkDelayMs, signal);
+    signal?.throwIfAborted();
+    yield { type: "text", text: reply.slice(i, i + size) };
+    yielded += 1;
+  }
+
+  const reasoningTokens = Math.ceil(reasoning.length / 4);
+  const outputTokens = Math.ceil(reply.length / 4) + reasoningTokens;
+  yield { type: "done", inputTokens, outputTokens, reasoningTokens, finishReason: "stop" };
+}
@@ -0,0 +1,124 @@
+// Offline routing evaluation: replays saved conversations through several
+// routing policies and compares what each would have cost.
+//
+//   npm run eval:router -- [--json] [--limit <conversations>]
+//
+// Reads DATA_DIR (or DB_PATH) like the server. Every user message that got an
+// answer is routed by each policy; cost is estimated from the history sent
+// with it (input) and the saved answer (output), priced with that policy's
+// model. Answers with a route outcome (override, regenerate, thumbs) say which
+// model the turn should have used; "agree" counts how often a policy chose it.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readJson } from "../lib/json.js";
+import { createStore } from "../lib/store.js";
+import { countTokens } from "../lib/tokens.js";
+import { calculateCost } from "../providers/index.js";
+import { extractRouteFeatures, effectiveRouteWeights, scoreRoute, routeByPatterns } from "../providers/router.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, "data");
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "app.db");
+const MAX_HISTORY_MESSAGES = parseInt(process.env.MAX_HISTORY_MESSAGES || "24", 10);
+
+function parseArgs(argv) {
+  const args = { json: false, limit: 1000 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") args.json = true;
+    else if (argv[i] === "--limit") args.limit = parseInt(argv[++i], 10) || args.limit;
+  }
+  return args;
+}
+
+function estimateTokens(value) {
+  return countTokens(typeof value === "string" ? value : JSON.stringify(value ?? ""));
+}
+
+function scoredPolicy(routing, learned) {
+  const weights = effectiveRouteWeights(routing, learned);
+  return ({ features }) => (scoreRoute(features, weights) > (routing.threshold ?? 0) ? "full" : "fast");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const defaults = await readJson(path.join(__dirname, "..", "config", "models.json"), {});
+  const runtime = await readJson(path.join(DATA_DIR, "models.json"), {});
+  const config = { ...defaults, ...runtime };
+  const routing = config.routing || {};
+  const store = createStore({ dbPath: DB_PATH, dataDir: DATA_DIR });
+  const learned = store.getCache("routing", "learning")?.learned || {};
+
+  const policies = {
+    patterns: ({ text, hasFiles }) => routeByPatterns(text, config, { hasFiles }).modelKey,
+    "scored (default weights)": scoredPolicy(routing, {}),
+    "scored (learned)": scoredPolicy(routing, learned),
+    "always fast": () => "fast",
+    "always full": () => "full",
+  };
+  const totals = Object.fromEntries(
+    Object.keys(policies).map((name) => [name, { fast: 0, full: 0, cost: 0, agree: 0, labelled: 0 }])
+  );
+
+  let turns = 0;
+  let conversations = 0;
+  for (let offset = 0; conversations < args.limit; ) {
+    const page = store.listConversations({ limit: Math.min(200, args.limit - conversations), offset, archived: "all" });
+    if (!page.conversations.length) break;
+    offset += page.conversations.length;
+
+    for (const summary of page.conversations) {
+      const convo = store.getConversation(summary.id);
+      conversations++;
+      convo.messages.forEach((user, i) => {
+        const answer = convo.messages[i + 1];
+        if (user.role !== "user" || answer?.role !== "assistant" || typeof user.content !== "string") return;
+        turns++;
+
+        // Saved routes carry the features seen at the time (files, language).
+        const features =
+          answer.route?.features ||
+          extractRouteFeatures(user.content, routing, { hasFiles: !!user.attachments?.length, conversationLength: i });
+        const turn = { text: user.content, hasFiles: !!features.hasFiles, features };
+        const inputTokens = estimateTokens(convo.messages.slice(Math.max(0, i + 1 - MAX_HISTORY_MESSAGES), i + 1));
+        const outputTokens = estimateTokens(answer.content);
+        const target = answer.routeOutcome?.target;
+
+        for (const [name, policy] of Object.entries(policies)) {
+          const modelKey = policy(turn);
+          const t = totals[name];
+          t[modelKey]++;
+          t.cost += config.models?.[modelKey] ? calculateCost(config.models[modelKey], inputTokens, outputTokens) : 0;
+          if (target) {
+            t.labelled++;
+            if (modelKey === target) t.agree++;
+          }
+        }
+      });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ conversations, turns, policies: totals }, null, 2));
+    return;
+  }
+  console.log(`Replayed ${turns} turn(s) from ${conversations} conversation(s) in ${DB_PATH}\n`);
+  console.log(["policy".padEnd(26), "fast".padStart(6), "full".padStart(6), "est. cost".padStart(12), "agree".padStart(9)].join(" "));
+  for (const [name, t] of Object.entries(totals)) {
+    console.log(
+      [
+        name.padEnd(26),
+        String(t.fast).padStart(6),
+        String(t.full).padStart(6),
+        `$${t.cost.toFixed(4)}`.padStart(12),
+        (t.labelled ? `${t.agree}/${t.labelled}` : "-").padStart(9),
+      ].join(" ")
+    );
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -9,9 +9,36 @@ import {
   isProviderAvailable,
   streamCompletion,
   calculateCost,
+  calculateReasoningCost,
   reloadProviders,
+  getRegisteredProviders,
+  listProviderModels,
 } from "./providers/index.js";
-import { routeMessage, previewRoute } from "./providers/router.js";
+import { sanitizeProviderEntry, defaultKeyEnv } from "./providers/registry.js";
+import { routeMessage, previewRoute, learnFromOutcome, effectiveRouteWeights } from "./providers/router.js";
+import {
+  sanitizeRoutingRule,
+  sanitizeRoutingRules,
+  sanitizeRoutingSettings,
+  isValidRepoName,
+  MAX_RULES,
+} from "./providers/routingRules.js";
+import { buildFallbackChain, streamWithFallback } from "./providers/fallback.js";
+import { readJson, writeJson } from "./lib/json.js";
+import { createUsageLedger } from "./lib/ledger.js";
+import { resolveBudgets, checkBudget } from "./lib/budget.js";
+import { parsePatches, hasPatchContent, applyFilePatch, createUnifiedDiff } from "./lib/patch.js";
+import { createStore } from "./lib/store.js";
+import { createGenerationRegistry } from "./lib/generations.js";
+import { createJsonCollection } from "./lib/collection.js";
+import { isContextCandidate, createRepoIndex, rankFiles, selectWithinBudget, symbolBoosts } from "./lib/context.js";
+import { createRepoIndexer } from "./lib/indexer.js";
+import { createRepoTools } from "./lib/tools.js";
+import { prepareAttachment, attachmentRef, attachmentContent } from "./lib/attachments.js";
+import { syncModelCatalog, validateModelSlots } from "./lib/catalog.js";
+import { countTokens, createTokenCounter, calibrationKey, calibrate } from "./lib/tokens.js";
+import { packContext, fileBlock } from "./lib/packer.js";
+import { updateSummary, modelView, applySummaryEdit, SUMMARY_PREFIX } from "./lib/summary.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,68 +48,100 @@ const PORT = process.env.PORT || 8080;
 const ROOT_DIR = path.resolve(__dirname, "..");
 const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, "data");
 const CONFIG_PATH = path.join(DATA_DIR, "models.json");
+// Bundled price sheet; a catalog sync writes the merged result to DATA_DIR.
+const MODEL_OPTIONS_PATH = path.join(__dirname, "model_options.json");
+const SYNCED_MODEL_OPTIONS_PATH = path.join(DATA_DIR, "model_options.json");
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "config", "models.json");
 const SECRETS_PATH = path.join(DATA_DIR, "secrets.json");
-const conversationsPath = path.join(DATA_DIR, "conversations.json");
+const STATS_PATH = path.join(DATA_DIR, "stats.json");
+const USAGE_LEDGER_PATH = path.join(DATA_DIR, "usage.jsonl");
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "app.db");
+const IDEAS_STORE_PATH = path.join(DATA_DIR, "ideasStore.json");
+const TASKS_STORE_PATH = path.join(DATA_DIR, "tasksStore.json");
 
 const projectsPath = path.join(DATA_DIR, "projects.json");
 
-// NEW: pinned projects defaults (bundled) + GitHub projects cache
+// NEW: pinned projects defaults (bundled) + GitHub projects cache (stored in the DB)
 const pinnedProjectsPath = path.join(ROOT_DIR, "pinnedProjects.json");
-const projectsCachePath = path.join(DATA_DIR, "projectsCache.json");
 const PROJECTS_TTL_MS = 1000 * 60 * 10; // 10 minutes
 
-// NEW: cache for repo file lists (paths only)
-const repoFileCachePath = path.join(DATA_DIR, "repoFileCache.json");
+// NEW: cache for repo file lists (paths only, stored in the DB)
 const REPO_FILES_TTL_MS = 1000 * 60 * 30; // 30 minutes
+const BRANCHES_TTL_MS = 1000 * 60 * 5; // 5 minutes
 
 
 // Chat safety + cost controls
 const MAX_FILES_PER_CHAT = parseInt(process.env.MAX_FILES_PER_CHAT || '8', 10);
 const MAX_FILE_BYTES = parseInt(process.env.MAX_FILE_BYTES || String(60 * 1024), 10); // 60KB per file
 const ABSOLUTE_MAX_FILE_BYTES = parseInt(process.env.ABSOLUTE_MAX_FILE_BYTES || String(256 * 1024), 10); // hard cap when allowLargeFiles=true
+const MAX_ATTACHMENTS_PER_CHAT = parseInt(process.env.MAX_ATTACHMENTS_PER_CHAT || '4', 10);
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10); // 5MB per image (Anthropic's limit)
+const MAX_DOCUMENT_BYTES = parseInt(process.env.MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024), 10); // raw PDF/text upload; its text gets the file caps
 const MAX_HISTORY_MESSAGES = parseInt(process.env.MAX_HISTORY_MESSAGES || '24', 10); // hard cap on messages sent to the model
-const SUMMARY_TAIL_MESSAGES = parseInt(process.env.SUMMARY_TAIL_MESSAGES || '6', 10); // keep last N after summarizing
+const SUMMARY_TAIL_MESSAGES = parseInt(process.env.SUMMARY_TAIL_MESSAGES || '6', 10); // last N exchanges left out of the summary
+const SUMMARY_CHUNK_MESSAGES = parseInt(process.env.SUMMARY_CHUNK_MESSAGES || '20', 10); // messages folded in per summary call
+
+// Spend caps in USD (0 = no cap). models.json "budgets" overrides these, including per-repo caps.
+const BUDGET_DEFAULTS = {
+  daily: parseFloat(process.env.DAILY_BUDGET_USD || '0'),
+  monthly: parseFloat(process.env.MONTHLY_BUDGET_USD || '0'),
+  repoDaily: parseFloat(process.env.REPO_DAILY_BUDGET_USD || '0'),
+  repoMonthly: parseFloat(process.env.REPO_MONTHLY_BUDGET_USD || '0'),
+  warnRatio: parseFloat(process.env.BUDGET_WARN_RATIO || '0.8'), // downgrade to fast past this share of a cap
+};
+const BUDGET_EST_OUTPUT_TOKENS = parseInt(process.env.BUDGET_EST_OUTPUT_TOKENS || '2000', 10); // assumed answer size for estimates
+
+// Admin sessions
+const ADMIN_SESSION_TTL_MS = 1000 * 60 * 60 * 12; // 12 hours
+const ADMIN_SESSION_COOKIE = "admin_session";
+const MIN_ADMIN_PASSWORD_LENGTH = 6;
+const KEY_PROVIDERS = ["openai", "anthropic", "google", "github"];
+const PROVIDER_DISCOVERY_TIMEOUT_MS = 10000;
 
 // In-memory cache for GitHub file blobs (reduces GitHub API calls, not token usage)
 const fileContentMemCache = new Map();
 
-app.use(express.json({ limit: "10mb" }));
+// Chat requests carry base64 attachments, so they get a larger body limit.
+const jsonBody = express.json({ limit: "10mb" });
+const chatJsonBody = express.json({ limit: "64mb" });
+app.use((req, res, next) => (req.path === "/api/chat" ? chatJsonBody : jsonBody)(req, res, next));
 app.use(express.static(path.join(__dirname, "public")));
 
-// Initialize
-let providerStatus = initializeProviders();
+const usageLedger = createUsageLedger({ statsPath: STATS_PATH, ledgerPath: USAGE_LEDGER_PATH });
 
-/* ----------------------- basic json helpers ----------------------- */
+// Conversations + GitHub caches; imports the old JSON files on first run.
+const store = createStore({ dbPath: DB_PATH, dataDir: DATA_DIR });
+const imported = store.migrateLegacyJson();
+if (imported) console.log("Imported legacy JSON data into", DB_PATH, imported);
 
-async function readJson(filePath, defaultValue) {
-  try {
-    return JSON.parse(await fs.readFile(filePath, "utf8"));
-  } catch {
-    return defaultValue;
-  }
-}
+// Initialize (env keys first; secrets.json keys are applied once loaded)
+let providerStatus = initializeProviders();
+reloadProvidersFromSecrets().catch((e) => console.warn("Failed to load provider keys:", e.message));
 
-async function writeJson(filePath, value) {
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
-  await fs.writeFile(filePath, JSON.stringify(value, null, 2), "utf8");
-}
+/* ----------------------- config ----------------------- */
 
 async function loadConfig() {
-  const defaults = await readJson(path.join(__dirname, "config", "models.json"), {});
+  const defaults = await readJson(DEFAULT_CONFIG_PATH, {});
   const runtime = await readJson(CONFIG_PATH, {});
   return { ...defaults, ...runtime };
 }
 
+// Admin edits replace one top-level block of the runtime models.json, which is
+// seeded from the bundled defaults on first write.
+async function saveConfigSection(key, value) {
+  const runtime = (await readJson(CONFIG_PATH, null)) || (await readJson(DEFAULT_CONFIG_PATH, {}));
+  await writeJson(CONFIG_PATH, { ...runtime, [key]: value });
+  return value;
+}
+
 /* ----------------------- github helpers ----------------------- */
 
 async function loadSecrets() {
   return await readJson(SECRETS_PATH, { apiKeys: {} });
 }
 
-async function getApiKeyWithFallback(provider) {
+async function getApiKeyWithFallback(provider, envKeyName = provider === "github" ? "GITHUB_TOKEN" : defaultKeyEnv(provider)) {
   // env first
-  const envKeyName =
-    provider === "github" ? "GITHUB_TOKEN" : `${provider.toUpperCase()}_API_KEY`;
   const envKey = process.env[envKeyName];
   if (envKey) return { key: envKey, source: "env" };
 
@@ -92,7 +151,7 @@ async function getApiKeyWithFallback(provider) {
   return { key, source: "secrets" };
 }
 
-async function githubFetchJson(url) {
+async function githubFetchJson(url, { signal } = {}) {
   const { key: token } = await getApiKeyWithFallback("github");
   if (!token) throw new Error("GITHUB_TOKEN not configured");
 
@@ -101,11 +160,14 @@ async function githubFetchJson(url) {
       Authorization: `Bearer ${token}`,
       Accept: "application/vnd.github+json",
     },
+    signal,
   });
 
   if (!resp.ok) {
     const txt = await resp.text().catch(() => "");
-    throw new Error(`GitHub ${resp.status}: ${txt || url}`);
+    const err = new Error(`GitHub ${resp.status}: ${txt || url}`);
+    err.status = resp.status;
+    throw err;
   }
   return await resp.json();
 }
@@ -151,6 +213,15 @@ function isSafeRepoPath(p) {
   return true;
 }
 
+// Branch, tag or commit SHA as typed by the user; rejects what git itself would
+// (spaces, "..", leading "-" or "/", control characters).
+function isValidGitRef(ref) {
+  if (!ref || typeof ref !== "string" || ref.length > 255) return false;
+  if (!/^[\w.\-\/]+$/.test(ref)) return false;
+  if (ref.startsWith("-") || ref.startsWith("/") || ref.endsWith("/") || ref.endsWith(".lock")) return false;
+  return !ref.includes("..") && !ref.includes("//");
+}
+
 async function githubRequest(url, { method = "GET", body } = {}) {
   const { key: token } = await getApiKeyWithFallback("github");
   if (!token) throw new Error("GitHub token missing. Set GITHUB_TOKEN in Railway variables.");
@@ -180,28 +251,43 @@ async function githubJsonAllow404(url) {
 }
 
 async function getRepoDefaultBranch(repoFullName) {
-  const cache = await readRepoFileCache();
-  const cached = cache[repoFullName];
+  const cached = store.getRepoFiles(repoFullName);
   if (cached && cached.branch) return cached.branch;
   const repoJson = await githubFetchJson(`https://api.github.com/repos/${repoFullName}`);
   return repoJson.default_branch || "main";
 }
 
+// The ref a conversation works on: its chosen branch/tag/SHA, else the default branch.
+async function resolveRepoRef(repoFullName, ref) {
+  return ref || (await getRepoDefaultBranch(repoFullName));
+}
+
+// Cached contents are keyed by ref name, so a push to a branch makes that
+// branch's entries stale; drop them after every push.
+function forgetCachedFiles(repoFullName, ref) {
+  const prefix = `${repoFullName}@${ref}:`;
+  for (const key of fileContentMemCache.keys()) {
+    if (key.startsWith(prefix)) fileContentMemCache.delete(key);
+  }
+}
+
 async function getFileContentFromGitHub(repoFullName, filePath, ref, options = {}) {
   const maxBytes = Number.isFinite(options?.maxBytes) ? options.maxBytes : MAX_FILE_BYTES;
+  // cache: false is for bulk reads (the repo indexer) that would only fill memory.
+  const useCache = options?.cache !== false;
   if (!repoFullName) throw new Error("repoFullName is required");
   if (!isSafeRepoPath(filePath)) throw new Error("Invalid file path");
 
   const key = `${repoFullName}@${ref || "default"}:${filePath}:max=${maxBytes}`;
-  const cached = fileContentMemCache.get(key);
+  const cached = useCache && fileContentMemCache.get(key);
   if (cached) return cached;
 
   const url = `https://api.github.com/repos/${repoFullName}/contents/${encodeGitHubPath(filePath)}${ref ? `?ref=${encodeURIComponent(ref)}` : ""}`;
-  const json = await githubFetchJson(url);
+  const json = await githubFetchJson(url, { signal: options?.signal });
 
   if (Array.isArray(json)) {
     const result = { skipped: true, reason: "Path is a directory" };
-    fileContentMemCache.set(key, result);
+    if (useCache) fileContentMemCache.set(key, result);
     return result;
   }
 
@@ -209,7 +295,9 @@ async function getFileContentFromGitHub(repoFullName, filePath, ref, options = {
   if (json && json.encoding === "base64" && typeof json.content === "string") {
     buf = Buffer.from(String(json.content).replace(/\n/g, ""), "base64");
   } else if (json && json.sha) {
-    const blob = await githubFetchJson(`https://api.github.com/repos/${repoFullName}/git/blobs/${json.sha}`);
+    const blob = await githubFetchJson(`https://api.github.com/repos/${repoFullName}/git/blobs/${json.sha}`, {
+      signal: options?.signal,
+    });
     if (blob && typeof blob.content === "string") {
       buf = Buffer.from(String(blob.content).replace(/\n/g, ""), "base64");
     }
@@ -217,25 +305,25 @@ async function getFileContentFromGitHub(repoFullName, filePath, ref, options = {
 
   if (!buf) {
     const result = { skipped: true, reason: "No file content returned by GitHub API" };
-    fileContentMemCache.set(key, result);
+    if (useCache) fileContentMemCache.set(key, result);
     return result;
   }
 
   if (buf.length > maxBytes) {
     const result = { skipped: true, reason: `File too large (${buf.length} bytes > ${maxBytes})` };
-    fileContentMemCache.set(key, result);
+    if (useCache) fileContentMemCache.set(key, result);
     return result;
   }
 
   const text = buf.toString("utf8");
   if (text.includes("\u0000")) {
     const result = { skipped: true, reason: "Binary file" };
-    fileContentMemCache.set(key, result);
+    if (useCache) fileContentMemCache.set(key, result);
     return result;
   }
 
   const result = { skipped: false, content: text };
-  fileContentMemCache.set(key, result);
+  if (useCache) fileContentMemCache.set(key, result);
   return result;
 }
 
@@ -267,36 +355,78 @@ function mergePinnedProjects(pinnedNames, projects) {
   return out;
 }
 
-// NOTE: this endpoint returns PATHS ONLY (never contents), so it doesn't affect token burn.
-async function fetchRepoFileListFromGitHub(repoFullName) {
-  const repoJson = await githubFetchJson(`https://api.github.com/repos/${repoFullName}`);
-  const branch = repoJson.default_branch;
+// Cached wrapper around fetchRepoFileListFromGitHub (REPO_FILES_TTL_MS). Without
+// `ref` the default branch is listed (cached under the bare repo name, which
+// getRepoDefaultBranch reads); other refs are cached as "owner/repo@ref".
+async function getRepoFileList(repoFullName, { refresh = false, ref, signal } = {}) {
+  const cacheKey = ref ? `${repoFullName}@${ref}` : repoFullName;
+  const cached = store.getRepoFiles(cacheKey);
+  const isFresh =
+    cached &&
+    cached.fetchedAt &&
+    Date.now() - new Date(cached.fetchedAt).getTime() < REPO_FILES_TTL_MS &&
+    Array.isArray(cached.files);
+
+  if (!refresh && isFresh) {
+    return { branch: cached.branch, files: cached.files, cached: true, fetchedAt: cached.fetchedAt };
+  }
+
+  const { branch, files } = await fetchRepoFileListFromGitHub(repoFullName, ref, { signal });
+  const fetchedAt = new Date().toISOString();
+  store.setRepoFiles(cacheKey, { branch, files, fetchedAt });
+  return { branch, files, cached: false, fetchedAt };
+}
+
+// Blobs at `ref` (default branch when omitted) with their sha and size (the
+// indexer's change detection). `branch` is the ref that was listed.
+async function fetchRepoTreeFromGitHub(repoFullName, ref, { signal } = {}) {
+  let branch = ref;
+  if (!branch) {
+    const repoJson = await githubFetchJson(`https://api.github.com/repos/${repoFullName}`, { signal });
+    branch = repoJson.default_branch;
+  }
 
   const treeJson = await githubFetchJson(
-    `https://api.github.com/repos/${repoFullName}/git/trees/${branch}?recursive=1`
+    `https://api.github.com/repos/${repoFullName}/git/trees/${encodeGitHubPath(branch)}?recursive=1`,
+    { signal }
   );
 
-  const files = (treeJson.tree || [])
+  const blobs = (treeJson.tree || [])
     .filter((n) => n.type === "blob" && typeof n.path === "string")
-    .map((n) => n.path);
-
-  return { branch, files };
-}
+    .map((n) => ({ path: n.path, sha: n.sha, size: n.size }));
 
-async function readRepoFileCache() {
-  return await readJson(repoFileCachePath, {});
+  return { branch, blobs };
 }
 
-async function writeRepoFileCache(cache) {
-  await writeJson(repoFileCachePath, cache);
+// NOTE: this endpoint returns PATHS ONLY (never contents), so it doesn't affect token burn.
+async function fetchRepoFileListFromGitHub(repoFullName, ref, { signal } = {}) {
+  const { branch, blobs } = await fetchRepoTreeFromGitHub(repoFullName, ref, { signal });
+  return { branch, files: blobs.map((b) => b.path) };
 }
 
 /* ----------------------- prompt packing ----------------------- */
 
 // Ensure stable ordering for OpenAI Prompt Caching
 
+// Model-independent estimate (lib/tokens.js "generic" family). Per-model
+// counts go through tokenCounterFor().
 function estimateTokens(text) {
-  return Math.ceil(String(text || '').length / 4);
+  return countTokens(text);
+}
+
+// A token counter for the model, scaled by what its provider reported before.
+function tokenCounterFor(modelConfig) {
+  const calibration = store.getCache("tokens", "calibration") || {};
+  return createTokenCounter(modelConfig, { factor: calibration[calibrationKey(modelConfig)]?.factor || 1 });
+}
+
+function recordTokenCalibration(modelConfig, estimated, reported) {
+  const calibration = store.getCache("tokens", "calibration") || {};
+  store.setCache("tokens", "calibration", calibrate(calibration, calibrationKey(modelConfig), estimated, reported));
+}
+
+function isSummaryMessage(m) {
+  return m?.role === "system" && typeof m.content === "string" && m.content.startsWith(SUMMARY_PREFIX);
 }
 
 function resolveModelKey(modelOverride, routedModelKey, config) {
@@ -321,75 +451,661 @@ function compactMessagesForModel(messages, maxMessages) {
   return out;
 }
 
+// Packs files, summary and history into the model's context window (see
+// lib/packer.js). Returns { messages, budget } where budget is the packer report.
 function prepareMessagesForModel(messages, options = {}) {
-  const { systemPrompt, fileContents = {} } = options;
+  const { systemPrompt, fileContents = {}, extraContext = [], modelConfig = {}, counter = createTokenCounter(modelConfig) } = options;
+
+  // `cache: true` marks the stable prefix providers cache (see streamCompletion).
+  const instructions = { role: "system", content: systemPrompt || "You are an expert AI coding assistant.", cache: true };
+  const extra = extraContext.map((block) => ({ role: "system", content: block }));
+  const summary = isSummaryMessage(messages[0]) ? messages[0] : null;
+  const current = messages.length ? messages[messages.length - 1] : null;
+  const history = messages.slice(summary ? 1 : 0, current ? -1 : undefined);
+  const packed = packContext({
+    modelConfig,
+    count: counter,
+    required: [instructions, ...extra, ...(current ? [current] : [])],
+    summary,
+    history,
+    files: fileContents,
+  });
 
   const prepared = [];
 
   // IMPORTANT for caching: put the biggest stable block first.
   // We sort keys so the prefix stays identical turn-over-turn.
-  const sortedPaths = Object.keys(fileContents).sort();
+  const sortedPaths = Object.keys(packed.files).sort();
   if (sortedPaths.length > 0) {
     let repoContext = "ACTIVE REPOSITORY FILES:\n";
-    for (const filePath of sortedPaths) {
-      repoContext += `--- FILE: ${filePath} ---\n${fileContents[filePath]}\n`;
-    }
-    prepared.push({ role: "system", content: repoContext });
+    for (const filePath of sortedPaths) repoContext += fileBlock(filePath, packed.files[filePath]);
+    prepared.push({ role: "system", content: repoContext, cache: true });
   }
 
   // Stable instructions next
-  prepared.push({
-    role: "system",
-    content: systemPrompt || "You are an expert AI coding assistant.",
-  });
+  prepared.push(instructions);
+
+  // Per-turn context (e.g. PR review feedback) after the stable prefix.
+  prepared.push(...extra);
 
   // Then the chat tail
-  prepared.push(...messages);
+  if (packed.summary) prepared.push(packed.summary);
+  prepared.push(...packed.history);
+  if (current) prepared.push(current);
 
-  return prepared;
+  return { messages: prepared, budget: packed.report };
 }
 
-// Summarize long histories using the cheaper Fast model
-async function getHistorySummary(messages, config) {
-  if (messages.length < 10) return null;
+/* ----------------------- conversation summaries ----------------------- */
+
+// One summary call on the cheaper Fast model; throws on failure.
+async function summarizeWithFastModel(prompt, config, usageContext = {}) {
   const fastModel = config.models.fast;
-  if (!fastModel) return null;
+  if (!fastModel) throw new Error("No fast model configured");
+
+  let reply = "";
+  for await (const chunk of streamCompletion(
+    fastModel,
+    "You summarize technical conversations. Reply with the JSON requested.",
+    [{ role: "user", content: prompt }],
+    1024
+  )) {
+    if (chunk.type === "text") reply += chunk.text;
+    else if (chunk.type === "done") {
+      await usageLedger
+        .record({
+          ...usageContext,
+          kind: "summary",
+          modelKey: "fast",
+          model: fastModel.model,
+          displayName: fastModel.displayName,
+          provider: fastModel.provider,
+          inputTokens: chunk.inputTokens,
+          outputTokens: chunk.outputTokens,
+          cacheReadTokens: chunk.cacheReadTokens,
+          cacheWriteTokens: chunk.cacheWriteTokens,
+          reasoningTokens: chunk.reasoningTokens,
+          cost: calculateCost(fastModel, chunk.inputTokens, chunk.outputTokens, chunk),
+          reasoningCost: calculateReasoningCost(fastModel, chunk.reasoningTokens),
+        })
+        .catch((e) => console.warn("Failed to record usage:", e.message));
+    }
+  }
+  return reply;
+}
+
+// Folds everything but the last SUMMARY_TAIL_MESSAGES exchanges into
+// convo.summary (in place). Returns { summary, error, updated }.
+async function refreshConversationSummary(convo, config) {
+  const upTo = convo.messages.length - SUMMARY_TAIL_MESSAGES * 2;
+  const before = convo.summary?.coveredThrough || 0;
+  if (upTo <= before) return { summary: convo.summary || null, error: null, updated: false };
+  const { summary, error } = await updateSummary({
+    summary: convo.summary || null,
+    messages: convo.messages,
+    upTo,
+    chunkSize: SUMMARY_CHUNK_MESSAGES,
+    summarize: (prompt) => summarizeWithFastModel(prompt, config, { conversationId: convo.id, repo: convo.repoFullName }),
+  });
+  if (summary) convo.summary = summary;
+  return { summary, error, updated: (summary?.coveredThrough || 0) > before };
+}
 
-  const textToSummarize = messages
-    .slice(0, -6)
-    .map((m) => `${m.role}: ${m.content}`)
-    .join("\n");
+/* ----------------------- admin auth ----------------------- */
 
-  const prompt = `Summarize the following technical conversation concisely.
-Focus on current state, decisions, and any constraints. Keep it short.
+// Sessions are in-memory only: a restart logs the admin out, which is fine.
+const adminSessions = new Map();
 
-${textToSummarize}`;
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return { algorithm: "scrypt", salt, hash };
+}
 
-  let summary = "";
-  try {
-    for await (const chunk of streamCompletion(
-      fastModel,
-      "Summarize concisely.",
-      [{ role: "user", content: prompt }],
-      512
-    )) {
-      if (chunk.type === "text") summary += chunk.text;
+function verifyPassword(password, record) {
+  if (!record || !record.salt || !record.hash) return false;
+  const expected = Buffer.from(record.hash, "hex");
+  const actual = crypto.scryptSync(String(password || ""), record.salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function createAdminSession() {
+  const token = crypto.randomBytes(32).toString("hex");
+  adminSessions.set(token, Date.now() + ADMIN_SESSION_TTL_MS);
+  return token;
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (name) out[name] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return out;
+}
+
+// admin.html sends the token in a header; browsers also carry the cookie.
+function getAdminSessionToken(req) {
+  const header = req.get("X-Admin-Session");
+  if (header) return header;
+  return parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE] || null;
+}
+
+function isValidAdminSession(token) {
+  if (!token) return false;
+  const expiresAt = adminSessions.get(token);
+  if (!expiresAt) return false;
+  if (expiresAt < Date.now()) {
+    adminSessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+function setAdminSessionCookie(res, token) {
+  const maxAge = token ? Math.floor(ADMIN_SESSION_TTL_MS / 1000) : 0;
+  res.setHeader(
+    "Set-Cookie",
+    `${ADMIN_SESSION_COOKIE}=${token || ""}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`
+  );
+}
+
+function startAdminSession(res) {
+  const sessionToken = createAdminSession();
+  setAdminSessionCookie(res, sessionToken);
+  return sessionToken;
+}
+
+function requireAdmin(req, res, next) {
+  if (isValidAdminSession(getAdminSessionToken(req))) return next();
+  res.status(401).json({ error: "Admin login required" });
+}
+
+function maskKey(key) {
+  const k = String(key || "");
+  if (!k) return "";
+  if (k.length <= 8) return "•".repeat(k.length);
+  return `${k.slice(0, 4)}…${k.slice(-4)}`;
+}
+
+// Env keys win over secrets.json; providers get whatever resolves. Registry
+// providers (models.json "providers") are rebuilt too, so call this after
+// editing that block.
+async function reloadProvidersFromSecrets() {
+  const { providers: entries = {} } = await loadConfig();
+  const keys = {};
+  for (const provider of KEY_PROVIDERS) {
+    const { key } = await getApiKeyWithFallback(provider);
+    if (key) keys[provider] = key;
+  }
+  for (const [name, entry] of Object.entries(entries || {})) {
+    const { key } = await getApiKeyWithFallback(name, entry?.apiKeyEnv || defaultKeyEnv(name));
+    if (key) keys[name] = key;
+  }
+  providerStatus = reloadProviders(keys, entries);
+  return providerStatus;
+}
+
+// Built-in key providers plus registry providers, which can take keys too.
+function keyProviders() {
+  return [...KEY_PROVIDERS, ...getRegisteredProviders().map((p) => p.name)];
+}
+
+const EDITABLE_MODEL_FIELDS = {
+  displayName: "string",
+  provider: "string",
+  model: "string",
+  description: "string",
+  inputCost: "number",
+  outputCost: "number",
+  maxOutputTokens: "number",
+  contextWindow: "number",
+  summarizationThreshold: "number",
+  enabled: "boolean",
+  promptCache: "boolean",
+  cacheReadCost: "number",
+  cacheWriteCost: "number",
+  cacheTtlSeconds: "number",
+  cacheMinTokens: "number",
+  reasoning: "boolean",
+  reasoningEffort: "string",
+  thinkingBudget: "number",
+  reasoningCost: "number",
+};
+
+const REASONING_EFFORTS = ["minimal", "low", "medium", "high"];
+const GEMINI_THINKING_LEVELS = ["low", "high"];
+
+// `current` is the model being edited, so the updates are checked as merged into it.
+function sanitizeModelUpdates(updates, knownProviders = ["openai", "anthropic", "google"], current = {}) {
+  const out = {};
+  for (const [field, type] of Object.entries(EDITABLE_MODEL_FIELDS)) {
+    if (!(field in (updates || {}))) continue;
+    const value = updates[field];
+    if (type === "number") {
+      // Gemini reads a thinkingBudget of -1 as "let the model decide".
+      const min = field === "thinkingBudget" ? -1 : 0;
+      if (!Number.isFinite(value) || value < min) {
+        throw new Error(min ? `${field} must be -1 or a non-negative number` : `${field} must be a non-negative number`);
+      }
+    } else if (typeof value !== type) {
+      throw new Error(`${field} must be a ${type}`);
     }
-    return summary.trim() || null;
-  } catch {
-    return null;
+    out[field] = type === "string" ? value.trim() : value;
   }
+  if ("provider" in out && !knownProviders.includes(out.provider)) {
+    throw new Error(`Unknown provider: ${out.provider}`);
+  }
+  if ("model" in out && !out.model) throw new Error("model is required");
+  if (out.reasoningEffort && !REASONING_EFFORTS.includes(out.reasoningEffort)) {
+    throw new Error(`reasoningEffort must be one of ${REASONING_EFFORTS.join(", ")}`);
+  }
+  const merged = { ...current, ...out };
+  if (merged.provider === "google" && merged.reasoningEffort) {
+    if (!GEMINI_THINKING_LEVELS.includes(merged.reasoningEffort)) {
+      throw new Error(`reasoningEffort for Gemini must be one of ${GEMINI_THINKING_LEVELS.join(", ")}`);
+    }
+    if (merged.thinkingBudget !== undefined) {
+      throw new Error('Gemini takes thinkingBudget or reasoningEffort, not both (set reasoningEffort to "" to clear it)');
+    }
+  }
+  return out;
 }
 
 /* ----------------------- endpoints ----------------------- */
 
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+
+app.get("/api/admin/auth-status", async (req, res) => {
+  const secrets = await loadSecrets();
+  res.json({
+    needsPassword: !secrets?.adminPassword?.hash,
+    isAuthenticated: isValidAdminSession(getAdminSessionToken(req)),
+  });
+});
+
+app.post("/api/admin/setup-password", async (req, res) => {
+  try {
+    const password = (req.body?.password || "").toString();
+    const secrets = await loadSecrets();
+
+    if (secrets?.adminPassword?.hash) {
+      return res.status(409).json({ error: "Admin password is already set" });
+    }
+    if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters` });
+    }
+
+    secrets.adminPassword = hashPassword(password);
+    await writeJson(SECRETS_PATH, secrets);
+
+    res.json({ success: true, sessionToken: startAdminSession(res) });
+  } catch (e) {
+    console.error("POST /api/admin/setup-password error:", e);
+    res.status(500).json({ error: e.message || "Failed to set password" });
+  }
+});
+
+app.post("/api/admin/login", async (req, res) => {
+  try {
+    const secrets = await loadSecrets();
+    if (!secrets?.adminPassword?.hash) {
+      return res.status(400).json({ error: "Admin password has not been set up" });
+    }
+    if (!verifyPassword(req.body?.password, secrets.adminPassword)) {
+      return res.status(401).json({ error: "Invalid password" });
+    }
+    res.json({ success: true, sessionToken: startAdminSession(res) });
+  } catch (e) {
+    console.error("POST /api/admin/login error:", e);
+    res.status(500).json({ error: e.message || "Login failed" });
+  }
+});
+
+app.post("/api/admin/logout", (req, res) => {
+  const token = getAdminSessionToken(req);
+  if (token) adminSessions.delete(token);
+  setAdminSessionCookie(res, null);
+  res.json({ success: true });
+});
+
+app.post("/api/admin/change-password", requireAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const secrets = await loadSecrets();
+
+    if (!verifyPassword(currentPassword, secrets?.adminPassword)) {
+      return res.status(403).json({ error: "Current password is incorrect" });
+    }
+    if (typeof newPassword !== "string" || newPassword.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters` });
+    }
+
+    secrets.adminPassword = hashPassword(newPassword);
+    await writeJson(SECRETS_PATH, secrets);
+
+    // Invalidate every other session, keep the caller logged in.
+    adminSessions.clear();
+    res.json({ success: true, sessionToken: startAdminSession(res) });
+  } catch (e) {
+    console.error("POST /api/admin/change-password error:", e);
+    res.status(500).json({ error: e.message || "Failed to change password" });
+  }
+});
+
+app.get("/api/admin/api-keys", requireAdmin, async (req, res) => {
+  try {
+    const keys = {};
+    for (const provider of KEY_PROVIDERS) {
+      const { key, source } = await getApiKeyWithFallback(provider);
+      keys[provider] = {
+        isSet: !!key,
+        source: key ? (source === "env" ? "env" : "config") : null,
+        masked: maskKey(key),
+        connected: !!providerStatus[provider],
+      };
+    }
+    // Registry providers that need a key (or name an env var for one).
+    for (const p of getRegisteredProviders().filter((p) => p.requiresKey || p.apiKeyEnv)) {
+      const { key, source } = await getApiKeyWithFallback(p.name, p.apiKeyEnv || defaultKeyEnv(p.name));
+      keys[p.name] = {
+        isSet: !!key,
+        source: key ? (source === "env" ? "env" : "config") : null,
+        masked: maskKey(key),
+        connected: !!providerStatus[p.name],
+        displayName: p.displayName,
+        envVar: p.apiKeyEnv || defaultKeyEnv(p.name),
+      };
+    }
+    res.json({ keys });
+  } catch (e) {
+    console.error("GET /api/admin/api-keys error:", e);
+    res.status(500).json({ error: e.message || "Failed to load API keys" });
+  }
+});
+
+async function saveApiKey(provider, key) {
+  const secrets = await loadSecrets();
+  secrets.apiKeys = secrets.apiKeys || {};
+  if (key) secrets.apiKeys[provider] = key;
+  else delete secrets.apiKeys[provider];
+  await writeJson(SECRETS_PATH, secrets);
+  return await reloadProvidersFromSecrets();
+}
+
+app.post("/api/admin/api-keys", requireAdmin, async (req, res) => {
+  try {
+    const provider = (req.body?.provider || "").toString();
+    const key = (req.body?.key || "").toString().trim();
+    if (!keyProviders().includes(provider)) {
+      return res.status(400).json({ error: `Unknown provider: ${provider}` });
+    }
+    const status = await saveApiKey(provider, key);
+    res.json({ success: true, providers: status });
+  } catch (e) {
+    console.error("POST /api/admin/api-keys error:", e);
+    res.status(500).json({ error: e.message || "Failed to save API key" });
+  }
+});
+
+app.delete("/api/admin/api-keys/:provider", requireAdmin, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!keyProviders().includes(provider)) {
+      return res.status(400).json({ error: `Unknown provider: ${provider}` });
+    }
+    const status = await saveApiKey(provider, null);
+    res.json({ success: true, providers: status });
+  } catch (e) {
+    console.error("DELETE /api/admin/api-keys/:provider error:", e);
+    res.status(500).json({ error: e.message || "Failed to remove API key" });
+  }
+});
+
+app.post("/api/config/models", requireAdmin, async (req, res) => {
+  try {
+    const { modelKey, updates } = req.body || {};
+    const config = await loadConfig();
+
+    if (!modelKey || !config.models?.[modelKey]) {
+      return res.status(400).json({ error: `Unknown model key: ${modelKey}` });
+    }
+
+    let clean;
+    try {
+      clean = sanitizeModelUpdates(
+        updates,
+        ["openai", "anthropic", "google", ...getRegisteredProviders().map((p) => p.name)],
+        config.models[modelKey]
+      );
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // First write seeds the runtime file from the bundled defaults.
+    const runtime = (await readJson(CONFIG_PATH, null)) || (await readJson(DEFAULT_CONFIG_PATH, {}));
+    const models = { ...config.models, ...(runtime.models || {}) };
+    models[modelKey] = { ...models[modelKey], ...clean, id: modelKey };
+    await writeJson(CONFIG_PATH, { ...runtime, models });
+
+    res.json({ success: true, model: models[modelKey] });
+  } catch (e) {
+    console.error("POST /api/config/models error:", e);
+    res.status(500).json({ error: e.message || "Failed to update model" });
+  }
+});
+
+app.post("/api/config/reset", requireAdmin, async (req, res) => {
+  try {
+    const defaults = JSON.parse(await fs.readFile(DEFAULT_CONFIG_PATH, "utf8"));
+    await writeJson(CONFIG_PATH, defaults);
+    await reloadProvidersFromSecrets();
+    res.json({ success: true, config: defaults });
+  } catch (e) {
+    console.error("POST /api/config/reset error:", e);
+    res.status(500).json({ error: e.message || "Failed to reset models" });
+  }
+});
+
+/* ----------------------- provider registry ----------------------- */
+
+// Registry providers (OpenAI-compatible endpoints, Ollama) live in the
+// "providers" block of models.json; see providers/registry.js.
+app.get("/api/admin/providers", requireAdmin, async (req, res) => {
+  const config = await loadConfig();
+  const usedBy = (name) => Object.keys(config.models || {}).filter((k) => config.models[k].provider === name);
+  res.json({
+    builtin: ["openai", "anthropic", "google"].map((name) => ({ name, available: !!providerStatus[name], models: usedBy(name) })),
+    providers: getRegisteredProviders().map((p) => ({ ...p, models: usedBy(p.name) })),
+  });
+});
+
+app.put("/api/admin/providers/:name", requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    let entry;
+    try {
+      entry = sanitizeProviderEntry(name, req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const config = await loadConfig();
+    await saveConfigSection("providers", { ...(config.providers || {}), [name]: entry });
+    const status = await reloadProvidersFromSecrets();
+    res.json({ name, provider: entry, available: !!status[name] });
+  } catch (e) {
+    console.error("PUT /api/admin/providers/:name error:", e);
+    res.status(500).json({ error: e.message || "Failed to save provider" });
+  }
+});
+
+app.delete("/api/admin/providers/:name", requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const config = await loadConfig();
+    if (!config.providers?.[name]) return res.status(404).json({ error: "Provider not found" });
+    const users = Object.keys(config.models || {}).filter((k) => config.models[k].provider === name);
+    if (users.length) return res.status(409).json({ error: `Still used by model(s): ${users.join(", ")}` });
+    const { [name]: _removed, ...providers } = config.providers;
+    await saveConfigSection("providers", providers);
+    await reloadProvidersFromSecrets();
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /api/admin/providers/:name error:", e);
+    res.status(500).json({ error: e.message || "Failed to delete provider" });
+  }
+});
+
+// Model discovery: what the endpoint serves (Ollama: installed models).
+app.get("/api/admin/providers/:name/models", requireAdmin, async (req, res) => {
+  try {
+    const models = await listProviderModels(req.params.name, { signal: AbortSignal.timeout(PROVIDER_DISCOVERY_TIMEOUT_MS) });
+    res.json({ provider: req.params.name, models });
+  } catch (e) {
+    const status = /not supported/.test(e.message) ? 400 : 502;
+    res.status(status).json({ error: e.name === "TimeoutError" ? "Provider did not answer in time" : e.message });
+  }
+});
+
+/* ----------------------- model catalog ----------------------- */
+
+const CATALOG_PROVIDERS = ["openai", "anthropic", "google"];
+
+// The last sync, or the bare price sheet (nothing listed yet) before the first one.
+async function loadModelCatalog() {
+  const synced = await readJson(SYNCED_MODEL_OPTIONS_PATH, null);
+  if (synced) return synced;
+  const catalog = await syncModelCatalog({
+    priceSheet: await readJson(MODEL_OPTIONS_PATH, { options: [] }),
+    providers: [],
+    listModels: async () => [],
+  });
+  return { ...catalog, lastSyncedAt: null };
+}
+
+function catalogIssues(config, catalog) {
+  return validateModelSlots(config.models, catalog, {
+    isAvailable: isProviderAvailable,
+    knownProviders: [...CATALOG_PROVIDERS, "stub", ...getRegisteredProviders().map((p) => p.name)],
+  });
+}
+
+app.get("/api/admin/model-catalog", requireAdmin, async (req, res) => {
+  try {
+    const catalog = await loadModelCatalog();
+    res.json({ ...catalog, issues: catalogIssues(await loadConfig(), catalog) });
+  } catch (e) {
+    console.error("GET /api/admin/model-catalog error:", e);
+    res.status(500).json({ error: e.message || "Failed to load model catalog" });
+  }
+});
+
+// Lists models from every configured provider and merges them with the price sheet.
+app.post("/api/admin/model-catalog/sync", requireAdmin, async (req, res) => {
+  try {
+    const names = [...CATALOG_PROVIDERS, ...getRegisteredProviders().map((p) => p.name)];
+    const catalog = await syncModelCatalog({
+      priceSheet: await readJson(MODEL_OPTIONS_PATH, { options: [] }),
+      providers: names.map((name) => ({ name, available: isProviderAvailable(name) })),
+      listModels: (name) => listProviderModels(name, { signal: AbortSignal.timeout(PROVIDER_DISCOVERY_TIMEOUT_MS) }),
+    });
+    await writeJson(SYNCED_MODEL_OPTIONS_PATH, catalog);
+    res.json({ ...catalog, issues: catalogIssues(await loadConfig(), catalog) });
+  } catch (e) {
+    console.error("POST /api/admin/model-catalog/sync error:", e);
+    res.status(500).json({ error: e.message || "Failed to sync model catalog" });
+  }
+});
+
+function parseDateRange(query) {
+  const isDay = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  return {
+    from: isDay(query.from) ? query.from : undefined,
+    to: isDay(query.to) ? query.to : undefined,
+  };
+}
+
+app.get("/api/stats", requireAdmin, async (req, res) => {
+  try {
+    res.json(await usageLedger.getStats());
+  } catch (e) {
+    console.error("GET /api/stats error:", e);
+    res.status(500).json({ error: e.message || "Failed to load stats" });
+  }
+});
+
+// e.g. /api/stats/aggregate?period=month&by=repo&from=2025-01-01
+app.get("/api/stats/aggregate", requireAdmin, async (req, res) => {
+  try {
+    const period = req.query.period === "month" ? "month" : "day";
+    const by = req.query.by ? String(req.query.by) : null;
+    const rows = await usageLedger.aggregate({ period, by, ...parseDateRange(req.query) });
+    res.json({ period, by, rows });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Failed to aggregate stats" });
+  }
+});
+
+app.get("/api/stats/export.csv", requireAdmin, async (req, res) => {
+  try {
+    const csv = await usageLedger.exportCsv(parseDateRange(req.query));
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="usage.csv"');
+    res.send(csv);
+  } catch (e) {
+    console.error("GET /api/stats/export.csv error:", e);
+    res.status(500).json({ error: e.message || "Failed to export stats" });
+  }
+});
+
+app.get("/api/budget", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const budgets = resolveBudgets(config, BUDGET_DEFAULTS);
+    const repo = req.query.repo ? String(req.query.repo) : null;
+    const result = checkBudget({ stats: await usageLedger.getStats(), budgets, repo });
+    res.json({ budgets, ...result });
+  } catch (e) {
+    console.error("GET /api/budget error:", e);
+    res.status(500).json({ error: e.message || "Failed to check budget" });
+  }
+});
+
+app.post("/api/stats/reset", requireAdmin, async (req, res) => {
+  try {
+    await usageLedger.reset();
+    res.json({ success: true });
+  } catch (e) {
+    console.error("POST /api/stats/reset error:", e);
+    res.status(500).json({ error: e.message || "Failed to reset stats" });
+  }
+});
+
 // Frontend expects this endpoint to exist and return JSON.
 // If it's missing, the browser receives HTML (often index.html) and JSON parsing fails
 // with: "Unexpected token '<'".
 app.get("/api/config", async (req, res) => {
   try {
     const cfg = await loadConfig();
-    res.json(cfg);
+    const defaults = await readJson(DEFAULT_CONFIG_PATH, {});
+    const runtime = await readJson(CONFIG_PATH, null);
+    res.json({
+      ...cfg,
+      providers: { ...providerStatus },
+      _meta: {
+        configPath: CONFIG_PATH,
+        defaultConfigPath: DEFAULT_CONFIG_PATH,
+        isLegacyDefaults:
+          !!runtime && (runtime.schemaVersion || 1) < (defaults.schemaVersion || 1),
+      },
+    });
   } catch (e) {
     console.error("GET /api/config error:", e);
     res.status(500).json({ error: "Failed to load config" });
@@ -415,7 +1131,7 @@ app.get("/api/projects", async (req, res) => {
     if (Array.isArray(runtimePinned)) runtimePinned.forEach(addPinned);
 
     // Cache (to avoid rate limits)
-    const cached = await readJson(projectsCachePath, null);
+    const cached = store.getProjectsCache();
     const isFresh =
       cached &&
       cached.fetchedAt &&
@@ -448,11 +1164,12 @@ app.get("/api/projects", async (req, res) => {
         private: !!r.private,
         defaultBranch: r.default_branch,
         description: r.description || "",
+        language: r.language || "",
         updatedAt: r.updated_at || "",
       });
     }
 
-    await writeJson(projectsCachePath, {
+    store.setProjectsCache({
       fetchedAt: new Date().toISOString(),
       projects,
     });
@@ -471,334 +1188,2318 @@ app.get("/api/projects/:owner/:repo/files", async (req, res) => {
     const { owner, repo } = req.params;
     const repoFullName = `${owner}/${repo}`;
     const refresh = String(req.query.refresh || "").toLowerCase() === "true";
+    const ref = req.query.ref ? String(req.query.ref) : undefined;
+    if (ref !== undefined && !isValidGitRef(ref)) return res.status(400).json({ error: "Invalid ref" });
 
-    const cache = await readRepoFileCache();
-    const cached = cache[repoFullName];
-
-    const isFresh =
-      cached &&
-      cached.fetchedAt &&
-      Date.now() - new Date(cached.fetchedAt).getTime() < REPO_FILES_TTL_MS &&
-      Array.isArray(cached.files);
-
-    if (!refresh && isFresh) {
-      return res.json({
-        repo: repoFullName,
-        branch: cached.branch,
-        files: cached.files,
-        cached: true,
-        fetchedAt: cached.fetchedAt,
-      });
-    }
-
-    const { branch, files } = await fetchRepoFileListFromGitHub(repoFullName);
-
-    cache[repoFullName] = {
-      branch,
-      files,
-      fetchedAt: new Date().toISOString(),
-    };
-    await writeRepoFileCache(cache);
-
-    res.json({
-      repo: repoFullName,
-      branch,
-      files,
-      cached: false,
-      fetchedAt: cache[repoFullName].fetchedAt,
-    });
+    const { branch, files, cached, fetchedAt } = await getRepoFileList(repoFullName, { refresh, ref });
+    res.json({ repo: repoFullName, branch, files, cached, fetchedAt });
   } catch (e) {
     console.error("GET /api/projects/:owner/:repo/files error:", e);
-    res.status(500).json({ error: e.message || "Failed to load repo files" });
+    res.status(e.status === 404 ? 404 : 500).json({ error: e.message || "Failed to load repo files" });
   }
 });
 
-app.get("/api/conversations", async (req, res) => {
-  res.json(await readJson(conversationsPath, []));
-});
-app.patch("/api/conversations/:id", async (req, res) => {
+// Branches for the ref picker, default branch first. Cached for BRANCHES_TTL_MS.
+app.get("/api/projects/:owner/:repo/branches", async (req, res) => {
   try {
-    const conversations = await readJson(conversationsPath, []);
-    const convo = conversations.find((c) => c.id === req.params.id);
+    const { owner, repo } = req.params;
+    const repoFullName = `${owner}/${repo}`;
+    const refresh = String(req.query.refresh || "").toLowerCase() === "true";
 
-    if (!convo) {
-      return res.status(404).json({ error: "Conversation not found" });
+    const cached = store.getCache("branches", repoFullName);
+    if (!refresh && cached && Date.now() - new Date(cached.fetchedAt).getTime() < BRANCHES_TTL_MS) {
+      return res.json({ repo: repoFullName, ...cached, cached: true });
     }
 
-    const title = (req.body?.title || "").toString().trim();
-    convo.title = title.slice(0, 120);
-    convo.updatedAt = new Date().toISOString();
+    const api = `https://api.github.com/repos/${repoFullName}`;
+    const defaultBranch = (await githubFetchJson(api)).default_branch || "main";
+    const branches = (await githubFetchAllPages(`${api}/branches`))
+      .map((b) => ({ name: b.name, sha: b.commit?.sha || null, protected: !!b.protected }))
+      .sort((a, b) => (b.name === defaultBranch) - (a.name === defaultBranch) || a.name.localeCompare(b.name));
 
-    await writeJson(conversationsPath, conversations);
-    res.json(convo);
+    const value = { defaultBranch, branches, fetchedAt: new Date().toISOString() };
+    store.setCache("branches", repoFullName, value);
+    res.json({ repo: repoFullName, ...value, cached: false });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to update conversation" });
+    console.error("GET /api/projects/:owner/:repo/branches error:", e);
+    res.status(500).json({ error: e.message || "Failed to load branches" });
   }
 });
 
-app.post("/api/pr/create", async (req, res) => {
+/* ----------------------- code index ----------------------- */
+
+const repoIndexer = createRepoIndexer({
+  store,
+  listTree: async (repoFullName) => {
+    const { branch, blobs } = await fetchRepoTreeFromGitHub(repoFullName);
+    return { ref: branch, files: blobs };
+  },
+  readFile: (repoFullName, filePath, ref) =>
+    getFileContentFromGitHub(repoFullName, filePath, ref, { maxBytes: MAX_FILE_BYTES, cache: false }),
+  maxBytes: MAX_FILE_BYTES,
+});
+
+// Starts the first index of a repo (or resumes an interrupted one) on first use.
+function ensureRepoIndexed(repoFullName) {
+  const status = repoIndexer.status(repoFullName);
+  return status.status === "none" || status.status === "interrupted" ? repoIndexer.start(repoFullName) : status;
+}
+
+app.get("/api/projects/:owner/:repo/index", (req, res) => {
+  const { owner, repo } = req.params;
+  res.json(repoIndexer.status(`${owner}/${repo}`));
+});
+
+app.post("/api/projects/:owner/:repo/index", (req, res) => {
+  const { owner, repo } = req.params;
+  const force = req.body?.force === true;
+  res.status(202).json(repoIndexer.start(`${owner}/${repo}`, { force }));
+});
+
+// Full-text search over indexed file contents. Results cover whatever has been
+// indexed so far; `index.status` tells whether that is the whole repo.
+app.get("/api/projects/:owner/:repo/search", (req, res) => {
+  const { owner, repo } = req.params;
+  const repoFullName = `${owner}/${repo}`;
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "q is required" });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const index = ensureRepoIndexed(repoFullName);
+  res.json({ repo: repoFullName, query: q, results: store.searchRepo(repoFullName, q, { limit }), index });
+});
+
+// Where is `name` defined. ?prefix=true matches names starting with it; ?kind= filters.
+app.get("/api/projects/:owner/:repo/symbols", (req, res) => {
+  const { owner, repo } = req.params;
+  const repoFullName = `${owner}/${repo}`;
+  const name = String(req.query.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const kind = req.query.kind ? String(req.query.kind) : undefined;
+  const prefix = parseBoolParam(req.query.prefix) === true;
+
+  const index = ensureRepoIndexed(repoFullName);
+  res.json({ repo: repoFullName, name, symbols: store.findSymbols(repoFullName, { name, kind, prefix, limit }), index });
+});
+
+/* ----------------------- conversations ----------------------- */
+
+const MAX_CONVERSATIONS_PAGE = 200;
+
+function newConversationId() {
+  return Date.now().toString(36) + crypto.randomBytes(2).toString("hex");
+}
+
+function parseBoolParam(v) {
+  if (v === undefined || v === "") return undefined;
+  return ["1", "true", "yes"].includes(String(v).toLowerCase());
+}
+
+// e.g. /api/conversations?limit=50&offset=0&repo=owner/name&q=retry&archived=all&pinned=true
+app.get("/api/conversations", async (req, res) => {
   try {
-    const { repoFullName, conversationId, filePath, content, title, body, draft } =
-      req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_CONVERSATIONS_PAGE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const archived = req.query.archived === "all" ? "all" : !!parseBoolParam(req.query.archived);
+    res.json(
+      store.listConversations({
+        limit,
+        offset,
+        archived,
+        pinned: parseBoolParam(req.query.pinned),
+        repo: typeof req.query.repo === "string" ? req.query.repo.trim() : undefined,
+        q: typeof req.query.q === "string" ? req.query.q.slice(0, 200) : undefined,
+      })
+    );
+  } catch (e) {
+    console.error("GET /api/conversations error:", e);
+    res.status(500).json({ error: e.message || "Failed to list conversations" });
+  }
+});
 
-    if (!repoFullName || typeof repoFullName !== "string") {
-      return res.status(400).json({ error: "repoFullName is required" });
+app.get("/api/conversations/:id", async (req, res) => {
+  const convo = store.getConversation(req.params.id);
+  if (!convo) return res.status(404).json({ error: "Conversation not found" });
+  res.json(convo);
+});
+
+// Accepts any of { title, pinned, archived }.
+app.patch("/api/conversations/:id", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = {};
+    if (body.title !== undefined) {
+      const title = String(body.title).trim();
+      if (!title) return res.status(400).json({ error: "Title cannot be blank" });
+      fields.title = title.slice(0, 120);
+      fields.updatedAt = new Date().toISOString();
     }
-    if (!filePath || typeof filePath !== "string" || !isSafeRepoPath(filePath)) {
-      return res.status(400).json({ error: "A valid filePath is required" });
+    if (body.pinned !== undefined) fields.pinned = !!body.pinned;
+    if (body.archived !== undefined) fields.archived = !!body.archived;
+    // Branch, tag or SHA the conversation reads files from; null/"" goes back to the default branch.
+    if (body.ref !== undefined) {
+      if (body.ref && !isValidGitRef(body.ref)) return res.status(400).json({ error: "Invalid ref" });
+      fields.ref = body.ref || undefined;
     }
-    if (typeof content !== "string") {
-      return res.status(400).json({ error: "content is required" });
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ error: "Nothing to update (title, pinned, archived, ref)" });
     }
 
-    // Get repo info
-    const repo = await githubFetchJson(`https://api.github.com/repos/${repoFullName}`);
-    const base = repo.default_branch || "main";
+    const convo = store.updateConversation(req.params.id, fields);
 
-    // Create a branch from base
-    const baseRef = await githubFetchJson(
-      `https://api.github.com/repos/${repoFullName}/git/ref/heads/${encodeURIComponent(base)}`
-    );
+    if (!convo) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
 
-    const safeId = (conversationId || "chat")
-      .toString()
-      .replace(/[^a-zA-Z0-9\-_]/g, "")
-      .slice(0, 24);
-    const branch = `ai/${safeId}-${Date.now().toString(36)}`;
+    res.json(convo);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to update conversation" });
+  }
+});
 
-    const refResp = await githubRequest(
-      `https://api.github.com/repos/${repoFullName}/git/refs`,
-      { method: "POST", body: { ref: `refs/heads/${branch}`, sha: baseRef.object.sha } }
-    );
-    if (!refResp.ok) {
-      const txt = await refResp.text().catch(() => "");
-      return res
-        .status(refResp.status)
-        .json({ error: `Failed to create branch: ${txt || refResp.status}` });
+app.delete("/api/conversations/:id", async (req, res) => {
+  try {
+    if (!store.deleteConversation(req.params.id)) {
+      return res.status(404).json({ error: "Conversation not found" });
     }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to delete conversation" });
+  }
+});
 
-    // Update the file on the new branch via the contents API
-    const existing = await githubJsonAllow404(
-      `https://api.github.com/repos/${repoFullName}/contents/${encodeGitHubPath(filePath)}?ref=${encodeURIComponent(base)}`
-    );
+// Copies messages 0..upToMessage (inclusive; default: all) into a new conversation.
+app.post("/api/conversations/:id/fork", async (req, res) => {
+  try {
+    const { upToMessage, title } = req.body || {};
+    const source = store.getConversation(req.params.id);
+    if (!source) return res.status(404).json({ error: "Conversation not found" });
+
+    if (upToMessage !== undefined) {
+      if (!Number.isInteger(upToMessage) || upToMessage < 0 || upToMessage >= source.messages.length) {
+        return res
+          .status(400)
+          .json({ error: `upToMessage must be an integer between 0 and ${source.messages.length - 1}` });
+      }
+    }
 
-    const putBody = {
-      message: `AI update: ${filePath}`,
-      content: Buffer.from(content, "utf8").toString("base64"),
-      branch,
-    };
-    if (existing?.sha) putBody.sha = existing.sha;
+    const fork = store.forkConversation(req.params.id, {
+      newId: newConversationId(),
+      upToIndex: upToMessage,
+      title: typeof title === "string" && title.trim() ? title.trim().slice(0, 120) : undefined,
+    });
+    res.status(201).json(fork);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fork conversation" });
+  }
+});
 
-    const putResp = await githubRequest(
-      `https://api.github.com/repos/${repoFullName}/contents/${encodeGitHubPath(filePath)}`,
-      { method: "PUT", body: putBody }
-    );
-    if (!putResp.ok) {
-      const txt = await putResp.text().catch(() => "");
-      return res
-        .status(putResp.status)
-        .json({ error: `Failed to commit file: ${txt || putResp.status}` });
-    }
-
-    // Create a (draft) PR
-    const prTitle = (title || `AI update: ${filePath}`).toString().slice(0, 140);
-    const prBody = (body || "").toString();
-
-    const prResp = await githubRequest(
-      `https://api.github.com/repos/${repoFullName}/pulls`,
-      {
-        method: "POST",
-        body: {
-          title: prTitle,
-          head: branch,
-          base,
-          body: prBody,
-          draft: draft !== false,
-        },
-      }
-    );
+// The rolling summary that stands in for older messages (see lib/summary.js).
+function summaryResponse(convo) {
+  const coveredThrough = convo.summary?.coveredThrough || 0;
+  return {
+    summary: convo.summary || null,
+    coveredThrough,
+    totalMessages: convo.messages.length,
+    pendingMessages: Math.max(0, convo.messages.length - coveredThrough),
+  };
+}
 
-    if (!prResp.ok) {
-      const txt = await prResp.text().catch(() => "");
-      return res
-        .status(prResp.status)
-        .json({ error: `Failed to create PR: ${txt || prResp.status}` });
+app.get("/api/conversations/:id/summary", (req, res) => {
+  const convo = store.getConversation(req.params.id);
+  if (!convo) return res.status(404).json({ error: "Conversation not found" });
+  res.json(summaryResponse(convo));
+});
+
+// Accepts any of { text, decisions, files, todos }; creates the summary if there is none.
+app.put("/api/conversations/:id/summary", (req, res) => {
+  try {
+    const convo = store.getConversation(req.params.id);
+    if (!convo) return res.status(404).json({ error: "Conversation not found" });
+    let summary;
+    try {
+      summary = applySummaryEdit(convo.summary, req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
+    res.json(summaryResponse(store.updateConversation(convo.id, { summary })));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to update summary" });
+  }
+});
 
-    const pr = await prResp.json();
-    res.json({ url: pr.html_url, branch, base });
+// The model sees the full history again (within the usual caps) until the next summary.
+app.delete("/api/conversations/:id/summary", (req, res) => {
+  try {
+    const convo = store.updateConversation(req.params.id, { summary: undefined });
+    if (!convo) return res.status(404).json({ error: "Conversation not found" });
+    res.json(summaryResponse(convo));
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to create PR" });
+    res.status(500).json({ error: e.message || "Failed to delete summary" });
   }
 });
 
+// Summarizes now instead of waiting for the token threshold.
+app.post("/api/conversations/:id/summary/refresh", async (req, res) => {
+  try {
+    const convo = store.getConversation(req.params.id);
+    if (!convo) return res.status(404).json({ error: "Conversation not found" });
+    const { summary, error, updated } = await refreshConversationSummary(convo, await loadConfig());
+    if (error && !updated) return res.status(502).json({ error: `Summary failed: ${error.message}` });
+    const saved = updated ? store.updateConversation(convo.id, { summary }) : convo;
+    res.json({ ...summaryResponse(saved), updated, ...(error && { warning: `Stopped early: ${error.message}` }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to summarize conversation" });
+  }
+});
 
-app.post("/api/chat", async (req, res) => {
-  const { conversationId, message, repoFullName, loadedFiles = [], modelOverride, allowLargeFiles = false } =
-    req.body;
+// Serves an attachment: images as stored, documents as their extracted text.
+app.get("/api/conversations/:id/attachments/:attachmentId", (req, res) => {
+  const [a] = store.getAttachments(req.params.id, [req.params.attachmentId]);
+  if (!a) return res.status(404).json({ error: "Attachment not found" });
+  res.setHeader("Content-Disposition", `inline; filename="${encodeURIComponent(a.name || a.id)}"`);
+  if (a.kind === "image") res.type(a.mediaType).send(a.data);
+  else res.type("text/plain; charset=utf-8").send(a.text || "");
+});
 
-  // SSE headers should be set before streaming output
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
+// History for the model: messages with attachments get content parts. `pending`
+// are this turn's attachments, which are not in the store yet.
+function withAttachmentContent(conversationId, messages, pending = []) {
+  const fresh = new Map(pending.map((a) => [a.id, a]));
+  return messages.map((m) => {
+    if (!m.attachments?.length) return m;
+    const stored = store.getAttachments(conversationId, m.attachments.map((a) => a.id).filter((id) => !fresh.has(id)));
+    const byId = new Map([...stored, ...pending].map((a) => [a.id, a]));
+    const rows = m.attachments.map((a) => byId.get(a.id)).filter(Boolean);
+    return { role: m.role, content: attachmentContent(m.content, rows) };
+  });
+}
 
-  try {
-    const config = await loadConfig();
-    const conversations = await readJson(conversationsPath, []);
-    let convo = conversations.find((c) => c.id === conversationId);
+/* ----------------------- auto context ----------------------- */
 
-    if (!convo) {
-      convo = {
-        id: Date.now().toString(36),
-        messages: [],
-        createdAt: new Date().toISOString(),
-      };
-      conversations.push(convo);
-    }
+const AUTO_CONTEXT_MAX_TOKENS = parseInt(process.env.AUTO_CONTEXT_MAX_TOKENS || '24000', 10); // hard cap on auto-picked files
+const AUTO_CONTEXT_WINDOW_SHARE = parseFloat(process.env.AUTO_CONTEXT_WINDOW_SHARE || '0.25'); // share of contextWindow for auto-picked files
+const AUTO_CONTEXT_MAX_FILES = parseInt(process.env.AUTO_CONTEXT_MAX_FILES || '6', 10);
+const AUTO_CONTEXT_FETCH_LIMIT = parseInt(process.env.AUTO_CONTEXT_FETCH_LIMIT || '12', 10); // new files indexed per chat
+const AUTO_CONTEXT_INDEX_TTL_MS = 1000 * 60 * 60 * 6; // re-fetch indexed files after 6 hours
 
+const repoIndexes = new Map();
 
-    // Smart Routing
-    const route = routeMessage(message, config, Array.isArray(loadedFiles) && loadedFiles.length > 0);
-    const modelKey = resolveModelKey(modelOverride, route.modelKey, config);
-    const modelConfig = config.models[modelKey];
+function getRepoIndex(repoFullName, ref) {
+  const key = `${repoFullName}@${ref}`;
+  if (!repoIndexes.has(key)) repoIndexes.set(key, createRepoIndex(store.getCache("repoIndex", key) || {}));
+  return repoIndexes.get(key);
+}
 
-    if (!modelConfig) {
-      throw new Error(`Unknown model key: ${modelKey}`);
+/**
+ * Picks files for the chat without the user ticking them. Ranks the cached
+ * path list, fetches and indexes the most promising unindexed files (a few
+ * per chat, so the index grows over time), then packs the best within
+ * `budgetTokens`. Returns { contents, selected, skipped, budgetTokens, usedTokens, indexed }.
+ */
+async function selectAutoContext({ repoFullName, ref: requestedRef, message, budgetTokens, exclude = [], tokensOf = estimateTokens }) {
+  const { branch: ref, files: allFiles } = await getRepoFileList(repoFullName, { ref: requestedRef });
+  const excluded = new Set(exclude);
+  const fileSet = new Set(allFiles);
+  const files = allFiles.filter((p) => isContextCandidate(p) && !excluded.has(p));
+  const index = getRepoIndex(repoFullName, ref);
+  index.prune(fileSet);
+
+  const readFile = async (p) => {
+    try {
+      const r = await getFileContentFromGitHub(repoFullName, p, ref, { maxBytes: MAX_FILE_BYTES });
+      return r.skipped ? null : r.content;
+    } catch {
+      return null;
     }
+  };
+
+  // Definitions from the code index, when the repo has one for this ref.
+  const boosts =
+    store.getRepoIndexStatus(repoFullName)?.ref === ref
+      ? symbolBoosts(message, (name) =>
+          store.findSymbols(repoFullName, { name, limit: 4 }).filter((d) => d.kind !== "method" && !excluded.has(d.path))
+        )
+      : new Map();
+
+  // Pass 1: index the best-ranked files we haven't seen (or that went stale). Spare
+  // slots go to shallow paths (entry points, top-level modules) so the index and
+  // its import graph fill in over a few chats.
+  const stale = (p) => !index.isFresh(p, AUTO_CONTEXT_INDEX_TTL_MS);
+  const toIndex = new Set(
+    rankFiles({ message, files, index, boosts })
+      .map((e) => e.path)
+      .filter(stale)
+      .slice(0, AUTO_CONTEXT_FETCH_LIMIT)
+  );
+  const depth = (p) => p.split("/").length;
+  for (const p of files.filter(stale).sort((a, b) => depth(a) - depth(b) || a.localeCompare(b))) {
+    if (toIndex.size >= AUTO_CONTEXT_FETCH_LIMIT) break;
+    toIndex.add(p);
+  }
+  let indexed = 0;
+  for (const p of toIndex) {
+    const content = await readFile(p);
+    if (content === null) continue;
+    index.addDocument(p, content, fileSet);
+    indexed++;
+  }
+  if (indexed) store.setCache("repoIndex", `${repoFullName}@${ref}`, index.toJSON());
+
+  // Pass 2: rank again with the fuller index, then pack into the budget.
+  const ranked = rankFiles({ message, files, index, boosts });
+  const contents = {};
+  for (const e of ranked.slice(0, AUTO_CONTEXT_MAX_FILES * 2)) {
+    const content = await readFile(e.path);
+    if (content !== null) contents[e.path] = content;
+  }
+  const { selected, skipped, usedTokens } = selectWithinBudget(
+    ranked,
+    (p) => (p in contents ? tokensOf(contents[p]) : null),
+    { budgetTokens, maxFiles: AUTO_CONTEXT_MAX_FILES }
+  );
+
+  return {
+    contents: Object.fromEntries(selected.map((s) => [s.path, contents[s.path]])),
+    selected,
+    skipped,
+    budgetTokens,
+    usedTokens,
+    indexed,
+  };
+}
+
+/* ----------------------- agent tools ----------------------- */
+
+const AGENT_MAX_ITERATIONS = parseInt(process.env.AGENT_MAX_ITERATIONS || '6', 10); // tool rounds per chat turn
+const AGENT_MAX_TOKENS = parseInt(process.env.AGENT_MAX_TOKENS || '200000', 10); // input+output tokens per chat turn
+const AGENT_TOOL_RESULT_CHARS = parseInt(process.env.AGENT_TOOL_RESULT_CHARS || '20000', 10); // per tool result
+
+// Files are read at the conversation's working ref; search and symbols come
+// from the code index, which covers the default branch.
+const repoTools = createRepoTools({
+  listFiles: async (repoFullName, ref, { signal } = {}) => (await getRepoFileList(repoFullName, { ref, signal })).files,
+  readFile: (repoFullName, filePath, ref, { signal } = {}) => getFileContentFromGitHub(repoFullName, filePath, ref, { signal }),
+  searchRepo: (repoFullName, q, { limit }) => {
+    const index = ensureRepoIndexed(repoFullName);
+    return { results: store.searchRepo(repoFullName, q, { limit }), index };
+  },
+  findSymbols: (repoFullName, { name, prefix }) => {
+    const index = ensureRepoIndexed(repoFullName);
+    return { symbols: store.findSymbols(repoFullName, { name, prefix, limit: 20 }), index };
+  },
+  maxResultChars: AGENT_TOOL_RESULT_CHARS,
+});
+
+function agentInstructions(repoFullName, ref) {
+  return `You can inspect the repository ${repoFullName} (ref ${ref}) with tools: list_files, read_file, search_repo and find_symbol.
+Use them to look at the code you need instead of guessing, and read a file before proposing changes to it.
+Tool rounds are limited, so batch independent calls together. Answer once you have enough context.`;
+}
+
+/* ----------------------- route learning ----------------------- */
+
+// Auto-routed answers keep their route ({ policy, modelKey, score, features })
+// on the message. Signals that the route was wrong (or right) adjust learned
+// weight deltas, kept in the store cache with per-route outcome counts.
+const ROUTE_LEARNING_KEY = ["routing", "learning"];
+
+const LANGUAGE_BY_EXTENSION = {
+  ".js": "JavaScript", ".jsx": "JavaScript", ".mjs": "JavaScript", ".cjs": "JavaScript",
+  ".ts": "TypeScript", ".tsx": "TypeScript", ".py": "Python", ".go": "Go", ".rb": "Ruby",
+  ".java": "Java", ".kt": "Kotlin", ".rs": "Rust", ".cs": "C#", ".php": "PHP", ".swift": "Swift",
+  ".c": "C", ".h": "C", ".cpp": "C++", ".cc": "C++", ".hpp": "C++",
+};
+
+function loadRouteLearning() {
+  return store.getCache(...ROUTE_LEARNING_KEY) || { learned: {}, stats: {} };
+}
+
+function saveRouteLearning(learning) {
+  store.setCache(...ROUTE_LEARNING_KEY, { ...learning, updatedAt: new Date().toISOString() });
+}
+
+// GitHub's language from the projects cache, else the most common source
+// extension in the cached file list. No API calls.
+function repoLanguageOf(repoFullName) {
+  if (!repoFullName) return undefined;
+  const project = store.getProjectsCache()?.projects?.find((p) => p.fullName === repoFullName);
+  if (project?.language) return project.language;
+  const counts = {};
+  for (const file of store.getRepoFiles(repoFullName)?.files || []) {
+    const lang = LANGUAGE_BY_EXTENSION[path.extname(file).toLowerCase()];
+    if (lang) counts[lang] = (counts[lang] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+function countRouteTurn(modelKey) {
+  const learning = loadRouteLearning();
+  const stats = (learning.stats[modelKey] ||= {});
+  stats.turns = (stats.turns || 0) + 1;
+  saveRouteLearning(learning);
+}
+
+/**
+ * Records a route outcome for an assistant message (`msg`):
+ * override (target: the model the user switched to), regenerate, thumbs_down
+ * or thumbs_up, saved on the message as routeOutcome. A message counts once.
+ * Down-votes and regenerates only teach when the route was fast (the full
+ * model failing says nothing about routing);
+ * up-votes reinforce the chosen route at half the learning rate. Returns
+ * { outcome, target } or null when the message has no route. The caller saves
+ * the conversation.
+ */
+function recordRouteOutcome(msg, outcome, config, { target } = {}) {
+  if (msg?.role !== "assistant" || !msg.route || msg.routeOutcome) return null;
+
+  const routed = msg.route.modelKey;
+  if (outcome === "thumbs_up") target = routed;
+  else if (outcome !== "override") target = routed === "fast" ? "full" : undefined;
+  if (target !== "fast" && target !== "full") target = undefined;
+  msg.routeOutcome = { outcome, target: target || null, at: new Date().toISOString() };
+
+  const learning = loadRouteLearning();
+  const stats = (learning.stats[routed] ||= {});
+  stats[outcome] = (stats[outcome] || 0) + 1;
+  if (target && msg.route.policy === "scored" && msg.route.features) {
+    const routing = config.routing || {};
+    const rate = (routing.learningRate ?? 0.2) * (outcome === "thumbs_up" ? 0.5 : 1);
+    learning.learned = learnFromOutcome(learning.learned, routing, msg.route.features, target, rate);
+  }
+  saveRouteLearning(learning);
+  return { outcome, target: target || null };
+}
+
+// Thumbs up/down on an answer (rating: "up" | "down" | null to clear).
+app.post("/api/conversations/:id/messages/:index/rating", async (req, res) => {
+  try {
+    const convo = store.getConversation(req.params.id);
+    if (!convo) return res.status(404).json({ error: "Conversation not found" });
+    const index = Number(req.params.index);
+    const msg = Number.isInteger(index) ? convo.messages[index] : null;
+    if (msg?.role !== "assistant") return res.status(400).json({ error: "index must point at an assistant message" });
+    const { rating } = req.body || {};
+    if (![null, "up", "down"].includes(rating)) return res.status(400).json({ error: "rating must be up, down or null" });
+
+    if (rating) msg.rating = rating;
+    else delete msg.rating;
+    const route = rating
+      ? recordRouteOutcome(msg, rating === "up" ? "thumbs_up" : "thumbs_down", await loadConfig())
+      : null;
+    store.saveConversation(convo);
+    res.json({ messageIndex: index, rating: rating || null, route });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to save rating" });
+  }
+});
+
+app.get("/api/routing/stats", async (req, res) => {
+  const config = await loadConfig();
+  const { learned, stats, updatedAt } = loadRouteLearning();
+  res.json({
+    policy: config.routing?.policy === "patterns" ? "patterns" : "scored",
+    threshold: config.routing?.threshold ?? 0,
+    weights: effectiveRouteWeights(config.routing, learned),
+    learned,
+    stats,
+    updatedAt: updatedAt || null,
+  });
+});
+
+app.post("/api/routing/reset", requireAdmin, (req, res) => {
+  saveRouteLearning({ learned: {}, stats: {} });
+  res.json({ success: true });
+});
+
+/* ----------------------- routing rules ----------------------- */
+
+// Context for routeMessage, shared by chat turns and previews so both route
+// the same way. Auto context and agent tools bring in files, so they count as
+// having files; rule file globs see the loaded paths and attachment names.
+function routeContextFor({ repo, loadedFiles, attachments, autoContext, agent, conversationLength = 0 }) {
+  const paths = Array.isArray(loadedFiles) ? loadedFiles.filter((p) => typeof p === "string") : [];
+  const names = Array.isArray(attachments) ? attachments.map((a) => a?.name).filter((n) => typeof n === "string") : [];
+  return {
+    hasFiles: !!autoContext || !!agent || paths.length > 0,
+    files: [...paths, ...names],
+    repo: repo || undefined,
+    conversationLength,
+    repoLanguage: repoLanguageOf(repo),
+    learned: loadRouteLearning().learned,
+  };
+}
+
+function saveRouting(routing) {
+  return saveConfigSection("routing", routing);
+}
 
-    // Persist repo selection on the conversation (helps follow-up chats)
-    if (repoFullName) convo.repoFullName = repoFullName;
+function routingErrorStatus(e) {
+  return /required|must be|Unknown|invalid|Duplicate|At most/.test(e.message) ? 400 : 500;
+}
 
-    // Give new conversations a default title from the first user message
-    if (!convo.title && typeof message === "string") {
-      const t = message.trim().replace(/\s+/g, " ").slice(0, 60);
-      convo.title = t || "New Chat";
+// Which model auto mode would pick for a draft message, e.g. for the model
+// indicator. Body: { message, repoFullName, loadedFiles, attachments: [{ name }],
+// conversationId, autoContext, agent, modelOverride }.
+app.post("/api/route/preview", async (req, res) => {
+  try {
+    const { message = "", repoFullName, loadedFiles, attachments, conversationId, autoContext, agent, modelOverride } =
+      req.body || {};
+    const config = await loadConfig();
+    const convo = conversationId ? store.getConversation(String(conversationId)) : null;
+    const repo = repoFullName || convo?.repoFullName;
+    const preview = previewRoute(
+      String(message),
+      config,
+      routeContextFor({
+        repo,
+        loadedFiles,
+        attachments,
+        autoContext: autoContext && !!repo,
+        agent: agent && !!repo,
+        conversationLength: convo?.messages.length || 0,
+      })
+    );
+    const modelKey = resolveModelKey(modelOverride, preview.modelKey, config);
+    if (modelKey !== preview.modelKey) {
+      return res.json({
+        ...preview,
+        modelKey,
+        displayName: config.models[modelKey].displayName,
+        reason: `Manual choice (auto would pick ${preview.modelKey}: ${preview.reason})`,
+        overridden: true,
+      });
     }
+    res.json(preview);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to preview route" });
+  }
+});
+
+app.get("/api/admin/routing", requireAdmin, async (req, res) => {
+  const config = await loadConfig();
+  res.json({ routing: config.routing || {}, models: Object.keys(config.models || {}) });
+});
+
+// Partial update of the global settings (policy, threshold, thresholds, patterns, weights).
+app.put("/api/admin/routing", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const updates = sanitizeRoutingSettings(req.body, config.models);
+    const routing = await saveRouting({ ...(config.routing || {}), ...updates });
+    res.json({ routing });
+  } catch (e) {
+    res.status(routingErrorStatus(e)).json({ error: e.message || "Failed to update routing" });
+  }
+});
+
+app.post("/api/admin/routing/rules", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const rules = config.routing?.rules || [];
+    if (rules.length >= MAX_RULES) return res.status(400).json({ error: `At most ${MAX_RULES} rules` });
+    const rule = sanitizeRoutingRule(req.body, config.models);
+    if (rules.some((r) => r.id === rule.id)) return res.status(409).json({ error: `Rule ${rule.id} already exists` });
+    await saveRouting({ ...(config.routing || {}), rules: [...rules, rule] });
+    res.status(201).json({ rule });
+  } catch (e) {
+    res.status(routingErrorStatus(e)).json({ error: e.message || "Failed to add rule" });
+  }
+});
+
+app.put("/api/admin/routing/rules/:id", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const rules = config.routing?.rules || [];
+    const index = rules.findIndex((r) => r.id === req.params.id);
+    if (index < 0) return res.status(404).json({ error: "Rule not found" });
+    const rule = sanitizeRoutingRule({ ...req.body, id: undefined }, config.models, rules[index]);
+    await saveRouting({ ...config.routing, rules: rules.map((r, i) => (i === index ? rule : r)) });
+    res.json({ rule });
+  } catch (e) {
+    res.status(routingErrorStatus(e)).json({ error: e.message || "Failed to update rule" });
+  }
+});
 
-    // Load selected file contents from GitHub (explicit selection only)
-    const fileContents = {};
-    const skippedFiles = [];
-    const safeLoadedFiles = Array.isArray(loadedFiles)
-      ? loadedFiles.filter((f) => typeof f === "string" && f.trim())
-      : [];
+app.delete("/api/admin/routing/rules/:id", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const rules = config.routing?.rules || [];
+    if (!rules.some((r) => r.id === req.params.id)) return res.status(404).json({ error: "Rule not found" });
+    await saveRouting({ ...config.routing, rules: rules.filter((r) => r.id !== req.params.id) });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to delete rule" });
+  }
+});
 
-    const limitedFiles = safeLoadedFiles.slice(0, MAX_FILES_PER_CHAT);
+// Replaces one repo's override: settings plus its own rules.
+app.put("/api/admin/routing/repos/:owner/:repo", requireAdmin, async (req, res) => {
+  try {
+    const repo = `${req.params.owner}/${req.params.repo}`;
+    if (!isValidRepoName(repo)) return res.status(400).json({ error: "Invalid repo" });
+    const config = await loadConfig();
+    const override = sanitizeRoutingSettings(req.body, config.models, { withRules: true });
+    const repos = { ...(config.routing?.repos || {}), [repo]: override };
+    await saveRouting({ ...(config.routing || {}), repos });
+    res.json({ repo, override });
+  } catch (e) {
+    res.status(routingErrorStatus(e)).json({ error: e.message || "Failed to save repo override" });
+  }
+});
 
-    if (limitedFiles.length > 0 && repoFullName) {
-      const ref = await getRepoDefaultBranch(repoFullName);
-      const perFileMaxBytes = allowLargeFiles ? ABSOLUTE_MAX_FILE_BYTES : MAX_FILE_BYTES;
+app.delete("/api/admin/routing/repos/:owner/:repo", requireAdmin, async (req, res) => {
+  try {
+    const repo = `${req.params.owner}/${req.params.repo}`;
+    const config = await loadConfig();
+    if (!config.routing?.repos?.[repo]) return res.status(404).json({ error: "No override for this repo" });
+    const { [repo]: _removed, ...repos } = config.routing.repos;
+    await saveRouting({ ...config.routing, repos });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to delete repo override" });
+  }
+});
 
-      for (const f of limitedFiles) {
-        try {
-          const r = await getFileContentFromGitHub(repoFullName, f, ref, { maxBytes: perFileMaxBytes });
-          if (r.skipped) skippedFiles.push({ path: f, reason: r.reason || "Skipped" });
-          else fileContents[f] = r.content;
-        } catch (e) {
-          skippedFiles.push({ path: f, reason: e.message || "Failed to read file" });
+// Test bench: routes sample messages without saving anything. Samples are
+// strings or { message, repo, files, hasFiles, conversationLength }. A draft
+// `routing` block (validated like a save) is tested in place of the saved one.
+app.post("/api/admin/routing/test", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const { samples, routing: draft } = req.body || {};
+    if (!Array.isArray(samples) || !samples.length) return res.status(400).json({ error: "samples must be a non-empty array" });
+    if (samples.length > 200) return res.status(400).json({ error: "At most 200 samples" });
+
+    let routing = config.routing || {};
+    if (draft) {
+      routing = { ...routing, ...sanitizeRoutingSettings(draft, config.models) };
+      if (draft.rules !== undefined) routing.rules = sanitizeRoutingRules(draft.rules, config.models);
+      if (draft.repos !== undefined) {
+        if (!draft.repos || typeof draft.repos !== "object") throw new Error("repos must be an object");
+        routing.repos = {};
+        for (const [repo, override] of Object.entries(draft.repos)) {
+          if (!isValidRepoName(repo)) throw new Error(`Invalid repo ${repo}`);
+          routing.repos[repo] = sanitizeRoutingSettings(override, config.models, { withRules: true });
         }
       }
-    } else if (limitedFiles.length > 0 && !repoFullName) {
-      for (const f of limitedFiles) {
-        skippedFiles.push({ path: f, reason: "No repo selected" });
-      }
     }
+    const testConfig = { ...config, routing };
+    const { learned } = loadRouteLearning();
+
+    const results = samples.map((sample) => {
+      const s = typeof sample === "string" ? { message: sample } : sample || {};
+      const message = String(s.message || "");
+      const files = Array.isArray(s.files) ? s.files.filter((f) => typeof f === "string") : [];
+      const repo = typeof s.repo === "string" && s.repo ? s.repo : undefined;
+      const decision = previewRoute(message, testConfig, {
+        hasFiles: !!s.hasFiles || files.length > 0,
+        files,
+        repo,
+        conversationLength: Number.isInteger(s.conversationLength) ? s.conversationLength : 0,
+        repoLanguage: repoLanguageOf(repo),
+        learned,
+      });
+      return { message, ...(repo && { repo }), ...(files.length && { files }), ...decision };
+    });
+    const counts = {};
+    for (const r of results) counts[r.modelKey] = (counts[r.modelKey] || 0) + 1;
+    res.json({ results, counts, draft: !!draft });
+  } catch (e) {
+    res.status(routingErrorStatus(e)).json({ error: e.message || "Failed to run test bench" });
+  }
+});
+
+/* ----------------------- chat generations ----------------------- */
+
+// How long a generation keeps running after its last client disconnects (0 = abort at once).
+const GENERATION_RESUME_GRACE_MS = parseInt(process.env.GENERATION_RESUME_GRACE_MS || '15000', 10);
+const PARTIAL_SAVE_INTERVAL_MS = 2000;
+
+const generations = createGenerationRegistry({ graceMs: GENERATION_RESUME_GRACE_MS });
+
+function setSseHeaders(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+}
+
+/* ----------------------- pull requests ----------------------- */
+
+const MAX_CHANGES_PER_PR = parseInt(process.env.MAX_CHANGES_PER_PR || '50', 10);
 
-    if (allowLargeFiles) {
-      res.write(`data: ${JSON.stringify({ type: 'warning', message: `Large files enabled. Per-file cap is ${ABSOLUTE_MAX_FILE_BYTES} bytes. This can increase token usage.` })}\n\n`);
+// Like githubRequest, but throws (with .status) on non-2xx and returns parsed JSON.
+async function githubSendJson(url, method, body, what) {
+  const resp = await githubRequest(url, { method, body });
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => "");
+    const err = new Error(`Failed to ${what}: ${txt || resp.status}`);
+    err.status = resp.status;
+    throw err;
+  }
+  return resp.json();
+}
+
+// Validates [{ path, action, content }] where action is "create" | "update" | "delete" | "upsert" (default).
+function normalizeChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) throw new Error("changes must be a non-empty array");
+  if (changes.length > MAX_CHANGES_PER_PR) throw new Error(`Too many changes (max ${MAX_CHANGES_PER_PR})`);
+
+  const seen = new Set();
+  return changes.map((c, i) => {
+    const filePath = c?.path ?? c?.filePath;
+    const action = (c?.action || "upsert").toString().toLowerCase();
+    if (!isSafeRepoPath(filePath)) throw new Error(`changes[${i}]: a valid path is required`);
+    if (seen.has(filePath)) throw new Error(`changes[${i}]: duplicate path ${filePath}`);
+    seen.add(filePath);
+    if (!["create", "update", "delete", "upsert"].includes(action)) {
+      throw new Error(`changes[${i}]: unknown action "${action}"`);
     }
-    if (skippedFiles.length > 0) {
-      const first = skippedFiles[0];
-      res.write(`data: ${JSON.stringify({ type: 'warning', message: `Skipped ${skippedFiles.length} file(s). First: ${first.path} (${first.reason})`, skippedFiles })}\n\n`);
+    if (action !== "delete" && typeof c.content !== "string") {
+      throw new Error(`changes[${i}]: content is required for ${action}`);
     }
+    return { path: filePath, action, content: action === "delete" ? null : c.content };
+  });
+}
+
+function makePrBranchName(conversationId) {
+  const safeId = (conversationId || "chat")
+    .toString()
+    .replace(/[^a-zA-Z0-9\-_]/g, "")
+    .slice(0, 24);
+  return `ai/${safeId}-${Date.now().toString(36)}`;
+}
 
-    // Compaction: summarize older messages when big, then enforce a hard cap
-    const summaryThreshold = Number.isFinite(modelConfig.summarizationThreshold)
-      ? modelConfig.summarizationThreshold
-      : 40000;
+// Commit SHA a branch, tag or SHA points at; 404 error when it doesn't exist.
+async function resolveCommitSha(repoFullName, ref) {
+  const api = `https://api.github.com/repos/${repoFullName}`;
+  const head = await githubJsonAllow404(`${api}/git/ref/heads/${encodeGitHubPath(ref)}`);
+  if (head) return { sha: head.object.sha, isBranch: true };
+  const commit = await githubJsonAllow404(`${api}/commits/${encodeGitHubPath(ref)}`);
+  if (commit?.sha) return { sha: commit.sha, isBranch: false };
+  const err = new Error(`Ref not found: ${ref}`);
+  err.status = 404;
+  throw err;
+}
 
-    const currentEstTokens = estimateTokens(JSON.stringify(convo.messages));
+/**
+ * Commits every change as ONE commit on a new branch via the Git Data API
+ * (blobs -> tree -> commit -> ref) and opens a single (draft) PR.
+ * The commit goes on top of `ref` (the conversation's branch, tag or SHA;
+ * default branch when omitted). The PR targets `base`, else `ref` when it is
+ * a branch, else the default branch.
+ *
+ * With `continuePr` ({ number } of the conversation's PR) and that PR still
+ * open, the commit is pushed onto its branch instead and no new PR is opened.
+ */
+async function createChangesetPr({
+  repoFullName,
+  conversationId,
+  changes,
+  title,
+  body,
+  draft,
+  ref,
+  base: baseBranch,
+  continuePr,
+}) {
+  const api = `https://api.github.com/repos/${repoFullName}`;
+
+  let openPr = null;
+  if (continuePr?.number) {
+    const pr = await githubJsonAllow404(`${api}/pulls/${continuePr.number}`);
+    if (pr && pr.state === "open" && pr.head?.repo?.full_name === repoFullName) openPr = pr;
+  }
 
-    if (currentEstTokens > summaryThreshold && convo.messages.length > SUMMARY_TAIL_MESSAGES * 2) {
-      const summary = await getHistorySummary(convo.messages, config);
-      if (summary) {
-        const tail = convo.messages.slice(-SUMMARY_TAIL_MESSAGES * 2);
-        convo.messages = [{ role: "system", content: "Conversation Summary: " + summary }, ...tail];
+  let start;
+  let base;
+  if (openPr) {
+    start = { sha: openPr.head.sha, isBranch: true };
+    base = openPr.base.ref;
+  } else {
+    const repo = await githubFetchJson(api);
+    const defaultBranch = repo.default_branch || "main";
+    start = await resolveCommitSha(repoFullName, ref || baseBranch || defaultBranch);
+    base = baseBranch || (ref && start.isBranch ? ref : defaultBranch);
+    if (baseBranch) {
+      const target = ref && ref !== baseBranch ? await resolveCommitSha(repoFullName, baseBranch) : start;
+      if (!target.isBranch) {
+        const err = new Error(`PR base must be a branch: ${baseBranch}`);
+        err.status = 400;
+        throw err;
       }
     }
+  }
+  const baseSha = start.sha;
+  const baseCommit = await githubFetchJson(`${api}/git/commits/${baseSha}`);
+
+  // Existing paths/modes on base: keeps executable bits and checks create vs update vs delete.
+  const baseTree = await githubFetchJson(`${api}/git/trees/${baseCommit.tree.sha}?recursive=1`);
+  const existing = new Map();
+  for (const n of baseTree.tree || []) {
+    if (n.type === "blob") existing.set(n.path, n.mode);
+  }
+  const knownTree = !baseTree.truncated;
+
+  const entries = [];
+  const summary = [];
+  for (const c of changes) {
+    const exists = existing.has(c.path);
+    let conflict = null;
+    const onRef = openPr ? openPr.head.ref : ref || base;
+    if (knownTree && c.action === "create" && exists) conflict = `${c.path} already exists on ${onRef}`;
+    if (knownTree && (c.action === "update" || c.action === "delete") && !exists) {
+      conflict = `${c.path} does not exist on ${onRef}`;
+    }
+    if (conflict) {
+      const err = new Error(conflict);
+      err.status = 409;
+      throw err;
+    }
 
-    // Always cap the number of messages we keep to control token usage.
-    if (convo.messages.length > MAX_HISTORY_MESSAGES) {
-      const hasSummary =
-        convo.messages[0]?.role === "system" &&
-        typeof convo.messages[0]?.content === "string" &&
-        convo.messages[0].content.startsWith("Conversation Summary:");
-
-      const keep = MAX_HISTORY_MESSAGES - (hasSummary ? 1 : 0);
-      const tail = convo.messages.slice(-keep);
-      convo.messages = hasSummary ? [convo.messages[0], ...tail] : tail;
+    if (c.action === "delete") {
+      entries.push({ path: c.path, mode: existing.get(c.path) || "100644", type: "blob", sha: null });
+      summary.push({ path: c.path, action: "delete" });
+      continue;
     }
 
-    convo.messages.push({
-      role: "user",
-      content: message,
-      timestamp: new Date().toISOString(),
-    });
+    const blob = await githubSendJson(
+      `${api}/git/blobs`,
+      "POST",
+      { content: Buffer.from(c.content, "utf8").toString("base64"), encoding: "base64" },
+      `upload ${c.path}`
+    );
+    entries.push({ path: c.path, mode: existing.get(c.path) || "100644", type: "blob", sha: blob.sha });
+    summary.push({ path: c.path, action: exists ? "update" : "create" });
+  }
 
-    const finalMessages = prepareMessagesForModel(convo.messages, {
-      systemPrompt: config.systemPrompt,
-      fileContents,
-    });
+  const tree = await githubSendJson(
+    `${api}/git/trees`,
+    "POST",
+    { base_tree: baseCommit.tree.sha, tree: entries },
+    "create tree"
+  );
 
-    res.write(
-      `data: ${JSON.stringify({
-        type: "start",
-        conversationId: convo.id,
-        model: modelConfig.displayName,
-      })}\n\n`
+  const defaultTitle =
+    changes.length === 1 ? `AI update: ${changes[0].path}` : `AI update: ${changes.length} files`;
+  const prTitle = (title || defaultTitle).toString().slice(0, 140);
+
+  const commit = await githubSendJson(
+    `${api}/git/commits`,
+    "POST",
+    {
+      message: `${prTitle}\n\n${summary.map((s) => `- ${s.action} ${s.path}`).join("\n")}`,
+      tree: tree.sha,
+      parents: [baseSha],
+    },
+    "create commit"
+  );
+
+  if (openPr) {
+    // Fast-forward only: fails (422) if someone else pushed since we read the head.
+    await githubSendJson(
+      `${api}/git/refs/heads/${encodeGitHubPath(openPr.head.ref)}`,
+      "PATCH",
+      { sha: commit.sha, force: false },
+      "push to PR branch"
     );
+    forgetCachedFiles(repoFullName, openPr.head.ref);
+    return {
+      url: openPr.html_url,
+      prUrl: openPr.html_url,
+      number: openPr.number,
+      branch: openPr.head.ref,
+      base,
+      ref: openPr.head.ref,
+      commit: commit.sha,
+      files: summary,
+      continued: true,
+    };
+  }
 
-    let fullResponse = "";
-    let usage = { inputTokens: 0, outputTokens: 0 };
-
-    // IMPORTANT: pass null here so providers don't add another system message.
-    // We already packed system messages into finalMessages.
-    for await (const chunk of streamCompletion(
-      modelConfig,
-      null,
-      finalMessages,
-      modelConfig.maxOutputTokens
-    )) {
-      if (chunk.type === "text") {
-        fullResponse += chunk.text;
-        res.write(`data: ${JSON.stringify({ type: "text", text: chunk.text })}\n\n`);
-      } else if (chunk.type === "done") {
-        usage = chunk;
-      }
+  const branch = makePrBranchName(conversationId);
+  await githubSendJson(
+    `${api}/git/refs`,
+    "POST",
+    { ref: `refs/heads/${branch}`, sha: commit.sha },
+    "create branch"
+  );
+  forgetCachedFiles(repoFullName, branch);
+
+  const pr = await githubSendJson(
+    `${api}/pulls`,
+    "POST",
+    { title: prTitle, head: branch, base, body: (body || "").toString(), draft: draft !== false },
+    "create PR"
+  );
+
+  return {
+    url: pr.html_url,
+    prUrl: pr.html_url,
+    number: pr.number,
+    branch,
+    base,
+    ref: ref || base,
+    commit: commit.sha,
+    files: summary,
+    continued: false,
+    ...(continuePr?.number && { replacedPr: continuePr.number }),
+  };
+}
+
+// The ref a conversation reads files from: its open PR's branch while it has
+// one (follow-ups build on what was pushed), else its chosen ref.
+function conversationWorkingRef(convo) {
+  return convo?.pr?.state === "open" ? convo.pr.branch : convo?.ref;
+}
+
+/**
+ * { ref, base, continuePr } from a PR/patch request body. Unless `newPr` is
+ * set, a conversation with an open PR on this repo continues it (its branch
+ * is then the ref). Otherwise `ref` falls back to the conversation's ref.
+ * Invalid names are a 400.
+ */
+function prRefParams({ repoFullName, ref, base, conversationId, newPr } = {}) {
+  for (const [name, value] of [["ref", ref], ["base", base]]) {
+    if (value && !isValidGitRef(value)) {
+      const err = new Error(`Invalid ${name}`);
+      err.status = 400;
+      throw err;
     }
+  }
+  const convo = conversationId ? store.getConversation(String(conversationId)) : null;
+  const pr = convo?.pr?.state === "open" && convo.pr.repoFullName === repoFullName ? convo.pr : null;
+  if (pr && !newPr) return { ref: pr.branch, base: pr.base, continuePr: pr };
+  return { ref: ref || convo?.ref || undefined, base: base || undefined, continuePr: null };
+}
 
-    convo.messages.push({
-      role: "assistant",
-      content: fullResponse,
-      timestamp: new Date().toISOString(),
-      model: modelConfig.displayName,
-    });
-    convo.updatedAt = new Date().toISOString();
-    await writeJson(conversationsPath, conversations);
+// Remembers the PR on the conversation so follow-up changes are pushed to it.
+function rememberConversationPr(conversationId, repoFullName, result) {
+  if (!conversationId) return;
+  store.updateConversation(String(conversationId), {
+    pr: {
+      repoFullName,
+      number: result.number,
+      url: result.prUrl,
+      branch: result.branch,
+      base: result.base,
+      headSha: result.commit,
+      state: "open",
+      updatedAt: new Date().toISOString(),
+    },
+  });
+}
 
-    const cost = calculateCost(modelConfig, usage.inputTokens, usage.outputTokens);
-    res.write(
-      `data: ${JSON.stringify({
-        type: "done",
-        cost,
-        inputTokens: usage.inputTokens,
-        outputTokens: usage.outputTokens,
-      })}\n\n`
+app.post("/api/pr/create", async (req, res) => {
+  try {
+    const { repoFullName, conversationId, filePath, content, title, body, draft } =
+      req.body || {};
+
+    if (!repoFullName || typeof repoFullName !== "string") {
+      return res.status(400).json({ error: "repoFullName is required" });
+    }
+    if (!filePath || typeof filePath !== "string" || !isSafeRepoPath(filePath)) {
+      return res.status(400).json({ error: "A valid filePath is required" });
+    }
+    if (typeof content !== "string") {
+      return res.status(400).json({ error: "content is required" });
+    }
+
+    const { ref, base, continuePr } = prRefParams(req.body);
+    const changes = [{ path: filePath, action: "upsert", content }];
+    const pr = await createChangesetPr({ repoFullName, conversationId, changes, title, body, draft, ref, base, continuePr });
+    rememberConversationPr(conversationId, repoFullName, pr);
+    res.json(pr);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to create PR" });
+  }
+});
+
+// One PR for many files: { repoFullName, conversationId, changes: [{ path, action, content }], title, body, draft, ref, base }
+app.post("/api/pr/changeset", async (req, res) => {
+  try {
+    const { repoFullName, conversationId, changes, title, body, draft } = req.body || {};
+
+    if (!repoFullName || typeof repoFullName !== "string") {
+      return res.status(400).json({ error: "repoFullName is required" });
+    }
+
+    let clean;
+    try {
+      clean = normalizeChanges(changes);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { ref, base, continuePr } = prRefParams(req.body);
+    const pr = await createChangesetPr({ repoFullName, conversationId, changes: clean, title, body, draft, ref, base, continuePr });
+    rememberConversationPr(conversationId, repoFullName, pr);
+    res.json(pr);
+  } catch (e) {
+    console.error("POST /api/pr/changeset error:", e);
+    res.status(e.status || 500).json({ error: e.message || "Failed to create PR" });
+  }
+});
+
+
+const MAX_PR_FEEDBACK_CHARS = 12000; // review text added to one chat turn
+
+/**
+ * A PR's review feedback: inline review comments, review summaries and plain
+ * PR comments, oldest first. `since` (ISO time) keeps only newer ones.
+ */
+async function fetchPrFeedback(repoFullName, number, { since } = {}) {
+  const api = `https://api.github.com/repos/${repoFullName}`;
+  const pr = await githubJsonAllow404(`${api}/pulls/${number}`);
+  if (!pr) {
+    const err = new Error(`PR #${number} not found`);
+    err.status = 404;
+    throw err;
+  }
+  const [reviewComments, reviews, issueComments] = await Promise.all([
+    githubFetchAllPages(`${api}/pulls/${number}/comments`),
+    githubFetchAllPages(`${api}/pulls/${number}/reviews`),
+    githubFetchAllPages(`${api}/issues/${number}/comments`),
+  ]);
+
+  const comments = [
+    ...reviewComments.map((c) => ({
+      type: "review_comment",
+      id: c.id,
+      author: c.user?.login || null,
+      body: c.body || "",
+      path: c.path,
+      line: c.line ?? c.original_line ?? null,
+      inReplyTo: c.in_reply_to_id || null,
+      createdAt: c.created_at,
+      url: c.html_url,
+    })),
+    // Approvals/comments without text carry nothing to act on.
+    ...reviews
+      .filter((r) => (r.body || "").trim())
+      .map((r) => ({
+        type: "review",
+        id: r.id,
+        author: r.user?.login || null,
+        body: r.body,
+        state: r.state,
+        createdAt: r.submitted_at,
+        url: r.html_url,
+      })),
+    ...issueComments.map((c) => ({
+      type: "comment",
+      id: c.id,
+      author: c.user?.login || null,
+      body: c.body || "",
+      createdAt: c.created_at,
+      url: c.html_url,
+    })),
+  ]
+    .filter((c) => !since || (c.createdAt && c.createdAt > since))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  return {
+    pr: {
+      number: pr.number,
+      url: pr.html_url,
+      state: pr.merged_at ? "merged" : pr.state,
+      branch: pr.head?.ref,
+      base: pr.base?.ref,
+      headSha: pr.head?.sha,
+    },
+    comments,
+  };
+}
+
+// Feedback as a context block for the model, trimmed to MAX_PR_FEEDBACK_CHARS.
+function formatPrFeedback(pr, comments) {
+  const lines = [`PULL REQUEST #${pr.number} REVIEW FEEDBACK (address it in the next revision):`];
+  let size = lines[0].length;
+  for (const c of comments) {
+    const where = c.path ? ` on ${c.path}${c.line ? `:${c.line}` : ""}` : "";
+    const kind = c.type === "review" ? ` (review, ${c.state})` : c.inReplyTo ? " (reply)" : "";
+    const entry = `- ${c.author || "someone"}${kind}${where}: ${c.body.trim()}`;
+    if (size + entry.length > MAX_PR_FEEDBACK_CHARS) {
+      lines.push(`- ... ${comments.length - (lines.length - 1)} more comment(s) omitted`);
+      break;
+    }
+    lines.push(entry);
+    size += entry.length + 1;
+  }
+  return lines.join("\n");
+}
+
+// Keeps the conversation's PR record in step with GitHub (closed/merged, new head).
+function syncConversationPr(convo, pr) {
+  const next = { ...convo.pr, state: pr.state, headSha: pr.headSha };
+  if (next.state !== convo.pr.state || next.headSha !== convo.pr.headSha) {
+    store.updateConversation(convo.id, { pr: next });
+  }
+  return next;
+}
+
+// The conversation's PR and its review feedback. ?since=last only returns
+// comments newer than our last push to the PR.
+app.get("/api/conversations/:id/pr", async (req, res) => {
+  try {
+    const convo = store.getConversation(req.params.id);
+    if (!convo) return res.status(404).json({ error: "Conversation not found" });
+    if (!convo.pr) return res.status(404).json({ error: "Conversation has no PR" });
+
+    const since = req.query.since === "last" ? convo.pr.updatedAt : undefined;
+    const { pr, comments } = await fetchPrFeedback(convo.pr.repoFullName, convo.pr.number, { since });
+    res.json({ pr: syncConversationPr(convo, pr), comments });
+  } catch (e) {
+    console.error("GET /api/conversations/:id/pr error:", e);
+    res.status(e.status || 500).json({ error: e.message || "Failed to load PR feedback" });
+  }
+});
+
+/* ----------------------- patch application ----------------------- */
+
+async function readRepoFileForPatch(repoFullName, filePath, ref) {
+  try {
+    const r = await getFileContentFromGitHub(repoFullName, filePath, ref, { maxBytes: ABSOLUTE_MAX_FILE_BYTES });
+    if (r.skipped) throw new Error(`${filePath}: ${r.reason}`);
+    return { exists: true, content: r.content };
+  } catch (e) {
+    if (e.status === 404) return { exists: false, content: "" };
+    throw e;
+  }
+}
+
+// Patch text comes from the body, or from an assistant message in a saved conversation.
+async function resolvePatchText({ text, conversationId, messageIndex }) {
+  if (typeof text === "string" && text.trim()) return text;
+  if (!conversationId) return null;
+  const convo = store.getConversation(conversationId);
+  if (!convo) return null;
+  const msgs = convo.messages || [];
+  const msg = Number.isInteger(messageIndex)
+    ? msgs[messageIndex]
+    : [...msgs].reverse().find((m) => m.role === "assistant");
+  return msg && msg.role === "assistant" ? String(msg.content || "") : null;
+}
+
+/**
+ * Dry run: applies every patch in the answer to the file on `ref` (default branch
+ * if omitted) and returns the resulting files, per-hunk results and a combined diff.
+ */
+async function previewPatch({ repoFullName, text, defaultPath, ref }) {
+  const patches = parsePatches(text, { defaultPath });
+  const targetRef = ref || (await getRepoDefaultBranch(repoFullName));
+
+  const files = [];
+  for (const patch of patches) {
+    try {
+      const current = await readRepoFileForPatch(repoFullName, patch.path, targetRef);
+      const r = applyFilePatch(patch, current);
+      const diff =
+        r.status === "conflict"
+          ? ""
+          : createUnifiedDiff(patch.path, current.exists ? current.content : null, r.content);
+      files.push({
+        path: r.path,
+        format: patch.format,
+        action: r.action,
+        status: r.status,
+        ...(r.reason ? { reason: r.reason } : {}),
+        hunks: r.results,
+        content: r.content,
+        diff,
+      });
+    } catch (e) {
+      files.push({ path: patch.path, format: patch.format, action: patch.action, status: "error", reason: e.message, hunks: [] });
+    }
+  }
+
+  return {
+    ref: targetRef,
+    ok: files.length > 0 && files.every((f) => f.status === "applied"),
+    files,
+    diff: files.map((f) => f.diff || "").join(""),
+  };
+}
+
+app.post("/api/patch/preview", async (req, res) => {
+  try {
+    const { repoFullName, defaultPath } = req.body || {};
+    if (!repoFullName || typeof repoFullName !== "string") {
+      return res.status(400).json({ error: "repoFullName is required" });
+    }
+    const { ref } = prRefParams(req.body);
+    const text = await resolvePatchText(req.body || {});
+    if (!text || !hasPatchContent(text)) {
+      return res.status(400).json({ error: "No unified diff or SEARCH/REPLACE blocks found" });
+    }
+    res.json(await previewPatch({ repoFullName, text, defaultPath, ref }));
+  } catch (e) {
+    console.error("POST /api/patch/preview error:", e);
+    res.status(e.status || 500).json({ error: e.message || "Failed to preview patch" });
+  }
+});
+
+// Applies the patch and opens one PR. Refuses on conflicts unless allowPartial is set.
+app.post("/api/patch/pr", async (req, res) => {
+  try {
+    const { repoFullName, defaultPath, conversationId, title, body, draft, allowPartial } = req.body || {};
+    if (!repoFullName || typeof repoFullName !== "string") {
+      return res.status(400).json({ error: "repoFullName is required" });
+    }
+    const { ref, base, continuePr } = prRefParams(req.body);
+    const text = await resolvePatchText(req.body || {});
+    if (!text || !hasPatchContent(text)) {
+      return res.status(400).json({ error: "No unified diff or SEARCH/REPLACE blocks found" });
+    }
+
+    const preview = await previewPatch({ repoFullName, text, defaultPath, ref });
+    const usable = preview.files.filter((f) => f.status === "applied" || (allowPartial && f.status === "partial"));
+    if ((!preview.ok && !allowPartial) || usable.length === 0) {
+      return res.status(409).json({ error: "Patch does not apply cleanly", preview });
+    }
+
+    const changes = usable.map((f) =>
+      f.action === "delete" ? { path: f.path, action: "delete" } : { path: f.path, action: "upsert", content: f.content }
     );
-    res.end();
+    const pr = await createChangesetPr({
+      repoFullName,
+      conversationId,
+      changes,
+      title,
+      body,
+      draft,
+      ref: preview.ref,
+      base,
+      continuePr,
+    });
+    rememberConversationPr(conversationId, repoFullName, pr);
+    res.json({ ...pr, preview });
+  } catch (e) {
+    console.error("POST /api/patch/pr error:", e);
+    res.status(e.status || 500).json({ error: e.message || "Failed to create PR from patch" });
+  }
+});
+
+/**
+ * One chat turn: routing, budget checks, file loading, history packing, the
+ * streamed answer and persistence. Events are emitted on `gen`; the caller owns
+ * the generation and finishes it. Resolves to
+ * { status: "done" | "aborted" | "refused", conversationId, messageIndex, content, cost }
+ * and throws when every model in the chain failed.
+ */
+async function runChatTurn(
+  gen,
+  {
+    conversationId,
+    message,
+    repoFullName,
+    ref,
+    loadedFiles = [],
+    attachments = [],
+    modelOverride,
+    allowLargeFiles = false,
+    autoContext = false,
+    prFeedback = false,
+    agent = false,
+    regenerate = false,
+  }
+) {
+  const send = (payload) => gen.emit(payload);
+  if (ref && !isValidGitRef(ref)) throw new Error("Invalid ref");
+
+  const config = await loadConfig();
+  let convo = conversationId ? store.getConversation(conversationId) : null;
+
+  if (!convo) {
+    convo = {
+      id: newConversationId(),
+      messages: [],
+      createdAt: new Date().toISOString(),
+    };
+  }
+  gen.conversationId = convo.id;
+
+  // Regenerate: answer the last user message again in place of the last answer.
+  let replaced = null;
+  if (regenerate) {
+    const [question, answer] = convo.messages.slice(-2);
+    if (question?.role !== "user" || answer?.role !== "assistant") throw new Error("Nothing to regenerate");
+    message = question.content;
+  }
+
+  // Smart Routing
+  const useAutoContext = !!autoContext && !!repoFullName;
+  const useAgent = !!agent && !!repoFullName;
+  const route = routeMessage(
+    message,
+    config,
+    routeContextFor({
+      repo: repoFullName || convo.repoFullName,
+      loadedFiles,
+      attachments,
+      autoContext: useAutoContext,
+      agent: useAgent,
+      conversationLength: convo.messages.length - (regenerate ? 2 : 0),
+    })
+  );
+  let modelKey = resolveModelKey(modelOverride, route.modelKey, config);
+  let modelConfig = config.models[modelKey];
+
+  if (!modelConfig) {
+    throw new Error(`Unknown model key: ${modelKey}`);
+  }
+  const autoRouted = modelKey === route.modelKey && resolveModelKey(modelOverride, null, config) === null;
+
+  // Re-asking with a different model right after an auto-routed answer says
+  // the route was wrong; so does asking for the same answer again. Recorded
+  // once the turn has passed the budget checks, so a refused request teaches nothing.
+  const lastAnswer = convo.messages[convo.messages.length - 1];
+  const overrideTarget = !autoRouted && lastAnswer?.route && lastAnswer.route.modelKey !== modelKey ? modelKey : null;
+  if (regenerate) replaced = convo.messages.splice(-2);
+
+  // Refuse up front if a cap is already spent, before summarization calls a model.
+  const budgets = resolveBudgets(config, BUDGET_DEFAULTS);
+  const budgetRepo = repoFullName || convo.repoFullName || null;
+  const spentCheck = checkBudget({ stats: await usageLedger.getStats(), budgets, repo: budgetRepo });
+  if (spentCheck.status === "exceeded") {
+    send({ type: "error", error: spentCheck.message, budget: spentCheck.checks });
+    return { status: "refused", conversationId: convo.id };
+  }
+
+  // Persist repo selection on the conversation (helps follow-up chats). A ref
+  // and a PR belong to their repo, so switching repos drops them.
+  if (repoFullName && convo.repoFullName && repoFullName !== convo.repoFullName) {
+    delete convo.ref;
+    delete convo.pr;
+  }
+  if (repoFullName) convo.repoFullName = repoFullName;
+  if (ref) convo.ref = ref;
+
+  // Give new conversations a default title from the first user message
+  if (!convo.title && typeof message === "string") {
+    const t = message.trim().replace(/\s+/g, " ").slice(0, 60);
+    convo.title = t || "New Chat";
+  }
+
+  // Load selected file contents from GitHub (explicit selection only)
+  const fileContents = {};
+  const skippedFiles = [];
+  const safeLoadedFiles = Array.isArray(loadedFiles)
+    ? loadedFiles.filter((f) => typeof f === "string" && f.trim())
+    : [];
+
+  const limitedFiles = safeLoadedFiles.slice(0, MAX_FILES_PER_CHAT);
+
+  if (limitedFiles.length > 0 && repoFullName) {
+    const fileRef = await resolveRepoRef(repoFullName, conversationWorkingRef(convo));
+    const perFileMaxBytes = allowLargeFiles ? ABSOLUTE_MAX_FILE_BYTES : MAX_FILE_BYTES;
+
+    for (const f of limitedFiles) {
+      try {
+        const r = await getFileContentFromGitHub(repoFullName, f, fileRef, { maxBytes: perFileMaxBytes });
+        if (r.skipped) skippedFiles.push({ path: f, reason: r.reason || "Skipped" });
+        else fileContents[f] = r.content;
+      } catch (e) {
+        skippedFiles.push({ path: f, reason: e.message || "Failed to read file" });
+      }
+    }
+  } else if (limitedFiles.length > 0 && !repoFullName) {
+    for (const f of limitedFiles) {
+      skippedFiles.push({ path: f, reason: "No repo selected" });
+    }
+  }
+
+  // Uploaded images and documents. Document text gets the same cap as repo files.
+  const newAttachments = [];
+  const skippedAttachments = [];
+  for (const [i, input] of (Array.isArray(attachments) ? attachments : []).entries()) {
+    const name = String(input?.name || `attachment ${i + 1}`);
+    if (newAttachments.length >= MAX_ATTACHMENTS_PER_CHAT) {
+      skippedAttachments.push({ name, reason: `Only ${MAX_ATTACHMENTS_PER_CHAT} attachments per message` });
+      continue;
+    }
+    try {
+      newAttachments.push(
+        prepareAttachment(input, {
+          maxImageBytes: MAX_IMAGE_BYTES,
+          maxDocumentBytes: MAX_DOCUMENT_BYTES,
+          maxTextChars: allowLargeFiles ? ABSOLUTE_MAX_FILE_BYTES : MAX_FILE_BYTES,
+        })
+      );
+    } catch (e) {
+      skippedAttachments.push({ name, reason: e.message });
+    }
+  }
+  if (skippedAttachments.length > 0) {
+    const first = skippedAttachments[0];
+    send({
+      type: "warning",
+      message: `Skipped ${skippedAttachments.length} attachment(s). First: ${first.name} (${first.reason})`,
+      skippedAttachments,
+    });
+  }
+
+  if (allowLargeFiles) {
+    send({ type: 'warning', message: `Large files enabled. Per-file cap is ${ABSOLUTE_MAX_FILE_BYTES} bytes. This can increase token usage.` });
+  }
+  if (skippedFiles.length > 0) {
+    const first = skippedFiles[0];
+    send({ type: 'warning', message: `Skipped ${skippedFiles.length} file(s). First: ${first.path} (${first.reason})`, skippedFiles });
+  }
+
+  // Opt-in auto context: add ranked repo files on top of the explicit ones, within a token budget.
+  let counter = tokenCounterFor(modelConfig);
+  if (useAutoContext) {
+    const explicitTokens = Object.values(fileContents).reduce((n, c) => n + counter.text(c), 0);
+    const windowBudget = Math.floor((modelConfig.contextWindow || 128000) * AUTO_CONTEXT_WINDOW_SHARE);
+    const budgetTokens = Math.max(0, Math.min(AUTO_CONTEXT_MAX_TOKENS, windowBudget) - explicitTokens);
+    try {
+      const ctx = await selectAutoContext({
+        repoFullName,
+        ref: conversationWorkingRef(convo),
+        message: String(message || ""),
+        budgetTokens,
+        exclude: Object.keys(fileContents),
+        tokensOf: counter.text,
+      });
+      Object.assign(fileContents, ctx.contents);
+      send({
+        type: "context",
+        files: ctx.selected.map(({ path: p, score, tokens, reasons }) => ({ path: p, score, tokens, reasons })),
+        skipped: ctx.skipped,
+        budgetTokens: ctx.budgetTokens,
+        usedTokens: ctx.usedTokens,
+        indexed: ctx.indexed,
+      });
+    } catch (e) {
+      send({ type: "warning", message: `Auto context failed: ${e.message}` });
+    }
+  }
+
+  // PR review feedback for the next revision: comments since our last push
+  // (prFeedback: true) or all of them ("all").
+  const extraContext = [];
+  let feedbackInfo = null;
+  if (prFeedback && convo.pr) {
+    try {
+      const since = prFeedback === "all" ? undefined : convo.pr.updatedAt;
+      const { pr, comments } = await fetchPrFeedback(convo.pr.repoFullName, convo.pr.number, { since });
+      convo.pr = { ...convo.pr, state: pr.state, headSha: pr.headSha };
+      feedbackInfo = { number: pr.number, state: pr.state, count: comments.length };
+      send({ type: "pr_feedback", ...feedbackInfo });
+      if (comments.length) extraContext.push(formatPrFeedback(pr, comments));
+    } catch (e) {
+      send({ type: "warning", message: `Could not load PR feedback: ${e.message}` });
+    }
+  } else if (prFeedback) {
+    send({ type: "warning", message: "This conversation has no PR yet" });
+  }
+
+  // Agent mode: the model may call repo tools before answering.
+  const agentCtx = useAgent ? { repo: repoFullName, ref: conversationWorkingRef(convo) } : null;
+  if (agentCtx) extraContext.push(agentInstructions(repoFullName, agentCtx.ref || "default branch"));
+  else if (agent) send({ type: "warning", message: "Agent tools need a repo; answering without them" });
+
+  // Compaction: when the model's view gets big, fold older messages into the
+  // rolling summary. The transcript itself is kept whole.
+  const summaryThreshold = Number.isFinite(modelConfig.summarizationThreshold)
+    ? modelConfig.summarizationThreshold
+    : 40000;
+
+  if (counter.messages(modelView(convo)) > summaryThreshold) {
+    const { summary, error, updated } = await refreshConversationSummary(convo, config);
+    if (updated) send({ type: "summary", coveredThrough: summary.coveredThrough, totalMessages: convo.messages.length });
+    if (error) send({ type: "warning", message: `Could not summarize older messages: ${error.message}` });
+  }
+
+  convo.messages.push({
+    role: "user",
+    content: message,
+    timestamp: new Date().toISOString(),
+    ...(newAttachments.length && { attachments: newAttachments.map(attachmentRef) }),
+    ...(replaced?.[0].attachments && { attachments: replaced[0].attachments }),
+    ...(feedbackInfo && { prFeedback: feedbackInfo }),
+  });
+
+  // Always cap the number of messages the model sees to control token usage.
+  const view = modelView(convo);
+  const hasSummary = isSummaryMessage(view[0]);
+  const keep = MAX_HISTORY_MESSAGES - (hasSummary ? 1 : 0);
+  const capped = view.length > MAX_HISTORY_MESSAGES ? [...(hasSummary ? [view[0]] : []), ...view.slice(-keep)] : view;
+
+  const modelInput = withAttachmentContent(convo.id, capped, newAttachments);
+  const pack = (mc) => prepareMessagesForModel(modelInput, {
+    systemPrompt: config.systemPrompt,
+    fileContents,
+    extraContext,
+    modelConfig: mc,
+    counter,
+  });
+  let { messages: finalMessages, budget: contextBudget } = pack(modelConfig);
+
+  // Budget guardrail: estimate this request, downgrade to fast near a cap, refuse past it.
+  const estInputTokens = contextBudget.used;
+  const estimateFor = (mc) =>
+    calculateCost(mc, estInputTokens, Math.min(mc.maxOutputTokens || BUDGET_EST_OUTPUT_TOKENS, BUDGET_EST_OUTPUT_TOKENS));
+  const stats = await usageLedger.getStats();
+  let budget = checkBudget({ stats, budgets, repo: budgetRepo, estimatedCost: estimateFor(modelConfig) });
+
+  if (budget.status === "warn" && modelKey !== "fast" && config.models.fast) {
+    const fastBudget = checkBudget({ stats, budgets, repo: budgetRepo, estimatedCost: estimateFor(config.models.fast) });
+    if (fastBudget.status !== "exceeded") {
+      send({
+        type: "warning",
+        message: `${budget.message}. Using ${config.models.fast.displayName} instead of ${modelConfig.displayName}.`,
+        budget: budget.checks,
+      });
+      modelKey = "fast";
+      modelConfig = config.models.fast;
+      budget = fastBudget;
+      counter = tokenCounterFor(modelConfig);
+      ({ messages: finalMessages, budget: contextBudget } = pack(modelConfig));
+    }
+  }
+
+  if (budget.status === "exceeded") {
+    send({ type: "error", error: budget.message, budget: budget.checks });
+    return { status: "refused", conversationId: convo.id };
+  }
+  if (overrideTarget) recordRouteOutcome(lastAnswer, "override", config, { target: overrideTarget });
+  if (regenerate) recordRouteOutcome(lastAnswer, "regenerate", config);
+  if (budget.status === "warn") {
+    send({ type: "warning", message: budget.message, budget: budget.checks });
+  }
+
+  send({
+    type: "start",
+    generationId: gen.id,
+    conversationId: convo.id,
+    modelKey,
+    model: modelConfig.displayName,
+    ref: convo.ref || null,
+    ...(autoRouted && { routeReason: route.reason }),
+    ...(replaced && { regenerated: true }),
+  });
+
+  // Where the context window went, and what had to give.
+  send({ type: "context_budget", modelKey, ...contextBudget });
+  const shortened = contextBudget.files.filter((f) => f.mode !== "full");
+  if (shortened.length) {
+    send({
+      type: "warning",
+      message: `${shortened.length} file(s) shortened or left out to fit ${modelConfig.displayName}'s context window`,
+    });
+  }
+  if (contextBudget.overBudget) {
+    send({
+      type: "warning",
+      message: `This request (~${contextBudget.used} tokens) exceeds ${modelConfig.displayName}'s ${contextBudget.available}-token input budget`,
+    });
+  }
+
+  let fullResponse = "";
+  let usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+  let spentCost = 0;
+  let spentReasoningCost = 0;
+  let answeredBy = { modelKey, modelConfig };
+
+  // Partial output is saved as it streams, tagged with the generation id,
+  // so a reconnecting client (or a reload) can still see it.
+  const userMessageIndex = convo.messages.length - 1;
+  const assistantMsg = {
+    role: "assistant",
+    content: "",
+    timestamp: new Date().toISOString(),
+    model: modelConfig.displayName,
+    generationId: gen.id,
+    partial: true,
+    ...(autoRouted && {
+      route: {
+        policy: route.policy,
+        modelKey: route.modelKey,
+        ...(route.rule && { rule: route.rule }),
+        ...(route.features && { score: Math.round(route.score * 1000) / 1000, features: route.features }),
+      },
+    }),
+  };
+  convo.messages.push(assistantMsg);
+  let reasoning = ""; // streamed thinking, all rounds
+  let persisted = false;
+  let lastPartialSave = 0;
+  const saveProgress = (force = false) => {
+    if (!force && Date.now() - lastPartialSave < PARTIAL_SAVE_INTERVAL_MS) return;
+    lastPartialSave = Date.now();
+    assistantMsg.content = fullResponse;
+    if (reasoning) assistantMsg.reasoning = reasoning;
+    convo.updatedAt = new Date().toISOString();
+    store.saveConversation(convo);
+    persisted = true;
+  };
+
+  // Attachments need the conversation row, so save the turn as it starts.
+  if (newAttachments.length) {
+    saveProgress(true);
+    store.saveAttachments(convo.id, newAttachments);
+  }
+
+  // IMPORTANT: pass null here so providers don't add another system message.
+  // We already packed system messages into finalMessages.
+  // Fallbacks that would blow a cap are dropped (the primary already passed the check).
+  const chain = buildFallbackChain(modelKey, config).filter(
+    (c, i) =>
+      i === 0 ||
+      checkBudget({ stats, budgets, repo: budgetRepo, estimatedCost: estimateFor(c.modelConfig) }).status !== "exceeded"
+  );
+
+  // Each round streams one model call. Without agent tools there is exactly one;
+  // with them, a round that requests tool calls is followed by another that sees
+  // the results, until the model answers, AGENT_MAX_ITERATIONS rounds have used
+  // tools or AGENT_MAX_TOKENS is spent. The final round keeps the tools declared
+  // (providers reject tool history without them) but asks for a plain answer.
+  const modelMessages = [...finalMessages];
+  const toolTrace = [];
+  let roundStart = 0; // fullResponse length when the current round began
+  let reasoningStart = 0; // reasoning length when the current round began
+  let roundInFlight = false; // a model round has started and its `done` isn't counted yet
+  try {
+    for (let round = 1; ; round++) {
+      const lastRound =
+        !agentCtx || round > AGENT_MAX_ITERATIONS || usage.inputTokens + usage.outputTokens >= AGENT_MAX_TOKENS;
+      const stream = streamWithFallback(chain, null, modelMessages, {
+        retry: config.retry,
+        signal: gen.signal,
+        ...(agentCtx && { tools: repoTools.definitions, toolChoice: lastRound ? "none" : "auto" }),
+      });
+      const calls = [];
+      let reasoningBlocks = null;
+      roundStart = fullResponse.length;
+      reasoningStart = reasoning.length;
+      roundInFlight = true;
+
+      for await (const chunk of stream) {
+        if (chunk.type === "text") {
+          fullResponse += chunk.text;
+          send({ type: "text", text: chunk.text });
+          saveProgress();
+        } else if (chunk.type === "reasoning") {
+          // Each round's thinking starts a new paragraph.
+          const text = reasoning && reasoning.length === reasoningStart ? `\n\n${chunk.text}` : chunk.text;
+          reasoning += text;
+          send({ type: "reasoning", text });
+          saveProgress();
+        } else if (chunk.type === "tool_call") {
+          calls.push(chunk);
+        } else if (chunk.type === "reset") {
+          // A model failed mid-stream; the next attempt starts this round over.
+          // The client clears the whole answer, so earlier rounds are re-sent.
+          fullResponse = fullResponse.slice(0, roundStart);
+          reasoning = reasoning.slice(0, reasoningStart);
+          calls.length = 0;
+          send({ type: "reset" });
+          if (reasoning) send({ type: "reasoning", text: reasoning });
+          if (fullResponse) send({ type: "text", text: fullResponse });
+        } else if (chunk.type === "retry") {
+          send({
+            type: "retry",
+            modelKey: chunk.modelKey,
+            attempt: chunk.attempt,
+            delayMs: chunk.delayMs,
+            reason: chunk.reason,
+          });
+        } else if (chunk.type === "fallback") {
+          answeredBy = { modelKey: chunk.to, modelConfig: config.models[chunk.to] || answeredBy.modelConfig };
+          send({
+            type: "fallback",
+            from: chunk.from,
+            to: chunk.to,
+            model: config.models[chunk.to]?.displayName || chunk.to,
+            reason: chunk.reason,
+          });
+        } else if (chunk.type === "done") {
+          usage = {
+            inputTokens: usage.inputTokens + (chunk.inputTokens || 0),
+            outputTokens: usage.outputTokens + (chunk.outputTokens || 0),
+            cacheReadTokens: usage.cacheReadTokens + (chunk.cacheReadTokens || 0),
+            cacheWriteTokens: usage.cacheWriteTokens + (chunk.cacheWriteTokens || 0),
+            reasoningTokens: usage.reasoningTokens + (chunk.reasoningTokens || 0),
+          };
+          spentCost += calculateCost(chunk.modelConfig, chunk.inputTokens || 0, chunk.outputTokens || 0, chunk);
+          spentReasoningCost += calculateReasoningCost(chunk.modelConfig, chunk.reasoningTokens);
+          reasoningBlocks = chunk.reasoningBlocks || null;
+          answeredBy = { modelKey: chunk.modelKey, modelConfig: chunk.modelConfig };
+          roundInFlight = false;
+          // Plain first rounds on the packed model calibrate its token counter.
+          if (round === 1 && !agentCtx && chunk.modelKey === modelKey && chunk.inputTokens && chunk.modelConfig.provider !== "stub") {
+            recordTokenCalibration(chunk.modelConfig, counter.raw(finalMessages), chunk.inputTokens);
+          }
+        }
+      }
+      if (lastRound || !calls.length) break;
+
+      modelMessages.push({
+        role: "assistant",
+        content: fullResponse.slice(roundStart),
+        toolCalls: calls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+        ...(reasoningBlocks && { reasoningBlocks }),
+      });
+      for (const call of calls) {
+        send({ type: "tool_call", round, id: call.id, name: call.name, arguments: call.arguments });
+        const result = await repoTools.execute(call.name, call.arguments, { ...agentCtx, signal: gen.signal });
+        gen.signal.throwIfAborted();
+        send({
+          type: "tool_result",
+          round,
+          id: call.id,
+          name: call.name,
+          ok: result.ok,
+          summary: result.summary,
+          tokens: counter.text(result.content),
+        });
+        modelMessages.push({
+          role: "tool",
+          toolCallId: call.id,
+          name: call.name,
+          content: result.content,
+          ...(!result.ok && { isError: true }),
+        });
+        toolTrace.push({ round, name: call.name, arguments: call.arguments, ok: result.ok, summary: result.summary });
+      }
+      assistantMsg.toolTrace = toolTrace;
+      if (fullResponse && !fullResponse.endsWith("\n\n")) {
+        const sep = fullResponse.endsWith("\n") ? "\n" : "\n\n";
+        fullResponse += sep;
+        send({ type: "text", text: sep });
+      }
+      saveProgress(true);
+
+      const spent = usage.inputTokens + usage.outputTokens;
+      if (round >= AGENT_MAX_ITERATIONS || spent >= AGENT_MAX_TOKENS) {
+        send({
+          type: "warning",
+          message:
+            spent >= AGENT_MAX_TOKENS
+              ? `Agent token budget reached (${spent} of ${AGENT_MAX_TOKENS}); asking for a final answer`
+              : `Agent tool limit reached (${AGENT_MAX_ITERATIONS} rounds); asking for a final answer`,
+        });
+      }
+    }
+  } catch (err) {
+    if (!gen.signal.aborted) {
+      // A failed turn leaves nothing behind, as before partial saves existed.
+      if (persisted) {
+        convo.messages.splice(userMessageIndex, Infinity, ...(replaced || []));
+        if (convo.messages.length) {
+          store.saveConversation(convo);
+          store.deleteAttachments(convo.id, newAttachments.map((a) => a.id));
+        } else {
+          store.deleteConversation(convo.id);
+        }
+      }
+      throw err;
+    }
+
+    // Aborted: keep what was streamed. The provider still bills for a round cut
+    // off mid-stream, so log an estimate for it; rounds that reached `done`
+    // (e.g. an abort during tool calls) are already counted.
+    delete assistantMsg.partial;
+    assistantMsg.aborted = true;
+    assistantMsg.model = answeredBy.modelConfig.displayName;
+    saveProgress(true);
+    const inputTokens = usage.inputTokens + (roundInFlight ? counter.messages(modelMessages) : 0);
+    const roundReasoningTokens = roundInFlight ? counter.text(reasoning.slice(reasoningStart)) : 0;
+    const reasoningTokens = usage.reasoningTokens + roundReasoningTokens;
+    const outputTokens =
+      usage.outputTokens + (roundInFlight ? counter.text(fullResponse.slice(roundStart)) : 0) + roundReasoningTokens;
+    const cost =
+      spentCost +
+      calculateCost(answeredBy.modelConfig, inputTokens - usage.inputTokens, outputTokens - usage.outputTokens, {
+        reasoningTokens: roundReasoningTokens,
+      });
+    const reasoningCost = spentReasoningCost + calculateReasoningCost(answeredBy.modelConfig, roundReasoningTokens);
+    await usageLedger
+      .record({
+        kind: "chat",
+        conversationId: convo.id,
+        repo: convo.repoFullName,
+        modelKey: answeredBy.modelKey,
+        model: answeredBy.modelConfig.model,
+        displayName: answeredBy.modelConfig.displayName,
+        provider: answeredBy.modelConfig.provider,
+        inputTokens,
+        outputTokens,
+        cacheReadTokens: usage.cacheReadTokens,
+        cacheWriteTokens: usage.cacheWriteTokens,
+        reasoningTokens,
+        cost,
+        reasoningCost,
+      })
+      .catch((e) => console.warn("Failed to record usage:", e.message));
+    const messageIndex = convo.messages.length - 1;
+    send({ type: "aborted", reason: gen.abortReason || "aborted", messageIndex, cost });
+    return { status: "aborted", conversationId: convo.id, messageIndex, content: fullResponse, cost };
+  }
+
+  delete assistantMsg.partial;
+  assistantMsg.content = fullResponse;
+  if (reasoning) assistantMsg.reasoning = reasoning;
+  assistantMsg.timestamp = new Date().toISOString();
+  assistantMsg.model = answeredBy.modelConfig.displayName;
+  convo.updatedAt = new Date().toISOString();
+  store.saveConversation(convo);
+  if (autoRouted) countRouteTurn(route.modelKey);
+
+  // Let the UI offer a dry-run preview when the answer contains patch blocks.
+  if (hasPatchContent(fullResponse)) {
+    const patches = parsePatches(fullResponse);
+    if (patches.length) {
+      send({
+        type: "patch",
+        messageIndex: convo.messages.length - 1,
+        files: patches.map((p) => ({ path: p.path, format: p.format, action: p.action })),
+      });
+    }
+  }
+
+  const cost = spentCost;
+  await usageLedger
+    .record({
+      kind: "chat",
+      conversationId: convo.id,
+      repo: convo.repoFullName,
+      modelKey: answeredBy.modelKey,
+      model: answeredBy.modelConfig.model,
+      displayName: answeredBy.modelConfig.displayName,
+      provider: answeredBy.modelConfig.provider,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      cacheWriteTokens: usage.cacheWriteTokens,
+      reasoningTokens: usage.reasoningTokens,
+      cost,
+      reasoningCost: spentReasoningCost,
+    })
+    .catch((e) => console.warn("Failed to record usage:", e.message));
+  const messageIndex = convo.messages.length - 1;
+  send({
+    type: "done",
+    messageIndex,
+    cost,
+    modelKey: answeredBy.modelKey,
+    model: answeredBy.modelConfig.displayName,
+    fellBack: answeredBy.modelKey !== modelKey,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    cacheReadTokens: usage.cacheReadTokens,
+    cacheWriteTokens: usage.cacheWriteTokens,
+    reasoningTokens: usage.reasoningTokens,
+    ...(toolTrace.length && { toolCalls: toolTrace.length }),
+  });
+  return { status: "done", conversationId: convo.id, messageIndex, content: fullResponse, cost };
+}
+
+app.post("/api/chat", async (req, res) => {
+  // SSE headers should be set before streaming output
+  setSseHeaders(res);
+
+  // Events go through the generation's log so a dropped client can resume.
+  const gen = generations.create({ conversationId: req.body?.conversationId });
+  gen.attach(res);
+
+  try {
+    const result = await runChatTurn(gen, req.body || {});
+    gen.finish(result.status === "refused" ? "error" : result.status);
   } catch (err) {
     console.error("Chat Error:", err);
-    res.write(`data: ${JSON.stringify({ type: "error", error: err.message })}\n\n`);
-    res.end();
+    gen.emit({ type: "error", error: err.message });
+    gen.finish("error");
+  }
+});
+
+// Reattach to a generation's SSE stream. Events after Last-Event-ID (header or
+// ?lastEventId=) are replayed, then live events follow. Once the generation has
+// left memory, ?conversationId= lets us answer from the saved partial message.
+app.get("/api/chat/:generationId/events", (req, res) => {
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || 0;
+  const gen = generations.get(req.params.generationId);
+  if (gen) {
+    setSseHeaders(res);
+    return gen.attach(res, lastEventId);
+  }
+
+  const convo = req.query.conversationId ? store.getConversation(String(req.query.conversationId)) : null;
+  const messageIndex = convo ? convo.messages.findIndex((m) => m.generationId === req.params.generationId) : -1;
+  if (messageIndex < 0) return res.status(404).json({ error: "Generation not found" });
+
+  // Without the event log the client can't splice in; send the whole saved text instead.
+  const msg = convo.messages[messageIndex];
+  setSseHeaders(res);
+  res.write(
+    `data: ${JSON.stringify({
+      type: "snapshot",
+      conversationId: convo.id,
+      messageIndex,
+      content: msg.content,
+      model: msg.model,
+      status: msg.aborted ? "aborted" : msg.partial ? "interrupted" : "done",
+    })}\n\n`
+  );
+  res.end();
+});
+
+app.post("/api/chat/:generationId/abort", (req, res) => {
+  const gen = generations.get(req.params.generationId);
+  if (!gen) return res.status(404).json({ error: "Generation not found" });
+  if (!gen.abort("user")) {
+    return res.status(409).json({ error: `Generation already ${gen.status}`, status: gen.status });
+  }
+  res.json({ success: true, generationId: gen.id });
+});
+
+/* ----------------------- ideas + tasks ----------------------- */
+
+const MAX_PLAN_FILES = parseInt(process.env.MAX_PLAN_FILES || '8', 10); // files per generated plan
+const MAX_PLAN_FILE_LIST = 1500; // repo paths shown to the planner
+
+const ideas = createJsonCollection(IDEAS_STORE_PATH);
+const tasks = createJsonCollection(TASKS_STORE_PATH);
+
+const IDEA_FIELDS = ["repoFullName", "mode", "ideaText", "brainstorming", "messages", "starred"];
+const TASK_FIELDS = ["repoFullName", "ref", "task", "plan", "planText", "sourceIdeaId", "starred"];
+
+function pickFields(body, fields) {
+  const out = {};
+  for (const f of fields) if (body?.[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+function filterByRepo(items, repo) {
+  const list = repo ? items.filter((x) => x.repoFullName === repo) : items;
+  return [...list].sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+}
+
+app.get("/api/ideas", async (req, res) => {
+  res.json(filterByRepo(await ideas.list(), req.query.repo));
+});
+
+app.get("/api/ideas/:id", async (req, res) => {
+  const idea = await ideas.get(req.params.id);
+  if (!idea) return res.status(404).json({ error: "Idea not found" });
+  res.json(idea);
+});
+
+app.post("/api/ideas", async (req, res) => {
+  try {
+    const fields = pickFields(req.body, IDEA_FIELDS);
+    if (!String(fields.ideaText || "").trim()) return res.status(400).json({ error: "ideaText is required" });
+    const idea = await ideas.create({
+      repoFullName: null,
+      mode: "standard",
+      brainstorming: "",
+      messages: [],
+      starred: false,
+      ...fields,
+    });
+    res.status(201).json(idea);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create idea" });
+  }
+});
+
+app.patch("/api/ideas/:id", async (req, res) => {
+  try {
+    const idea = await ideas.update(req.params.id, pickFields(req.body, IDEA_FIELDS));
+    if (!idea) return res.status(404).json({ error: "Idea not found" });
+    res.json(idea);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to update idea" });
+  }
+});
+
+app.delete("/api/ideas/:id", async (req, res) => {
+  try {
+    if (!(await ideas.remove(req.params.id))) return res.status(404).json({ error: "Idea not found" });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to delete idea" });
+  }
+});
+
+// Promote an idea to a task (the task keeps a sourceIdeaId link).
+app.post("/api/ideas/:id/task", async (req, res) => {
+  try {
+    const idea = await ideas.get(req.params.id);
+    if (!idea) return res.status(404).json({ error: "Idea not found" });
+    const task = await tasks.create({
+      repoFullName: req.body?.repoFullName || idea.repoFullName || null,
+      task: String(req.body?.task || idea.ideaText),
+      sourceIdeaId: idea.id,
+      starred: false,
+    });
+    res.status(201).json(task);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create task" });
+  }
+});
+
+app.get("/api/tasks", async (req, res) => {
+  res.json(filterByRepo(await tasks.list(), req.query.repo));
+});
+
+app.get("/api/tasks/:id", async (req, res) => {
+  const task = await tasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  res.json(task);
+});
+
+app.post("/api/tasks", async (req, res) => {
+  try {
+    const fields = pickFields(req.body, TASK_FIELDS);
+    if (!String(fields.task || "").trim()) return res.status(400).json({ error: "task is required" });
+    if (fields.ref && !isValidGitRef(fields.ref)) return res.status(400).json({ error: "Invalid ref" });
+    const task = await tasks.create({ repoFullName: null, starred: false, ...fields });
+    res.status(201).json(task);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create task" });
+  }
+});
+
+app.patch("/api/tasks/:id", async (req, res) => {
+  try {
+    const fields = pickFields(req.body, TASK_FIELDS);
+    if (fields.ref && !isValidGitRef(fields.ref)) return res.status(400).json({ error: "Invalid ref" });
+    if (fields.plan !== undefined) {
+      fields.plan = normalizePlan(fields.plan);
+      fields.planText = fields.plan.planText;
+    }
+    const task = await tasks.update(req.params.id, fields);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    res.json(task);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to update task" });
+  }
+});
+
+app.delete("/api/tasks/:id", async (req, res) => {
+  try {
+    if (!(await tasks.remove(req.params.id))) return res.status(404).json({ error: "Task not found" });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to delete task" });
+  }
+});
+
+// Validates a plan ({ planText, files: [{ path, reason, changeSummary, subtaskPrompt }] }).
+// `existing` (a Set of repo paths) marks each file with `exists`.
+function normalizePlan(plan, existing = null) {
+  if (!plan || typeof plan !== "object") {
+    const err = new Error("plan must be an object");
+    err.status = 400;
+    throw err;
+  }
+  const files = (Array.isArray(plan.files) ? plan.files : [])
+    .filter((f) => f && isSafeRepoPath(String(f.path || "").replace(/^\.?\//, "")))
+    .map((f) => {
+      const file = {
+        path: String(f.path).replace(/^\.?\//, ""),
+        reason: String(f.reason || ""),
+        changeSummary: String(f.changeSummary || ""),
+        subtaskPrompt: String(f.subtaskPrompt || f.changeSummary || ""),
+      };
+      if (existing) file.exists = existing.has(file.path);
+      return file;
+    });
+  return { planText: String(plan.planText || ""), files };
+}
+
+// Models often wrap JSON in ``` fences or add a sentence around it.
+function extractJsonObject(text) {
+  const raw = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// Non-streaming completion through the fallback chain; usage is logged under `kind`.
+async function completeText(modelKey, config, systemPrompt, messages, usageContext = {}) {
+  let text = "";
+  for await (const chunk of streamWithFallback(buildFallbackChain(modelKey, config), systemPrompt, messages, {
+    retry: config.retry,
+  })) {
+    if (chunk.type === "text") text += chunk.text;
+    else if (chunk.type === "reset") text = "";
+    else if (chunk.type === "done") {
+      const mc = chunk.modelConfig;
+      await usageLedger
+        .record({
+          ...usageContext,
+          modelKey: chunk.modelKey,
+          model: mc.model,
+          displayName: mc.displayName,
+          provider: mc.provider,
+          inputTokens: chunk.inputTokens,
+          outputTokens: chunk.outputTokens,
+          cacheReadTokens: chunk.cacheReadTokens,
+          cacheWriteTokens: chunk.cacheWriteTokens,
+          reasoningTokens: chunk.reasoningTokens,
+          cost: calculateCost(mc, chunk.inputTokens, chunk.outputTokens, chunk),
+          reasoningCost: calculateReasoningCost(mc, chunk.reasoningTokens),
+        })
+        .catch((e) => console.warn("Failed to record usage:", e.message));
+    }
+  }
+  return text;
+}
+
+const PLANNER_SYSTEM_PROMPT = `You plan code changes in an existing repository.
+Reply with a single JSON object and nothing else:
+{"planText": "<short overall approach>",
+ "files": [{"path": "<repo path>", "reason": "<why this file>", "changeSummary": "<what changes>", "subtaskPrompt": "<self-contained instruction to change this one file>"}]}
+Prefer paths from the file list; only name a new path when a new file is really needed.`;
+
+// Turns a task into a plan using the repo's file list (paths only).
+app.post("/api/tasks/:id/plan", async (req, res) => {
+  try {
+    const task = await tasks.get(req.params.id);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    const repoFullName = req.body?.repoFullName || task.repoFullName;
+    if (!repoFullName) return res.status(400).json({ error: "Task has no repoFullName" });
+
+    const config = await loadConfig();
+    const modelKey = config.models[req.body?.modelKey] ? req.body.modelKey : "full";
+    const spent = checkBudget({
+      stats: await usageLedger.getStats(),
+      budgets: resolveBudgets(config, BUDGET_DEFAULTS),
+      repo: repoFullName,
+    });
+    if (spent.status === "exceeded") return res.status(429).json({ error: spent.message, budget: spent.checks });
+
+    const ref = repoFullName === task.repoFullName ? task.ref : undefined;
+    const { files } = await getRepoFileList(repoFullName, { ref });
+    const shown = files.slice(0, MAX_PLAN_FILE_LIST);
+    const prompt = `Repository: ${repoFullName}${ref ? ` (ref ${ref})` : ""}
+
+Task:
+${task.task}
+
+Repository files${files.length > shown.length ? ` (first ${shown.length} of ${files.length})` : ""}:
+${shown.join("\n")}
+
+Plan at most ${MAX_PLAN_FILES} files.`;
+
+    const answer = await completeText(modelKey, config, PLANNER_SYSTEM_PROMPT, [{ role: "user", content: prompt }], {
+      kind: "plan",
+      repo: repoFullName,
+    });
+    const parsed = extractJsonObject(answer);
+    if (!parsed) return res.status(502).json({ error: "Planner did not return valid JSON", raw: answer });
+
+    const plan = normalizePlan(parsed, new Set(files));
+    plan.files = plan.files.slice(0, MAX_PLAN_FILES);
+    const updated = await tasks.update(task.id, { repoFullName, plan, planText: plan.planText });
+    res.json(updated);
+  } catch (e) {
+    console.error("POST /api/tasks/:id/plan error:", e);
+    res.status(e.status || 500).json({ error: e.message || "Failed to plan task" });
+  }
+});
+
+function subtaskMessage(task, file) {
+  return `Overall task:
+${task.task}
+
+Plan: ${task.plan.planText || "(none)"}
+
+Subtask for \`${file.path}\`${file.exists === false ? " (new file)" : ""}:
+${file.subtaskPrompt}
+
+Intended change: ${file.changeSummary || "(see subtask)"}`;
+}
+
+/**
+ * Runs each plan file's subtaskPrompt as a chat turn in one conversation, with
+ * that file loaded. Streams SSE like /api/chat (plus `subtask` and `execution`
+ * events) under one generation, so the abort/resume endpoints work here too.
+ * Body: { files?: [paths to run], modelOverride? }.
+ */
+app.post("/api/tasks/:id/execute", async (req, res) => {
+  // Once the stream has started, errors go to it instead of a JSON response.
+  let gen = null;
+  try {
+    const task = await tasks.get(req.params.id);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    const planFiles = task.plan?.files || [];
+    if (!planFiles.length) return res.status(400).json({ error: "Task has no plan; call /plan first" });
+
+    const only = Array.isArray(req.body?.files) ? new Set(req.body.files) : null;
+    const selected = planFiles.filter((f) => !only || only.has(f.path));
+    if (!selected.length) return res.status(400).json({ error: "No plan files selected" });
+
+    const now = new Date().toISOString();
+    const conversationId = newConversationId();
+    store.saveConversation({
+      id: conversationId,
+      title: `Task: ${String(task.task).trim().replace(/\s+/g, " ").slice(0, 60)}`,
+      repoFullName: task.repoFullName,
+      ...(task.ref && { ref: task.ref }),
+      taskId: task.id,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    });
+
+    setSseHeaders(res);
+    gen = generations.create({ conversationId });
+    gen.attach(res);
+
+    const execution = { conversationId, generationId: gen.id, status: "running", startedAt: now, results: [] };
+    await tasks.update(task.id, { execution });
+
+    for (const [i, file] of selected.entries()) {
+      gen.emit({ type: "subtask", index: i, total: selected.length, path: file.path, status: "running" });
+      let result;
+      try {
+        result = await runChatTurn(gen, {
+          conversationId,
+          message: subtaskMessage(task, file),
+          repoFullName: task.repoFullName,
+          loadedFiles: file.exists === false ? [] : [file.path],
+          modelOverride: req.body?.modelOverride,
+        });
+      } catch (err) {
+        result = { status: "error", error: err.message };
+        gen.emit({ type: "error", error: err.message, path: file.path });
+      }
+      execution.results.push({
+        path: file.path,
+        status: result.status,
+        messageIndex: result.messageIndex ?? null,
+        cost: result.cost ?? 0,
+        ...(result.error ? { error: result.error } : {}),
+      });
+      gen.emit({ type: "subtask", index: i, total: selected.length, path: file.path, status: result.status });
+      if (result.status === "aborted" || result.status === "refused") break;
+    }
+
+    const statuses = execution.results.map((r) => r.status);
+    execution.status = statuses.includes("aborted")
+      ? "aborted"
+      : statuses.length === selected.length && statuses.every((st) => st === "done")
+        ? "done"
+        : "partial";
+    execution.finishedAt = new Date().toISOString();
+    await tasks.update(task.id, { execution }).catch((e) => console.warn("Failed to save execution:", e.message));
+    gen.emit({ type: "execution", ...execution });
+    gen.finish(execution.status === "aborted" ? "aborted" : "done");
+  } catch (e) {
+    if (!gen) return res.status(500).json({ error: e.message || "Failed to execute task" });
+    gen.emit({ type: "error", error: e.message });
+    gen.finish("error");
   }
 });
 
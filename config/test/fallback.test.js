@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { streamWithFallback } from "../providers/fallback.js";
+import { isProviderAvailable } from "../providers/index.js";
+import { resetStubCalls, getStubCalls } from "../providers/stub.js";
+
+process.env.ENABLE_STUB_PROVIDER = "1";
+
+const noWait = async () => {};
+
+function stubModel(key, fields = {}) {
+  return { modelKey: key, modelConfig: { provider: "stub", model: key, chunkSize: 4, ...fields } };
+}
+
+async function collect(chain, options = {}) {
+  const chunks = [];
+  for await (const chunk of streamWithFallback(chain, null, [{ role: "user", content: "hi" }], { wait: noWait, ...options })) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+const textOf = (chunks) =>
+  chunks
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("");
+
+test.beforeEach(() => resetStubCalls());
+
+test("retries a failing model and answers once it recovers", async () => {
+  const chunks = await collect([stubModel("flaky", { failStatus: 503, failTimes: 2, reply: "ok" })]);
+  assert.deepEqual(
+    chunks.filter((c) => c.type === "retry").map((c) => c.attempt),
+    [1, 2]
+  );
+  assert.equal(getStubCalls("flaky"), 3);
+  assert.equal(textOf(chunks), "ok");
+  assert.equal(chunks.at(-1).type, "done");
+  assert.equal(chunks.at(-1).modelKey, "flaky");
+});
+
+test("falls back without retrying errors that aren't retryable", async () => {
+  const chunks = await collect([stubModel("bad", { failStatus: 401 }), stubModel("good", { reply: "fine" })]);
+  assert.equal(getStubCalls("bad"), 1);
+  assert.deepEqual(chunks.find((c) => c.type === "fallback"), {
+    type: "fallback",
+    from: "bad",
+    to: "good",
+    reason: "Stub bad: 401",
+  });
+  assert.equal(textOf(chunks), "fine");
+  assert.equal(chunks.at(-1).modelKey, "good");
+});
+
+test("a mid-stream failure resets the partial output before retrying", async () => {
+  const chunks = await collect([stubModel("drop", { reply: "abcdefgh", failAfterChunks: 1, failTimes: 1 })]);
+  const reset = chunks.findIndex((c) => c.type === "reset");
+  assert.ok(reset > 0);
+  assert.equal(textOf(chunks.slice(0, reset)), "abcd");
+  assert.equal(chunks[reset + 1].type, "retry");
+  assert.equal(textOf(chunks.slice(reset)), "abcdefgh");
+});
+
+test("throws once every model in the chain has failed", async () => {
+  const chain = [stubModel("a", { failStatus: 500 }), stubModel("b", { failStatus: 400 })];
+  await assert.rejects(collect(chain, { retry: { maxRetries: 1 } }), /All models failed \(a: Stub a: 500; b: Stub b: 400\)/);
+  assert.equal(getStubCalls("a"), 2);
+  assert.equal(getStubCalls("b"), 1);
+});
+
+test("an abort stops retries and fallbacks", async () => {
+  const controller = new AbortController();
+  const wait = async () => controller.abort(Object.assign(new Error("aborted"), { name: "AbortError" }));
+  const chain = [stubModel("slow", { failStatus: 503 }), stubModel("next")];
+  await assert.rejects(collect(chain, { wait, signal: controller.signal }), { name: "AbortError" });
+  assert.equal(getStubCalls("slow"), 1);
+  assert.equal(getStubCalls("next"), 0);
+});
+
+test("the stub provider is only available when enabled", () => {
+  assert.equal(isProviderAvailable("stub"), true);
+  delete process.env.ENABLE_STUB_PROVIDER;
+  try {
+    assert.equal(isProviderAvailable("stub"), false);
+  } finally {
+    process.env.ENABLE_STUB_PROVIDER = "1";
+  }
+});
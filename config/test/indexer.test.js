@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRepoIndexer } from "../lib/indexer.js";
+
+test("a failed status write doesn't stop later runs", async () => {
+  const statuses = new Map();
+  const store = {
+    getRepoIndexStatus: (repo) => statuses.get(repo) || null,
+    setRepoIndexStatus(repo, fields) {
+      if (fields.status === "error") throw new Error("database is locked");
+      const next = { ...statuses.get(repo), ...fields, repo };
+      statuses.set(repo, next);
+      return next;
+    },
+    getIndexedFiles: () => new Map(),
+    removeIndexedFiles() {},
+    saveIndexedFile() {},
+  };
+  let listed;
+  const secondRun = new Promise((resolve) => (listed = resolve));
+  const listTree = async (repo) => {
+    if (repo === "o/broken") throw new Error("tree unavailable");
+    listed();
+    return { ref: "main", files: [] };
+  };
+  const indexer = createRepoIndexer({ store, listTree, readFile: async () => ({}), maxBytes: 1000 });
+  const logged = console.error;
+  console.error = () => {};
+  try {
+    indexer.start("o/broken");
+    indexer.start("o/ok");
+    await secondRun;
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.error = logged;
+  }
+  assert.equal(indexer.status("o/ok").status, "ready");
+  assert.equal(indexer.status("o/broken").status, "interrupted");
+});
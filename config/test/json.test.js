@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readJson, writeJson } from "../lib/json.js";
+
+test("writeJson replaces the file without leaving temp files behind", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "nested", "stats.json");
+
+  await writeJson(file, { totalCost: 1 });
+  await Promise.all([writeJson(file, { totalCost: 2 }), writeJson(file, { totalCost: 3 })]);
+
+  assert.ok([2, 3].includes((await readJson(file, null)).totalCost));
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["stats.json"]);
+});
+
+test("a failed write keeps the previous contents", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "stats.json");
+
+  await writeJson(file, { totalCost: 1 });
+  const circular = {};
+  circular.self = circular;
+  await assert.rejects(writeJson(file, circular));
+
+  assert.deepEqual(await readJson(file, null), { totalCost: 1 });
+  assert.deepEqual(fs.readdirSync(dir), ["stats.json"]);
+});
@@ -0,0 +1,176 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { splitSystem, toAnthropicRequest, toGoogleRequest } from "../providers/messages.js";
+
+const image = { type: "image", mediaType: "image/png", data: "AAAA" };
+
+test("splitSystem collects system messages from anywhere, in order", () => {
+  const { system, turns } = splitSystem([
+    { role: "system", content: "files", cache: true },
+    { role: "system", content: "instructions", cache: true },
+    { role: "system", content: "per-turn" },
+    { role: "user", content: "hi" },
+    { role: "system", content: "late note", cache: true },
+    { role: "assistant", content: "hello" },
+  ]);
+  assert.deepEqual(system, [
+    { text: "files", cache: true },
+    { text: "instructions", cache: true },
+    { text: "per-turn", cache: false },
+    { text: "late note", cache: false },
+  ]);
+  assert.deepEqual(
+    turns.map((m) => m.role),
+    ["user", "assistant"]
+  );
+});
+
+test("splitSystem puts systemPrompt first and then caches nothing", () => {
+  const { system } = splitSystem([{ role: "system", content: "files", cache: true }], "prompt");
+  assert.deepEqual(system, [
+    { text: "prompt", cache: false },
+    { text: "files", cache: false },
+  ]);
+});
+
+test("splitSystem drops empty system messages", () => {
+  const { system } = splitSystem([
+    { role: "system", content: "  " },
+    { role: "system", content: [{ type: "text", text: "" }] },
+    { role: "system", content: "kept" },
+  ]);
+  assert.deepEqual(system, [{ text: "kept", cache: false }]);
+});
+
+test("toAnthropicRequest moves system messages into system blocks", () => {
+  const { system, messages } = toAnthropicRequest([
+    { role: "system", content: "instructions" },
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "a1" },
+    { role: "system", content: "late note" },
+    { role: "user", content: "q2" },
+  ]);
+  assert.deepEqual(system, [
+    { type: "text", text: "instructions" },
+    { type: "text", text: "late note" },
+  ]);
+  assert.deepEqual(messages, [
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "a1" },
+    { role: "user", content: "q2" },
+  ]);
+});
+
+test("toAnthropicRequest puts breakpoints on at most the last four cached blocks", () => {
+  const cached = [1, 2, 3, 4, 5].map((n) => ({ role: "system", content: `block ${n}`, cache: true }));
+  const { system } = toAnthropicRequest([...cached, { role: "system", content: "extra" }, { role: "user", content: "q" }]);
+  assert.deepEqual(
+    system.map((b) => !!b.cache_control),
+    [false, true, true, true, true, false]
+  );
+  assert.deepEqual(system[1].cache_control, { type: "ephemeral" });
+
+  const off = toAnthropicRequest([...cached, { role: "user", content: "q" }], { promptCache: false });
+  assert.ok(off.system.every((b) => !b.cache_control));
+});
+
+test("toAnthropicRequest merges consecutive same-role turns and drops empty text", () => {
+  const { messages } = toAnthropicRequest([
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "" },
+    { role: "user", content: [{ type: "text", text: "q2" }, image] },
+  ]);
+  assert.deepEqual(messages, [
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "q1" },
+        { type: "text", text: "q2" },
+        { type: "image", source: { type: "base64", media_type: "image/png", data: "AAAA" } },
+      ],
+    },
+  ]);
+});
+
+test("toAnthropicRequest maps tool calls and results", () => {
+  const thinking = { type: "thinking", thinking: "hmm", signature: "sig" };
+  const { messages } = toAnthropicRequest([
+    { role: "user", content: "read it" },
+    {
+      role: "assistant",
+      content: "",
+      toolCalls: [
+        { id: "t1", name: "read_file", arguments: { path: "a.js" } },
+        { id: "t2", name: "read_file", arguments: { path: "b.js" } },
+      ],
+      reasoningBlocks: [thinking],
+    },
+    { role: "tool", toolCallId: "t1", name: "read_file", content: "A" },
+    { role: "tool", toolCallId: "t2", name: "read_file", content: "missing", isError: true },
+  ]);
+  assert.deepEqual(messages.slice(1), [
+    {
+      role: "assistant",
+      content: [
+        thinking,
+        { type: "tool_use", id: "t1", name: "read_file", input: { path: "a.js" } },
+        { type: "tool_use", id: "t2", name: "read_file", input: { path: "b.js" } },
+      ],
+    },
+    {
+      role: "user",
+      content: [
+        { type: "tool_result", tool_use_id: "t1", content: "A" },
+        { type: "tool_result", tool_use_id: "t2", content: "missing", is_error: true },
+      ],
+    },
+  ]);
+});
+
+test("toGoogleRequest builds systemInstruction parts and the cached prefix", () => {
+  const { systemParts, cachedParts, contents } = toGoogleRequest([
+    { role: "system", content: "files", cache: true },
+    { role: "system", content: "extra" },
+    { role: "user", content: "q1" },
+    { role: "system", content: "late note" },
+    { role: "assistant", content: "a1" },
+  ]);
+  assert.deepEqual(systemParts, [{ text: "files" }, { text: "extra" }, { text: "late note" }]);
+  assert.deepEqual(cachedParts, [{ text: "files" }]);
+  assert.deepEqual(contents, [
+    { role: "user", parts: [{ text: "q1" }] },
+    { role: "model", parts: [{ text: "a1" }] },
+  ]);
+
+  assert.deepEqual(toGoogleRequest([{ role: "system", content: "files", cache: true }], { systemPrompt: "p" }).cachedParts, []);
+});
+
+test("toGoogleRequest merges same-role turns, drops empty text and maps images", () => {
+  const { contents } = toGoogleRequest([
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "   " },
+    { role: "user", content: [{ type: "text", text: "q2" }, image] },
+  ]);
+  assert.deepEqual(contents, [
+    {
+      role: "user",
+      parts: [{ text: "q1" }, { text: "q2" }, { inlineData: { mimeType: "image/png", data: "AAAA" } }],
+    },
+  ]);
+});
+
+test("toGoogleRequest maps tool calls to functionCall and results to functionResponse", () => {
+  const { contents } = toGoogleRequest([
+    { role: "user", content: "list" },
+    { role: "assistant", content: "Looking.", toolCalls: [{ id: "c1", name: "list_files", arguments: { prefix: "src" } }] },
+    { role: "tool", toolCallId: "c1", name: "list_files", content: "src/a.js" },
+    { role: "user", content: "and?" },
+  ]);
+  assert.deepEqual(contents.slice(1), [
+    { role: "model", parts: [{ text: "Looking." }, { functionCall: { name: "list_files", args: { prefix: "src" } } }] },
+    {
+      role: "user",
+      parts: [{ functionResponse: { name: "list_files", response: { content: "src/a.js" } } }, { text: "and?" }],
+    },
+  ]);
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { extractPdfText } from "../lib/pdf.js";
+
+// A PDF body from [dict, streamData?] objects, numbered from 1.
+function pdf(objects) {
+  let out = "%PDF-1.4\n";
+  objects.forEach(([dict, data], i) => {
+    out += `${i + 1} 0 obj\n${dict}\n`;
+    if (data !== undefined) out += `stream\n${data.toString("latin1")}\nendstream\n`;
+    out += "endobj\n";
+  });
+  return Buffer.from(out + "%%EOF\n", "latin1");
+}
+
+test("reads plain and Flate content streams among many other objects", () => {
+  const flate = zlib.deflateSync("BT /F1 12 Tf 72 700 Td (Second line) Tj ET");
+  const filler = Array.from({ length: 2000 }, (_, i) => [`<< /Type /Annot /N ${i} >>`]);
+  const text = extractPdfText(
+    pdf([
+      ["<< /Length 40 >>", "BT /F1 12 Tf 72 720 Td (First line) Tj ET"],
+      ...filler,
+      [`<< /Length ${flate.length} /Filter /FlateDecode >>`, flate],
+    ])
+  );
+  assert.equal(text, "First line\nSecond line");
+});
+
+test("skips a stream that inflates past the limit", () => {
+  const bomb = zlib.deflateSync(Buffer.alloc(4 * 1024 * 1024));
+  const text = extractPdfText(
+    pdf([
+      [`<< /Length ${bomb.length} /Filter /FlateDecode >>`, bomb],
+      ["<< /Length 33 >>", "BT 72 720 Td (Still read) Tj ET"],
+    ]),
+    { maxTextChars: 10_000 }
+  );
+  assert.equal(text, "Still read");
+});
@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStore } from "../lib/store.js";
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+  const store = createStore({ dbPath: path.join(dir, "test.db") });
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+const user = (content) => ({ role: "user", content });
+const assistant = (content) => ({ role: "assistant", content });
+
+test("saving a stale copy keeps another request's rating and summary", (t) => {
+  const store = tempStore(t);
+  store.saveConversation({ id: "c1", title: "Chat", createdAt: "2026-01-01", messages: [user("q1"), assistant("a1")] });
+
+  const chat = store.getConversation("c1");
+  const rating = store.getConversation("c1");
+  rating.messages[1].rating = "up";
+  store.saveConversation(rating);
+  store.updateConversation("c1", { summary: { text: "so far" } });
+
+  chat.messages.push(user("q2"), assistant("a2"));
+  chat.title = "Renamed";
+  store.saveConversation(chat);
+
+  const saved = store.getConversation("c1");
+  assert.equal(saved.title, "Renamed");
+  assert.deepEqual(saved.summary, { text: "so far" });
+  assert.equal(saved.messages[1].rating, "up");
+  assert.deepEqual(
+    saved.messages.map((m) => m.content),
+    ["q1", "a1", "q2", "a2"]
+  );
+});
+
+test("repeated saves of one object update its messages in place", (t) => {
+  const store = tempStore(t);
+  const convo = { id: "c1", createdAt: "2026-01-01", messages: [user("q1")] };
+  store.saveConversation(convo);
+  const answer = { ...assistant(""), partial: true };
+  convo.messages.push(answer);
+  store.saveConversation(convo);
+  answer.content = "streamed needle";
+  delete answer.partial;
+  store.saveConversation(convo);
+
+  const saved = store.getConversation("c1");
+  assert.deepEqual(saved.messages[1], assistant("streamed needle"));
+  const { conversations } = store.listConversations({ q: "needle" });
+  assert.deepEqual(conversations[0].match?.messageIndex, 1);
+});
+
+test("removed messages are deleted", (t) => {
+  const store = tempStore(t);
+  store.saveConversation({ id: "c1", createdAt: "2026-01-01", messages: [user("q1"), assistant("a1"), user("q2")] });
+  const convo = store.getConversation("c1");
+  convo.messages.splice(1);
+  store.saveConversation(convo);
+  assert.deepEqual(store.getConversation("c1").messages, [user("q1")]);
+});
+
+test("two appends at the same position are a 409 conflict", (t) => {
+  const store = tempStore(t);
+  store.saveConversation({ id: "c1", createdAt: "2026-01-01", messages: [user("q1")] });
+  const first = store.getConversation("c1");
+  const second = store.getConversation("c1");
+  first.messages.push(assistant("from first"));
+  store.saveConversation(first);
+  second.messages.push(assistant("from second"));
+
+  assert.throws(() => store.saveConversation(second), { status: 409 });
+  assert.deepEqual(
+    store.getConversation("c1").messages.map((m) => m.content),
+    ["q1", "from first"]
+  );
+});
+
+test("objects the store hasn't seen replace the conversation", (t) => {
+  const store = tempStore(t);
+  store.saveConversation({ id: "c1", createdAt: "2026-01-01", messages: [user("q1"), assistant("a1")] });
+  store.saveConversation({ id: "c1", createdAt: "2026-01-01", messages: [user("other")] });
+  assert.deepEqual(store.getConversation("c1").messages, [user("other")]);
+});
+
+test("re-indexing or removing a file replaces its search text", (t) => {
+  const store = tempStore(t);
+  store.saveIndexedFile("o/r", { path: "a.js", sha: "1", content: "const alpha = 1;", terms: "alpha" });
+  store.saveIndexedFile("o/r", { path: "b.js", sha: "1", content: "const alpha = 2;", terms: "alpha" });
+  store.saveIndexedFile("o/r", { path: "a.js", sha: "2", content: "const beta = 1;", terms: "beta" });
+  assert.deepEqual(
+    store.searchRepo("o/r", "alpha").map((r) => r.path),
+    ["b.js"]
+  );
+  assert.deepEqual(
+    store.searchRepo("o/r", "beta").map((r) => r.path),
+    ["a.js"]
+  );
+
+  store.removeIndexedFiles("o/r", ["a.js"]);
+  assert.deepEqual(store.searchRepo("o/r", "beta"), []);
+  assert.deepEqual([...store.getIndexedFiles("o/r").keys()], ["b.js"]);
+});